@@ -0,0 +1,29 @@
+// batch.js - Runs one LLM call per hypercube row with a concurrency limit
+
+/**
+ * Calls worker(item, index) for every item with at most `limit` calls in flight.
+ * onSettled(index, result) is called as each item finishes; results are
+ * { ok: true, value } or { ok: false, error }. When isCancelled() turns true no new
+ * items are started; items already running still settle.
+ */
+export default async function runWithConcurrency(items, limit, worker, { onSettled, isCancelled } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each lane takes the next item once its current one has settled
+  const lane = async () => {
+    if (next >= items.length || (isCancelled && isCancelled())) return;
+    const index = next++;
+    try {
+      results[index] = { ok: true, value: await worker(items[index], index) };
+    } catch (error) {
+      results[index] = { ok: false, error };
+    }
+    if (onSettled) onSettled(index, results[index]);
+    await lane();
+  };
+
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
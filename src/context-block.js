@@ -0,0 +1,114 @@
+// context-block.js - Supplemental context (SHAP values, CRM notes) placed around the user prompt
+//
+// The block is free text with the usual template tags plus an optional context table: a
+// second hypercube (e.g. feature importances) built from the fields listed in the property
+// panel and serialized like the data context. Text and table share the block's character
+// budget - the text comes first, the table gets whole rows from what is left. Text that does
+// not fit next to a table is cut to half the budget, so the table is never crowded out.
+
+export const CONTEXT_BLOCK_POSITIONS = [
+  { value: 'before', label: 'Before the user prompt' },
+  { value: 'after', label: 'After the user prompt' },
+];
+
+export const CONTEXT_BLOCK_DEFAULTS = {
+  position: 'before',
+  charBudget: 8000,
+  tableMaxRows: 50,
+};
+
+// Columns in the context table at most
+const TABLE_MAX_COLUMNS = 20;
+
+export function resolveContextBlockOptions(props = {}) {
+  const number = (value, fallback) => {
+    const n = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(n)
+      ? fallback
+      : Math.max(0, Math.round(n));
+  };
+  return {
+    position: CONTEXT_BLOCK_POSITIONS.some((p) => p.value === props.contextBlockPosition)
+      ? props.contextBlockPosition
+      : CONTEXT_BLOCK_DEFAULTS.position,
+    charBudget: number(props.contextBlockCharBudget, CONTEXT_BLOCK_DEFAULTS.charBudget),
+    tableMaxRows: number(props.contextTableMaxRows, CONTEXT_BLOCK_DEFAULTS.tableMaxRows),
+  };
+}
+
+/**
+ * Hypercube definition for the context table, or null when the table is off or has no fields.
+ * Fields: [{ type: "dimension" | "measure", label, definition }]
+ */
+export function buildContextTableDef(props = {}) {
+  if (props.contextTableEnabled !== true) return null;
+  const fields = (props.contextTableFields || []).filter((field) => String(field?.definition || '').trim());
+  const label = (field) => String(field.label || '').trim() || String(field.definition).trim();
+
+  const qDimensions = fields
+    .filter((field) => field.type !== 'measure')
+    .map((field) => ({
+      qDef: { qFieldDefs: [String(field.definition).trim()], qFieldLabels: [label(field)] },
+      qNullSuppression: true,
+    }));
+  const qMeasures = fields
+    .filter((field) => field.type === 'measure')
+    .map((field) => ({ qDef: { qDef: String(field.definition).trim(), qLabel: label(field) } }));
+
+  if (qDimensions.length + qMeasures.length === 0) return null;
+  return {
+    qDimensions: qDimensions.slice(0, TABLE_MAX_COLUMNS),
+    qMeasures: qMeasures.slice(0, Math.max(0, TABLE_MAX_COLUMNS - qDimensions.length)),
+    qSuppressZero: false,
+    qInitialDataFetch: [],
+  };
+}
+
+const TRUNCATION_MARKER = '\n[... context block truncated ...]';
+
+// Text and table are joined by a blank line
+const BLOCK_SEPARATOR = '\n\n';
+
+// Share of the budget the text may take when a context table needs room too
+const TEXT_SHARE_WITH_TABLE = 0.5;
+
+// Cut the text to the budget at a line break where possible; the marker counts toward it
+export function fitContextText(text, budget) {
+  const value = String(text || '').trim();
+  if (value.length <= budget) return { text: value, truncated: false };
+  const room = budget - TRUNCATION_MARKER.length;
+  if (room <= 0) return { text: '', truncated: true };
+  const cut = value.slice(0, room);
+  const lineBreak = cut.lastIndexOf('\n');
+  return {
+    text: `${lineBreak > room / 2 ? cut.slice(0, lineBreak) : cut}${TRUNCATION_MARKER}`,
+    truncated: true,
+  };
+}
+
+/**
+ * Split the block budget between the text and the context table. Without a table the text
+ * gets all of it; with one, text that does not fit is cut to TEXT_SHARE_WITH_TABLE of the
+ * budget so the table keeps room for rows.
+ * Returns { text, truncated, tableBudget }.
+ */
+export function fitContextBlock(text, budget, hasTable) {
+  if (!hasTable) return { ...fitContextText(text, budget), tableBudget: 0 };
+  const value = String(text || '').trim();
+  const textBudget = value.length + BLOCK_SEPARATOR.length < budget
+    ? value.length
+    : Math.floor(budget * TEXT_SHARE_WITH_TABLE);
+  const fitted = fitContextText(value, textBudget);
+  const used = fitted.text ? fitted.text.length + BLOCK_SEPARATOR.length : 0;
+  return { ...fitted, tableBudget: Math.max(0, budget - used) };
+}
+
+// Block text and table as one block
+export const joinContextBlock = (text, table) => [text, table].filter(Boolean).join(BLOCK_SEPARATOR);
+
+// Put the block before or after the user prompt
+export function placeContextBlock(userPrompt, contextBlock, position) {
+  if (!contextBlock) return userPrompt;
+  const block = `Context:\n${contextBlock}`;
+  return position === 'after' ? `${userPrompt}\n\n${block}` : `${block}\n\n${userPrompt}`;
+}
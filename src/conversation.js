@@ -0,0 +1,64 @@
+// conversation.js - Multi-turn conversation helpers
+//
+// A request is { system, messages } where messages alternate user/assistant turns and
+// always end with the user turn being asked. The opening user turn carries the prompt
+// and data context, so the history window always keeps it.
+
+// Keep the opening exchange plus the most recent exchanges, up to maxExchanges in total
+export function selectHistoryWindow(turns = [], maxExchanges = 5) {
+  const exchanges = [];
+  for (let i = 0; i < turns.length; i += 2) {
+    exchanges.push(turns.slice(i, i + 2));
+  }
+
+  const limit = Math.max(1, Number(maxExchanges) || 1);
+  if (exchanges.length <= limit) {
+    return { turns: turns.slice(), omitted: 0 };
+  }
+
+  const kept = [exchanges[0], ...exchanges.slice(exchanges.length - (limit - 1))];
+  return {
+    turns: kept.slice(0, limit).flat(),
+    omitted: exchanges.length - limit,
+  };
+}
+
+export function buildConversationRequest(system, turns, question, maxExchanges) {
+  const history = selectHistoryWindow(turns, maxExchanges);
+  return {
+    system: system || '',
+    messages: [...history.turns, { role: 'user', content: question }].map(
+      ({ role, content }) => ({ role, content }),
+    ),
+    omitted: history.omitted,
+  };
+}
+
+// Single prompt string for connections that take one text column: prior turns are
+// replayed as a transcript ahead of the new question
+export function flattenRequest(request) {
+  const { system, messages, omitted = 0 } = request;
+  const question = messages[messages.length - 1]?.content || '';
+  const history = messages.slice(0, -1);
+
+  let prompt = '';
+  if (system && system.trim()) {
+    prompt = `${system}\n\n`;
+  }
+
+  if (history.length === 0) {
+    return prompt + question;
+  }
+
+  const transcript = history
+    .map((turn, index) => {
+      const speaker = turn.role === 'assistant' ? 'Assistant' : 'User';
+      const gap = index === 2 && omitted > 0
+        ? `[... ${omitted} earlier exchange(s) omitted ...]\n\n`
+        : '';
+      return `${gap}${speaker}: ${turn.content}`;
+    })
+    .join('\n\n');
+
+  return `${prompt}Previous conversation:\n\n${transcript}\n\nFollow-up question:\n${question}`;
+}
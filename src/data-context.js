@@ -0,0 +1,199 @@
+// data-context.js - Serializes the object's hypercube into prompt-ready text
+//
+// Rows are taken from the layout's initial data page and, when the row/character budget
+// needs more than was fetched, paged in through model.getHyperCubeData. Each format
+// writes a header once and then one chunk per row, so rows are only ever added whole.
+
+export const DATA_FORMATS = [
+  { value: 'csv', label: 'CSV with headers' },
+  { value: 'markdown', label: 'Markdown table' },
+  { value: 'json', label: 'JSON records' },
+  { value: 'keyvalue', label: 'Key-value per row' },
+];
+
+export const DATA_CONTEXT_DEFAULTS = {
+  format: 'csv',
+  maxRows: 100,
+  maxColumns: 20,
+  charBudget: 20000,
+};
+
+// Engine limit is 10,000 cells per requested page
+const MAX_CELLS_PER_PAGE = 10000;
+
+export function cellText(cell) {
+  if (!cell || cell.qIsNull) return '';
+  if (cell.qText !== undefined && cell.qText !== null) return String(cell.qText);
+  return typeof cell.qNum === 'number' && !Number.isNaN(cell.qNum) ? String(cell.qNum) : '';
+}
+
+// Column titles in qMatrix order (dimensions then measures unless qColumnOrder says otherwise)
+export function getColumns(hyperCube) {
+  const dims = (hyperCube?.qDimensionInfo || []).map((info) => ({
+    title: info.qFallbackTitle || info.qGroupFieldDefs?.[0] || 'Dimension',
+    type: 'dimension',
+  }));
+  const measures = (hyperCube?.qMeasureInfo || []).map((info) => ({
+    title: info.qFallbackTitle || 'Measure',
+    type: 'measure',
+  }));
+  let columns = [...dims, ...measures];
+
+  const order = hyperCube?.qColumnOrder;
+  if (Array.isArray(order) && order.length === columns.length) {
+    columns = order.map((index) => columns[index]);
+  }
+
+  // Duplicate titles would collide as JSON keys
+  const seen = {};
+  return columns.map((column, index) => {
+    seen[column.title] = (seen[column.title] || 0) + 1;
+    const title = seen[column.title] > 1 ? `${column.title} (${seen[column.title]})` : column.title;
+    return { ...column, title, index };
+  });
+}
+
+// ===== Formats =====
+
+const csvValue = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+const markdownValue = (value) => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const FORMATTERS = {
+  csv: {
+    header: (columns) => `${columns.map((c) => csvValue(c.title)).join(',')}\n`,
+    row: (columns, values) => `${values.map(csvValue).join(',')}\n`,
+    footer: () => '',
+  },
+  markdown: {
+    header: (columns) => `| ${columns.map((c) => markdownValue(c.title)).join(' | ')} |\n`
+      + `| ${columns.map((c) => (c.type === 'measure' ? '---:' : '---')).join(' | ')} |\n`,
+    row: (columns, values) => `| ${values.map(markdownValue).join(' | ')} |\n`,
+    footer: () => '',
+  },
+  json: {
+    header: () => '[\n',
+    row: (columns, values, index) => `${index > 0 ? ',\n' : ''}  ${JSON.stringify(
+      Object.fromEntries(columns.map((c, i) => [c.title, values[i]])),
+    )}`,
+    footer: () => '\n]\n',
+  },
+  keyvalue: {
+    header: () => '',
+    row: (columns, values, index) => `Row ${index + 1}: ${columns.map((c, i) => `${c.title} = ${values[i]}`).join('; ')}\n`,
+    footer: () => '',
+  },
+};
+
+export function resolveDataContextOptions(props = {}) {
+  const number = (value, fallback, min) => {
+    const n = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(n)
+      ? fallback
+      : Math.max(min, Math.round(n));
+  };
+  return {
+    format: FORMATTERS[props.dataContextFormat] ? props.dataContextFormat : DATA_CONTEXT_DEFAULTS.format,
+    maxRows: number(props.dataContextMaxRows, DATA_CONTEXT_DEFAULTS.maxRows, 0),
+    maxColumns: number(props.dataContextMaxColumns, DATA_CONTEXT_DEFAULTS.maxColumns, 1),
+    charBudget: number(props.dataContextCharBudget, DATA_CONTEXT_DEFAULTS.charBudget, 0),
+  };
+}
+
+/**
+ * Visits qMatrix rows in order: the initial page first, then getHyperCubeData pages.
+ * visit(row) may return false to stop - no further pages are fetched then.
+ */
+export async function forEachRow(hyperCube, width, rowLimit, fetchPage, visit) {
+  const initial = hyperCube?.qDataPages?.[0];
+  let rows = [];
+  if (initial && (initial.qArea?.qLeft || 0) === 0 && (initial.qArea?.qTop || 0) === 0) {
+    const initialWidth = initial.qArea?.qWidth ?? initial.qMatrix?.[0]?.length ?? 0;
+    if (initialWidth >= width) rows = initial.qMatrix || [];
+  }
+
+  // Visits rows up to the limit; true while more rows are wanted
+  let top = 0;
+  const visitRows = (matrix) => matrix.every((row) => {
+    if (top >= rowLimit) return false;
+    top++;
+    return visit(row) !== false;
+  }) && top < rowLimit;
+
+  if (!visitRows(rows) || !fetchPage) return;
+  const pageHeight = Math.max(1, Math.floor(MAX_CELLS_PER_PAGE / Math.max(1, width)));
+  const fetchNext = async () => {
+    const qHeight = Math.min(pageHeight, rowLimit - top);
+    const pages = await fetchPage([{
+      qTop: top, qLeft: 0, qWidth: width, qHeight,
+    }]);
+    const matrix = pages?.[0]?.qMatrix || [];
+    if (matrix.length > 0 && visitRows(matrix)) await fetchNext();
+  };
+  await fetchNext();
+}
+
+/**
+ * Build the data context for a prompt.
+ * fetchPage(pages) should call model.getHyperCubeData("/qHyperCubeDef", pages); without it
+ * only the rows already in the layout are used.
+ * Returns { text, rowsIncluded, totalRows, columnsIncluded, totalColumns, truncated }.
+ */
+export async function buildDataContext(hyperCube, options = {}, fetchPage = null) {
+  const {
+    format, maxRows, maxColumns, charBudget,
+  } = { ...DATA_CONTEXT_DEFAULTS, ...options };
+  const formatter = FORMATTERS[format] || FORMATTERS.csv;
+
+  const allColumns = getColumns(hyperCube);
+  const totalRows = hyperCube?.qSize?.qcy ?? hyperCube?.qDataPages?.[0]?.qMatrix?.length ?? 0;
+  const columns = allColumns.slice(0, maxColumns);
+  const result = {
+    text: '',
+    rowsIncluded: 0,
+    totalRows,
+    columnsIncluded: columns.length,
+    totalColumns: allColumns.length,
+    truncated: false,
+  };
+
+  if (columns.length === 0 || totalRows === 0 || maxRows === 0) {
+    result.truncated = totalRows > 0;
+    return result;
+  }
+
+  const header = formatter.header(columns);
+  const footer = formatter.footer(columns);
+  let body = '';
+  const rowLimit = Math.min(maxRows, totalRows);
+
+  await forEachRow(hyperCube, columns.length, rowLimit, fetchPage, (row) => {
+    const values = columns.map((column) => cellText(row[column.index]));
+    const chunk = formatter.row(columns, values, result.rowsIncluded);
+    if (header.length + body.length + chunk.length + footer.length > charBudget) {
+      return false;
+    }
+    body += chunk;
+    result.rowsIncluded++;
+    return true;
+  });
+
+  result.truncated = result.rowsIncluded < totalRows || result.columnsIncluded < result.totalColumns;
+  result.text = result.rowsIncluded > 0 ? header + body + footer : '';
+  return result;
+}
+
+// One row as "Title: value" lines, for prompts about a single row
+export function formatRowRecord(columns, row) {
+  return columns.map((column) => `${column.title}: ${cellText(row[column.index])}`).join('\n');
+}
+
+// Heading line that tells the model how much of the data it is looking at
+export function describeDataContext(context, format, title = 'Data') {
+  const label = DATA_FORMATS.find((f) => f.value === format)?.label || 'CSV with headers';
+  let description = `${title} (${label}, ${context.rowsIncluded} of ${context.totalRows} rows`;
+  if (context.columnsIncluded < context.totalColumns) {
+    description += `, ${context.columnsIncluded} of ${context.totalColumns} columns`;
+  }
+  return `${description}):`;
+}
@@ -1,16 +1,39 @@
 // Streamlined ext.js - Simple custom expression validation with fixed examples
-// Helper function for placeholder detection
-function detectPlaceholdersInPrompts(systemPrompt, userPrompt) {
-  const combined = `${systemPrompt} ${userPrompt}`;
-  const regex = /\{\{([^}]+)\}\}/g;
-  const matches = [...combined.matchAll(regex)];
-
-  return matches.map((match) => ({
-    placeholder: match[0],
-    fieldName: match[1].trim(),
-    position: match.index,
-    source: match.index < systemPrompt.length ? "system" : "user",
-  }));
+import {
+  getProvider,
+  getProviderOptions,
+  getProviderParameterItems,
+} from './providers';
+import { DATA_FORMATS, DATA_CONTEXT_DEFAULTS } from './data-context';
+import { DEFAULT_JSON_SCHEMA, parseSchema } from './json-schema';
+import { detectTemplateFields } from './prompt-template';
+import { resolveNamedExpressions } from './qlik-expressions';
+import { CONTEXT_BLOCK_POSITIONS, CONTEXT_BLOCK_DEFAULTS } from './context-block';
+import { USAGE_BUDGET_UNITS, USAGE_BUDGET_SCOPES, getUsagePriceItems } from './usage';
+import { RETRY_DEFAULTS } from './retry';
+import {
+  VALIDATION_MODES,
+  ROW_COUNT_DEFAULTS,
+  resolveValidationMode,
+  VALIDATION_RULE_TYPES,
+  VALIDATION_COMPARISONS,
+  compileRule,
+  describeRule,
+  resolveValidationChecks,
+  previewCheck,
+  describeCheckPreview,
+} from './validation-rules';
+import {
+  HEADER_DEFAULTS,
+  HEADER_SUMMARY_MODES,
+  HEADER_SUMMARY_SHOW,
+  describeSummaryField,
+} from './header-summary';
+
+// Helper function for placeholder detection - {{Revenue|sum}} counts as the {{Revenue}} mapping,
+// named expressions need no mapping
+function detectPlaceholdersInPrompts(systemPrompt, userPrompt, props) {
+  return detectTemplateFields(systemPrompt, userPrompt, [...resolveNamedExpressions(props).keys()]);
 }
 
 export default {
@@ -28,23 +51,152 @@ export default {
         type: "items",
         label: "Selection Validation",
         items: {
-          // Enable custom validation
-          enableCustomValidation: {
-            type: "boolean",
-            label: "Enable Custom Selection Validation",
-            ref: "props.enableCustomValidation",
-            defaultValue: false,
+          // What has to hold before the AI is called - see validation-rules.js
+          validationMode: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Validation mode',
+            ref: 'props.validationMode',
+            defaultValue: 'none',
+            options: VALIDATION_MODES,
+          },
+          // Objects saved before the mode selector keep their custom rules until a mode is picked
+          legacyValidationNote: {
+            type: 'string',
+            component: 'text',
+            label: 'Custom rules are active (from the earlier custom validation switch) until a mode is picked above.',
+            show(data) {
+              return !data.props?.validationMode && data.props?.enableCustomValidation === true;
+            },
+          },
+          validationMinRows: {
+            type: 'integer',
+            label: 'Minimum rows',
+            ref: 'props.validationMinRows',
+            defaultValue: ROW_COUNT_DEFAULTS.minRows,
+            min: 0,
+            show(data) {
+              return resolveValidationMode(data.props) === 'rowCount';
+            },
+          },
+          validationMaxRows: {
+            type: 'integer',
+            label: 'Maximum rows',
+            ref: 'props.validationMaxRows',
+            defaultValue: ROW_COUNT_DEFAULTS.maxRows,
+            min: 1,
+            show(data) {
+              return resolveValidationMode(data.props) === 'rowCount';
+            },
+          },
+
+          // Rule builder - each rule compiles to a Qlik expression, see validation-rules.js
+          validationRules: {
+            type: 'array',
+            ref: 'props.validationRules',
+            label: 'Validation rules',
+            itemTitleRef(data) {
+              return data.name || describeRule(data);
+            },
+            allowAdd: true,
+            allowRemove: true,
+            addTranslation: 'Add rule',
+            show(data) {
+              return resolveValidationMode(data.props) === 'custom';
+            },
+            items: {
+              name: {
+                type: 'string',
+                label: 'Rule name',
+                ref: 'name',
+                defaultValue: '',
+              },
+              type: {
+                type: 'string',
+                component: 'dropdown',
+                label: 'Rule',
+                ref: 'type',
+                defaultValue: 'selected',
+                options: VALIDATION_RULE_TYPES,
+              },
+              field: {
+                type: 'string',
+                label: 'Field',
+                ref: 'field',
+                defaultValue: '',
+                show(data) {
+                  return data.type !== 'expression';
+                },
+              },
+              comparison: {
+                type: 'string',
+                component: 'dropdown',
+                label: 'Count',
+                ref: 'comparison',
+                defaultValue: 'eq',
+                options: VALIDATION_COMPARISONS.map(({ value, label }) => ({ value, label })),
+                show(data) {
+                  return data.type !== 'expression';
+                },
+              },
+              count: {
+                type: 'integer',
+                label: 'Number of values',
+                ref: 'count',
+                defaultValue: 1,
+                min: 0,
+                show(data) {
+                  return data.type !== 'expression';
+                },
+              },
+              expression: {
+                type: 'string',
+                component: 'textarea',
+                label: 'Expression (true when non-zero)',
+                ref: 'expression',
+                defaultValue: '',
+                rows: 2,
+                show(data) {
+                  return data.type === 'expression';
+                },
+              },
+              message: {
+                type: 'string',
+                component: 'textarea',
+                label: 'Message when the rule fails',
+                ref: 'message',
+                defaultValue: '',
+                rows: 2,
+              },
+              compiled: {
+                type: 'string',
+                component: 'text',
+                label(data) {
+                  const compiled = compileRule(data);
+                  return compiled.error ? `⚠️ ${compiled.error}` : `Qlik: ${compiled.expression}`;
+                },
+              },
+              preview: {
+                type: 'string',
+                component: 'text',
+                label(data, handler) {
+                  const compiled = compileRule(data);
+                  if (compiled.error) return '';
+                  return `Current selections: ${describeCheckPreview(previewCheck(handler, compiled.expression))}`;
+                },
+              },
+            },
           },
 
-          // Custom expression validation
+          // Raw expression - escape hatch for conditions the builder cannot express
           customValidationExpression: {
             type: "string",
             component: "textarea",
-            label: "Custom Validation Expression",
+            label: 'Raw validation expression (optional, checked with the rules)',
             ref: "props.customValidationExpression",
-            defaultValue: "GetSelectedCount(automl_feature)=1",
+            defaultValue: '',
             show: function (data) {
-              return data.props?.enableCustomValidation === true;
+              return resolveValidationMode(data.props) === 'custom';
             },
             rows: 3,
           },
@@ -52,34 +204,64 @@ export default {
           customValidationMessage: {
             type: "string",
             component: "textarea",
-            label: "Custom Validation Error Message",
+            label: 'General validation message',
             ref: "props.customValidationMessage",
             defaultValue:
               "Please make the required selections to proceed with AI analysis",
             show: function (data) {
-              return data.props?.enableCustomValidation === true;
+              return resolveValidationMode(data.props) === 'custom';
             },
             rows: 2,
           },
 
-          // Expression validation status indicator
-          validationStatus: {
+          // Live result of the raw expression against the current selections
+          customValidationPreview: {
             type: "string",
             component: "text",
-            label: "Expression Status",
+            label(data, handler) {
+              const expression = String(data.props?.customValidationExpression || '')
+                .trim()
+                .replace(/^=\s*/, '');
+              return `Current selections: ${describeCheckPreview(previewCheck(handler, expression))}`;
+            },
             show: function (data) {
-              if (data.props?.enableCustomValidation !== true) {
-                return false;
+              return (
+                resolveValidationMode(data.props) === 'custom'
+                && String(data.props?.customValidationExpression || '').trim() !== ''
+              );
+            },
+          },
+
+          // Validation status - every check evaluated by the panel against the current selections
+          validationStatus: {
+            type: 'string',
+            component: 'text',
+            label(data, handler) {
+              const checks = resolveValidationChecks(data.props);
+              const incomplete = checks.filter((check) => check.error).length;
+              const details = checks.map((check) => previewCheck(handler, check.expression));
+              const errors = details.filter((detail) => detail?.error).length;
+              const passed = details.filter((detail) => detail?.valid).length;
+
+              if (checks.length === 0) {
+                return '⚠️ Please add a validation rule or a raw expression above';
               }
-              
-              const expression = data.props?.customValidationExpression || "";
-              const hasExpression = expression.trim() !== "";
-              
-              if (hasExpression) {
-                return "✅ Custom validation expression configured";
-              } else {
-                return "⚠️ Please enter a validation expression above";
+              if (incomplete > 0) {
+                return `⚠️ ${incomplete} rule(s) incomplete`;
+              }
+              if (details.some((detail) => detail?.unavailable)) {
+                return `${checks.length} validation check(s) configured`;
+              }
+              if (errors > 0) {
+                return `⚠️ ${errors} expression(s) rejected by the engine - see the rule previews`;
+              }
+              if (details.some((detail) => !detail)) {
+                return `⏳ Evaluating ${checks.length} validation check(s) against the current selections...`;
               }
+              return `${passed === details.length ? '✅' : '⬜'} ${passed} of ${details.length} check(s) pass with the current selections`;
+            },
+            show(data) {
+              return resolveValidationMode(data.props) === 'custom';
             },
           },
 
@@ -90,9 +272,9 @@ export default {
             label: "Expression Examples",
             ref: "props.validationHelp",
             defaultValue:
-              "• Single selection: GetSelectedCount(automl_feature)=1\n• Multiple fields: GetSelectedCount(Customer)=1 and GetSelectedCount(Invoice)=1\n• With conditions: GetSelectedCount(Account)=1 and Sum(Amount) > 0\n• Multiple allowed: GetSelectedCount(Region)>=1\n• Alternative function: GetPossibleCount([FieldName])=1",
+              'Every rule and the raw expression must be true. Qlik semantics apply: any non-zero result is true, 0 and null are false.\n• Single selection: Selected values in field, Exactly 1, Customer\n• Multiple allowed: Selected values in field, At least 1, Region\n• Condition: Expression is true, Sum(Amount) > 0\n• Raw: GetSelectedCount(Customer)=1 or GetSelectedCount(Invoice)=1',
             show: function (data) {
-              return data.props?.enableCustomValidation === true;
+              return resolveValidationMode(data.props) === 'custom';
             },
             rows: 6,
             readOnly: true,
@@ -117,35 +299,26 @@ export default {
             label: "AI Service",
             ref: "props.connectionType",
             defaultValue: "claude",
-            options: [
-              {
-                value: "claude",
-                label: "🤖 Claude 3.5 Sonnet (External Connection)",
-              },
-            ],
+            options: getProviderOptions(),
           },
           connectionName: {
             type: "string",
-            label: "Claude Connection Name",
+            label(data) {
+              return `${getProvider(data.props?.connectionType).name} Connection Name`;
+            },
             ref: "props.connectionName",
             defaultValue:
               "CSO AI Practice - Churn ML Project Workspace:Anthropic_Claude35Sonnet_ChurnML",
-            show: function (data) {
-              return data.props?.connectionType === "claude";
-            },
           },
           connectionInfo: {
             type: "string",
             component: "text",
-            label: "Service Info",
-            show: function (data) {
-              return data.props?.connectionType === "claude";
+            label(data) {
+              return getProvider(data.props?.connectionType).description;
             },
-            defaultValue:
-              "ℹ️ Uses external Claude SSE connection configured in data connection for advanced analysis.",
           },
 
-          // NEW: Smart Field Mapping Button - Always show for Claude
+          // NEW: Smart Field Mapping Button - Available for every provider
           smartFieldMapping: {
             type: "string",
             component: "button",
@@ -161,10 +334,6 @@ export default {
                 );
               }
             },
-            show: function (data) {
-              const isClaudeSelected = data.props?.connectionType === "claude";
-              return isClaudeSelected;
-            },
           },
 
           // NEW: Field Mapping Status Display
@@ -183,7 +352,8 @@ export default {
 
               const allPlaceholders = detectPlaceholdersInPrompts(
                 systemPrompt,
-                userPrompt
+                userPrompt,
+                data.props,
               );
 
               if (allPlaceholders.length === 0) {
@@ -237,54 +407,579 @@ export default {
             show: false, // Hidden from UI
           },
 
-          temperature: {
-            type: "number",
-            component: "slider",
-            label: "Temperature",
-            ref: "props.temperature",
+          // Auto-generate when the selection becomes valid
+          autoGenerate: {
+            type: 'boolean',
+            label: 'Auto-generate on selection change',
+            ref: 'props.autoGenerate',
+            defaultValue: false,
+          },
+          autoGenerateDebounce: {
+            type: 'integer',
+            label: 'Wait after last selection change (ms)',
+            ref: 'props.autoGenerateDebounce',
+            defaultValue: 1500,
             min: 0,
-            max: 1,
-            step: 0.1,
-            defaultValue: 0.7,
-            show: function (data) {
-              const connectionType = data.props?.connectionType || "claude";
-              return connectionType === "claude";
+            max: 30000,
+            show(data) {
+              return data.props?.autoGenerate === true;
             },
           },
-          topK: {
-            type: "integer",
-            label: "Top K",
-            ref: "props.topK",
-            defaultValue: 250,
+          autoGenerateMaxCalls: {
+            type: 'integer',
+            label: 'Max automatic calls per session',
+            ref: 'props.autoGenerateMaxCalls',
+            defaultValue: 20,
             min: 1,
             max: 500,
-            show: function (data) {
-              const connectionType = data.props?.connectionType || "claude";
-              return connectionType === "claude";
+            show(data) {
+              return data.props?.autoGenerate === true;
+            },
+          },
+
+          // Response cache - identical prompts are answered from the browser
+          responseCacheEnabled: {
+            type: 'boolean',
+            label: 'Cache responses',
+            ref: 'props.responseCacheEnabled',
+            defaultValue: true,
+          },
+          responseCacheTtlMinutes: {
+            type: 'integer',
+            label: 'Cache lifetime (minutes)',
+            ref: 'props.responseCacheTtlMinutes',
+            defaultValue: 60,
+            min: 1,
+            max: 10080,
+            show(data) {
+              return data.props?.responseCacheEnabled !== false;
             },
           },
-          topP: {
-            type: "number",
-            label: "Top P",
-            ref: "props.topP",
-            defaultValue: 1,
+
+          // Timeout and retries of each call - see retry.js
+          requestTimeoutSeconds: {
+            type: 'integer',
+            label: 'Request timeout (seconds)',
+            ref: 'props.requestTimeoutSeconds',
+            defaultValue: RETRY_DEFAULTS.timeoutSeconds,
+            min: 5,
+            max: 600,
+          },
+          requestRetries: {
+            type: 'integer',
+            label: 'Retries on transient errors',
+            ref: 'props.requestRetries',
+            defaultValue: RETRY_DEFAULTS.retries,
             min: 0,
-            max: 1,
-            show: function (data) {
-              const connectionType = data.props?.connectionType || "claude";
-              return connectionType === "claude";
+            max: 5,
+          },
+          requestBackoffSeconds: {
+            type: 'number',
+            label: 'First retry delay (seconds, doubles each retry)',
+            ref: 'props.requestBackoffSeconds',
+            defaultValue: RETRY_DEFAULTS.backoffSeconds,
+            min: 0,
+            max: 60,
+            show(data) {
+              return Number(data.props?.requestRetries ?? RETRY_DEFAULTS.retries) > 0;
             },
           },
-          maxTokens: {
-            type: "integer",
-            label: "Max Tokens",
-            ref: "props.maxTokens",
-            defaultValue: 1000,
-            min: 100,
-            max: 4000,
-            show: function (data) {
-              const connectionType = data.props?.connectionType || "claude";
-              return connectionType === "claude";
+
+          // Model parameters declared by the selected provider
+          ...getProviderParameterItems(),
+        },
+      },
+
+      // Prices and the soft budget for the usage popover
+      usage: {
+        type: 'items',
+        label: 'Usage & Budget',
+        items: {
+          ...getUsagePriceItems(),
+          usageBudgetEnabled: {
+            type: 'boolean',
+            label: 'Usage budget',
+            ref: 'props.usageBudgetEnabled',
+            defaultValue: false,
+          },
+          usageBudgetUnit: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Budget in',
+            ref: 'props.usageBudgetUnit',
+            defaultValue: 'cost',
+            options: USAGE_BUDGET_UNITS,
+            show(data) {
+              return data.props?.usageBudgetEnabled === true;
+            },
+          },
+          usageBudgetLimit: {
+            type: 'number',
+            label: 'Budget limit',
+            ref: 'props.usageBudgetLimit',
+            defaultValue: 0,
+            min: 0,
+            show(data) {
+              return data.props?.usageBudgetEnabled === true;
+            },
+          },
+          usageBudgetScope: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Budget applies to',
+            ref: 'props.usageBudgetScope',
+            defaultValue: 'session',
+            options: USAGE_BUDGET_SCOPES,
+            show(data) {
+              return data.props?.usageBudgetEnabled === true;
+            },
+          },
+          usageHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'Tokens are estimated from the prompt and answer text. Once the budget is used up, new calls are refused until the limit is raised or the usage is cleared; cached answers are still shown.',
+          },
+        },
+      },
+
+      // How hypercube data is serialized into the prompt
+      dataContext: {
+        type: 'items',
+        label: 'Data Context',
+        items: {
+          dataContextFormat: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Data format',
+            ref: 'props.dataContextFormat',
+            defaultValue: DATA_CONTEXT_DEFAULTS.format,
+            options: DATA_FORMATS,
+          },
+          dataContextMaxRows: {
+            type: 'integer',
+            label: 'Max rows',
+            ref: 'props.dataContextMaxRows',
+            defaultValue: DATA_CONTEXT_DEFAULTS.maxRows,
+            min: 0,
+            max: 10000,
+          },
+          dataContextMaxColumns: {
+            type: 'integer',
+            label: 'Max columns',
+            ref: 'props.dataContextMaxColumns',
+            defaultValue: DATA_CONTEXT_DEFAULTS.maxColumns,
+            min: 1,
+            max: 100,
+          },
+          dataContextCharBudget: {
+            type: 'integer',
+            label: 'Character budget',
+            ref: 'props.dataContextCharBudget',
+            defaultValue: DATA_CONTEXT_DEFAULTS.charBudget,
+            min: 0,
+            max: 200000,
+          },
+          dataContextHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'Rows are added whole until the row limit or character budget is reached. Rows beyond the initial fetch are paged in from the engine.',
+          },
+        },
+      },
+
+      // Key/value variables as prompt placeholders
+      variables: {
+        type: 'items',
+        label: 'Prompt Variables',
+        items: {
+          promptVariables: {
+            type: 'array',
+            ref: 'props.promptVariables',
+            label: 'Variables',
+            itemTitleRef: 'name',
+            allowAdd: true,
+            allowRemove: true,
+            addTranslation: 'Add variable',
+            items: {
+              name: {
+                type: 'string',
+                ref: 'name',
+                label: 'Name',
+                defaultValue: '',
+              },
+              value: {
+                type: 'string',
+                ref: 'value',
+                label: 'Value',
+                defaultValue: '',
+              },
+            },
+          },
+          variablesHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'Use a variable as {{$name}}. Names not in this list are looked up as app variables, e.g. {{$vCurrentQuarter}}, and read when the prompt is built.',
+          },
+        },
+      },
+
+      // Qlik expressions as prompt placeholders
+      expressions: {
+        type: 'items',
+        label: 'Prompt Expressions',
+        items: {
+          expressionPlaceholders: {
+            type: 'array',
+            ref: 'props.expressionPlaceholders',
+            label: 'Named expressions',
+            itemTitleRef: 'name',
+            allowAdd: true,
+            allowRemove: true,
+            addTranslation: 'Add expression',
+            items: {
+              name: {
+                type: 'string',
+                ref: 'name',
+                label: 'Placeholder name',
+                defaultValue: '',
+              },
+              expression: {
+                type: 'string',
+                ref: 'expression',
+                label: 'Qlik expression',
+                defaultValue: '',
+              },
+            },
+          },
+          expressionHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              "A named expression 'Target' = Sum(Target) is used as {{Target}}. Expressions can also be written inline: {{=Sum({<Year={2024}>} Sales)}}. Results are evaluated with the prompt and reused until the selections change.",
+          },
+        },
+      },
+
+      // Supplemental context placed around the user prompt
+      contextBlock: {
+        type: 'items',
+        label: 'Context Block',
+        items: {
+          contextBlock: {
+            type: 'string',
+            component: 'textarea',
+            label: 'Context block',
+            ref: 'props.contextBlock',
+            defaultValue: '',
+            rows: 6,
+          },
+          contextBlockPosition: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Position',
+            ref: 'props.contextBlockPosition',
+            defaultValue: CONTEXT_BLOCK_DEFAULTS.position,
+            options: CONTEXT_BLOCK_POSITIONS,
+          },
+          contextBlockCharBudget: {
+            type: 'integer',
+            label: 'Character budget',
+            ref: 'props.contextBlockCharBudget',
+            defaultValue: CONTEXT_BLOCK_DEFAULTS.charBudget,
+            min: 0,
+            max: 100000,
+          },
+          contextTableEnabled: {
+            type: 'boolean',
+            label: 'Add a context table',
+            ref: 'props.contextTableEnabled',
+            defaultValue: false,
+          },
+          contextTableFields: {
+            type: 'array',
+            ref: 'props.contextTableFields',
+            label: 'Context table columns',
+            itemTitleRef: 'label',
+            allowAdd: true,
+            allowRemove: true,
+            addTranslation: 'Add column',
+            show(data) {
+              return data.props?.contextTableEnabled === true;
+            },
+            items: {
+              label: {
+                type: 'string',
+                ref: 'label',
+                label: 'Label',
+                defaultValue: '',
+              },
+              type: {
+                type: 'string',
+                component: 'dropdown',
+                ref: 'type',
+                label: 'Type',
+                defaultValue: 'dimension',
+                options: [
+                  { value: 'dimension', label: 'Dimension (field)' },
+                  { value: 'measure', label: 'Measure (expression)' },
+                ],
+              },
+              definition: {
+                type: 'string',
+                ref: 'definition',
+                label: 'Field or expression',
+                defaultValue: '',
+              },
+            },
+          },
+          contextTableMaxRows: {
+            type: 'integer',
+            label: 'Context table max rows',
+            ref: 'props.contextTableMaxRows',
+            defaultValue: CONTEXT_BLOCK_DEFAULTS.tableMaxRows,
+            min: 1,
+            max: 1000,
+            show(data) {
+              return data.props?.contextTableEnabled === true;
+            },
+          },
+          contextBlockHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'The block takes the same placeholders as the prompts, e.g. {{Churn Risk|max}} or {{=Sum(Sales)}}. The context table (e.g. feature importances) is built from its own columns in the current selection state and uses the Data Context format. Text comes first; the table gets whole rows from the budget that is left.',
+          },
+        },
+      },
+
+      // One answer per hypercube row
+      batch: {
+        type: 'items',
+        label: 'Batch Generation',
+        items: {
+          batchMode: {
+            type: 'boolean',
+            label: 'Generate one answer per row',
+            ref: 'props.batchMode',
+            defaultValue: false,
+          },
+          batchMaxRows: {
+            type: 'integer',
+            label: 'Max rows',
+            ref: 'props.batchMaxRows',
+            defaultValue: 50,
+            min: 1,
+            max: 1000,
+            show(data) {
+              return data.props?.batchMode === true;
+            },
+          },
+          batchConcurrency: {
+            type: 'integer',
+            label: 'Parallel requests',
+            ref: 'props.batchConcurrency',
+            defaultValue: 3,
+            min: 1,
+            max: 10,
+            show(data) {
+              return data.props?.batchMode === true;
+            },
+          },
+          batchHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'Mapped placeholders take the values of each row; the row itself is appended to the prompt.',
+            show(data) {
+              return data.props?.batchMode === true;
+            },
+          },
+        },
+      },
+
+      // Free text or structured JSON answers
+      responseFormat: {
+        type: 'items',
+        label: 'Response Format',
+        items: {
+          responseMode: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Response mode',
+            ref: 'props.responseMode',
+            defaultValue: 'text',
+            options: [
+              { value: 'text', label: 'Text (markdown)' },
+              { value: 'json', label: 'Structured JSON' },
+            ],
+          },
+          jsonSchema: {
+            type: 'string',
+            component: 'textarea',
+            label: 'JSON schema',
+            ref: 'props.jsonSchema',
+            defaultValue: DEFAULT_JSON_SCHEMA,
+            rows: 12,
+            show(data) {
+              return data.props?.responseMode === 'json';
+            },
+          },
+          jsonSchemaStatus: {
+            type: 'string',
+            component: 'text',
+            label(data) {
+              const { error } = parseSchema(data.props?.jsonSchema);
+              return error
+                ? `⚠️ ${error}`
+                : '✅ Schema is appended to the prompt; fields are shown as cards';
+            },
+            show(data) {
+              return data.props?.responseMode === 'json';
+            },
+          },
+        },
+      },
+
+      // Multi-turn conversation settings
+      conversation: {
+        type: 'items',
+        label: 'Conversation',
+        items: {
+          conversationMode: {
+            type: 'boolean',
+            label: 'Enable follow-up questions',
+            ref: 'props.conversationMode',
+            defaultValue: false,
+          },
+          conversationHistoryTurns: {
+            type: 'integer',
+            label: 'Exchanges sent as history',
+            ref: 'props.conversationHistoryTurns',
+            defaultValue: 5,
+            min: 1,
+            max: 20,
+            show(data) {
+              return data.props?.conversationMode === true;
+            },
+          },
+          conversationHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              'The first analysis is always kept; older follow-ups are dropped once the window is full.',
+            show(data) {
+              return data.props?.conversationMode === true;
+            },
+          },
+        },
+      },
+
+      // Header title, icon and subtitle - see header-summary.js
+      header: {
+        type: 'items',
+        label: 'Header',
+        items: {
+          headerTitle: {
+            type: 'string',
+            label: 'Title',
+            ref: 'props.headerTitle',
+            defaultValue: HEADER_DEFAULTS.title,
+          },
+          headerIcon: {
+            type: 'string',
+            label: 'Icon (emoji or text, empty for none)',
+            ref: 'props.headerIcon',
+            defaultValue: HEADER_DEFAULTS.icon,
+          },
+          headerSummaryMode: {
+            type: 'string',
+            component: 'dropdown',
+            label: 'Subtitle',
+            ref: 'props.headerSummaryMode',
+            defaultValue: 'none',
+            options: HEADER_SUMMARY_MODES,
+          },
+          // Objects saved before the Header section keep their account/risk subtitle
+          legacyHeaderNote: {
+            type: 'string',
+            component: 'text',
+            label:
+              'The earlier subtitle (validated field or account, and risk) is shown until a subtitle is picked above.',
+            show(data) {
+              return data.props?.headerSummaryMode === undefined || data.props?.headerSummaryMode === null;
+            },
+          },
+          headerSummaryFields: {
+            type: 'array',
+            ref: 'props.headerSummaryFields',
+            label: 'Subtitle fields',
+            itemTitleRef(data) {
+              return describeSummaryField(data);
+            },
+            allowAdd: true,
+            allowRemove: true,
+            addTranslation: 'Add field',
+            show(data) {
+              return data.props?.headerSummaryMode === 'fields';
+            },
+            items: {
+              field: {
+                type: 'string',
+                label: 'Dimension or measure (title)',
+                ref: 'field',
+                defaultValue: '',
+              },
+              label: {
+                type: 'string',
+                label: 'Label (empty for the title)',
+                ref: 'label',
+                defaultValue: '',
+              },
+              show: {
+                type: 'string',
+                component: 'dropdown',
+                label: 'Show',
+                ref: 'show',
+                defaultValue: 'first',
+                options: HEADER_SUMMARY_SHOW,
+              },
+              format: {
+                type: 'string',
+                label: 'Number format (e.g. $#,##0 or 0.0%)',
+                ref: 'format',
+                defaultValue: '',
+              },
+            },
+          },
+          headerSummaryExpression: {
+            type: 'string',
+            component: 'textarea',
+            label: 'Subtitle expression',
+            ref: 'props.headerSummaryExpression',
+            defaultValue: '',
+            show(data) {
+              return data.props?.headerSummaryMode === 'expression';
+            },
+          },
+          headerSummarySeparator: {
+            type: 'string',
+            label: 'Separator between fields',
+            ref: 'props.headerSummarySeparator',
+            defaultValue: HEADER_DEFAULTS.separator,
+            show(data) {
+              return data.props?.headerSummaryMode === 'fields';
+            },
+          },
+          headerSummaryHelp: {
+            type: 'string',
+            component: 'text',
+            label:
+              "The subtitle shows once the selection is valid. Fields are read from the rows the object has loaded; an expression is evaluated in the current selection state, e.g. ='Region: ' & Only(Region) & ' | Variance: ' & Num(Sum(Actual) - Sum(Budget), '#,##0').",
+            show(data) {
+              return (data.props?.headerSummaryMode || 'none') !== 'none';
             },
           },
         },
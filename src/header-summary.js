@@ -0,0 +1,155 @@
+// header-summary.js - Title, icon and subtitle of the object header
+//
+// The subtitle is configured in the Header section: either a list of dimensions and measures
+// (picked by their title in the hypercube) with what to show of each and an optional number
+// format, or one Qlik expression evaluated in the current selection state. Field values are
+// read from the rows the object has loaded; aggregates use the same modifiers as the prompt
+// placeholders, so "sum" in the header and {{Revenue|sum}} in a prompt agree.
+//
+// Objects saved before the Header section have no subtitle mode. They keep the subtitle the
+// churn app used to show - the validated field (or an account dimension) and a risk, churn or
+// prediction dimension - rebuilt as a field summary until a subtitle is picked.
+
+import { getColumns } from './data-context';
+import { MODIFIERS, formatNumber } from './prompt-template';
+
+export const HEADER_DEFAULTS = {
+  title: 'AI Analysis',
+  icon: '🤖',
+  separator: ' | ',
+};
+
+export const HEADER_SUMMARY_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'fields', label: 'Dimensions and measures' },
+  { value: 'expression', label: 'Qlik expression' },
+];
+
+export const HEADER_SUMMARY_SHOW = [
+  { value: 'first', label: 'First value' },
+  { value: 'values', label: 'Distinct values (up to 3)' },
+  { value: 'count', label: 'Number of distinct values' },
+  { value: 'sum', label: 'Sum' },
+  { value: 'avg', label: 'Average' },
+  { value: 'min', label: 'Minimum' },
+  { value: 'max', label: 'Maximum' },
+];
+
+// Distinct values listed for "values" before "(and n more)"
+const LISTED_VALUES = 3;
+
+export function resolveHeaderOptions(props = {}) {
+  const text = (value, fallback) => (typeof value === 'string' ? value.trim() : fallback);
+  const legacy = props.headerSummaryMode === undefined || props.headerSummaryMode === null;
+  const known = HEADER_SUMMARY_MODES.some((mode) => mode.value === props.headerSummaryMode);
+  const fallbackMode = legacy ? 'fields' : 'none';
+  return {
+    title: text(props.headerTitle, HEADER_DEFAULTS.title),
+    icon: text(props.headerIcon, HEADER_DEFAULTS.icon),
+    mode: known ? props.headerSummaryMode : fallbackMode,
+    legacy,
+    separator:
+      typeof props.headerSummarySeparator === 'string' && props.headerSummarySeparator !== ''
+        ? props.headerSummarySeparator
+        : HEADER_DEFAULTS.separator,
+  };
+}
+
+// Leading "=" is optional, as for every other expression in the panel
+export const headerSummaryExpression = (props = {}) => String(props.headerSummaryExpression || '').trim().replace(/^=\s*/, '');
+
+// "Revenue: Sum, $#,##0" - title of an entry in the panel list
+export function describeSummaryField(entry = {}) {
+  const field = String(entry.field || '').trim() || '(no field)';
+  const show = HEADER_SUMMARY_SHOW.find((option) => option.value === entry.show) || HEADER_SUMMARY_SHOW[0];
+  const format = String(entry.format || '').trim();
+  return `${String(entry.label || '').trim() || field}: ${show.label}${format ? `, ${format}` : ''}`;
+}
+
+const findColumn = (columns, name) => {
+  const wanted = String(name || '').trim().replace(/^\[(.*)\]$/, '$1');
+  return (
+    columns.find((column) => column.title === wanted)
+    || columns.find((column) => column.title.toLowerCase() === wanted.toLowerCase())
+    || null
+  );
+};
+
+const isEmptyText = (text) => text === '' || text === '-';
+
+/**
+ * Subtitle fields of objects saved before the Header section, matching the old output:
+ * "Customer: Acme | Risk: High" when validation names a field, otherwise
+ * "Account: A-1001 | Risk: High". Either part is left out when the dimension is missing.
+ */
+export function legacySummaryFields(hyperCube, validatedField) {
+  const dimensions = getColumns(hyperCube).filter((column) => column.type === 'dimension');
+  const fields = [];
+
+  if (validatedField) {
+    const validated = findColumn(dimensions, validatedField);
+    if (validated) fields.push({ field: validated.title, label: validatedField, show: 'first' });
+  } else {
+    const account = dimensions.find((column) => column.title.toLowerCase().includes('account'));
+    if (account) fields.push({ field: account.title, label: 'Account', show: 'first' });
+  }
+
+  const risk = dimensions.find((column) => /risk|churn|predict/i.test(column.title));
+  if (risk) fields.push({ field: risk.title, label: 'Risk', show: 'first' });
+  return fields;
+}
+
+// Text for one entry, or "" when the rows hold nothing to show
+function summarizeColumn(rows, column, entry) {
+  const pattern = String(entry.format || '').trim();
+  const format = (item) => (pattern && Number.isFinite(item.num) ? formatNumber(item.num, pattern) : item.text);
+  const items = rows
+    .map((row) => row[column.index])
+    .filter((cell) => cell && !cell.qIsNull)
+    .map((cell) => ({
+      text: cell.qText ?? (Number.isFinite(cell.qNum) ? String(cell.qNum) : ''),
+      num: typeof cell.qNum === 'number' ? cell.qNum : NaN,
+    }))
+    .filter((item) => !isEmptyText(item.text));
+  if (items.length === 0) return '';
+
+  const show = HEADER_SUMMARY_SHOW.some((option) => option.value === entry.show) ? entry.show : 'first';
+  if (show === 'first') return format(items[0]);
+  if (show === 'values') {
+    const formatted = items.map((item) => ({ ...item, text: format(item) }));
+    return MODIFIERS.list({ type: 'list', items: formatted }, String(LISTED_VALUES)).text;
+  }
+  const result = MODIFIERS[show]({ type: 'list', items });
+  return Number.isFinite(result.num) ? format(result) : '';
+}
+
+/**
+ * Subtitle from the configured dimensions and measures:
+ * { text: "Customer: Acme | Revenue: $1,204,000", missing: [] }. Entries whose field is not
+ * a dimension or measure of the object are left out of text and listed in missing.
+ * validatedField (the first field validation checks) only matters for older objects.
+ */
+export function buildFieldSummary(hyperCube, props = {}, validatedField = null) {
+  const options = resolveHeaderOptions(props);
+  const configured = Array.isArray(props.headerSummaryFields) ? props.headerSummaryFields : [];
+  const entries = options.legacy ? legacySummaryFields(hyperCube, validatedField) : configured;
+  const columns = getColumns(hyperCube);
+  const rows = hyperCube?.qDataPages?.[0]?.qMatrix || [];
+  const parts = [];
+  const missing = [];
+
+  entries.forEach((entry) => {
+    const field = String(entry?.field || '').trim();
+    if (!field) return;
+    const column = findColumn(columns, field);
+    if (!column) {
+      missing.push(field);
+      return;
+    }
+    const value = summarizeColumn(rows, column, entry);
+    if (!value) return;
+    parts.push(`${String(entry.label || '').trim() || column.title}: ${value}`);
+  });
+
+  return { text: parts.join(options.separator), missing };
+}
@@ -0,0 +1,39 @@
+// history.js - Per-object, per-user history of generations
+//
+// Entries are kept newest first in browser storage (kind "history") so the panel survives
+// reloads without writing answers into the shared app. Long prompts make entries large,
+// so the list is capped and the oldest entries are dropped when storage is full.
+
+import { readStored, writeStored, removeStored } from './storage';
+
+export const HISTORY_LIMIT = 20;
+
+export function loadHistory(objectId) {
+  const stored = readStored('history', objectId, null);
+  return Array.isArray(stored?.entries) ? stored.entries : [];
+}
+
+/**
+ * Adds an entry ({ timestamp, selectionSummary, provider, parameters, prompt, answer, ... })
+ * and returns the updated list.
+ */
+export function addHistoryEntry(objectId, entry, limit = HISTORY_LIMIT) {
+  const record = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    ...entry,
+  };
+  let entries = [record, ...loadHistory(objectId)].slice(0, limit);
+
+  while (entries.length > 0) {
+    if (writeStored('history', objectId, { timestamp: Date.now(), entries })) {
+      return entries;
+    }
+    entries = entries.slice(0, -1); // storage full - drop the oldest entry and retry
+  }
+  return [record];
+}
+
+export function clearHistory(objectId) {
+  removeStored('history', objectId);
+}
@@ -1,7 +1,99 @@
-import { useElement, useLayout, useEffect, useApp, useModel } from "@nebula.js/stardust";
+import {
+  useElement, useLayout, useEffect, useApp, useModel, useState,
+} from '@nebula.js/stardust';
 import objectProperties from "./object-properties";
 import extensionDefinition from "./ext";
 import dataConfiguration from "./data";
+import {
+  getProvider,
+  buildProviderConfig,
+  buildRolePayload,
+  getContextWindow,
+  resolveProviderParameters,
+} from './providers';
+import {
+  readStored, writeStored, removeStored, removeExpired,
+} from './storage';
+import { renderMarkdown, escapeHTML } from './markdown';
+import { buildConversationRequest, flattenRequest } from './conversation';
+import {
+  buildDataContext,
+  describeDataContext,
+  resolveDataContextOptions,
+  cellText,
+  getColumns,
+  forEachRow,
+  formatRowRecord,
+} from './data-context';
+import runWithConcurrency from './batch';
+import {
+  tokenize,
+  parseTag,
+  parseTemplate,
+  renderTemplate,
+  describeTemplateErrors,
+  detectTemplateFields,
+  collectTemplateExpressions,
+  collectTemplateVariables,
+} from './prompt-template';
+import {
+  resolveNamedExpressions,
+  createExpressionCache,
+  evaluateExpressions,
+  readEvaluateResult,
+  qlikErrorMessage,
+  SELECTION_SUMMARY_EXPRESSION,
+} from './qlik-expressions';
+import {
+  resolveValidationChecks,
+  resolveValidationMode,
+  resolveRowCountBounds,
+  checkRowCount,
+  evaluateCheck,
+} from './validation-rules';
+import { resolveVariables, resolveExtensionVariables, listAppVariables } from './variables';
+import { resolveHeaderOptions, headerSummaryExpression, buildFieldSummary } from './header-summary';
+import {
+  resolveContextBlockOptions,
+  buildContextTableDef,
+  fitContextBlock,
+  joinContextBlock,
+  placeContextBlock,
+} from './context-block';
+import {
+  estimateTokens,
+  buildTokenBudget,
+  fitDataCharBudget,
+  formatTokens,
+} from './token-estimator';
+import {
+  resolveRetryOptions,
+  withRetries,
+  withTimeout,
+  isTransientMessage,
+  classifyTransportError,
+} from './retry';
+import { loadHistory, addHistoryEntry, clearHistory } from './history';
+import {
+  loadUsage,
+  recordUsage,
+  clearUsage,
+  resolvePricing,
+  estimateCost,
+  checkUsageBudget,
+  describeBudgetExceeded,
+  formatCost,
+  formatUsageAmount,
+} from './usage';
+import { diffWords, diffStats } from './text-diff';
+import hashString from './utils';
+import { responseCacheKey, readCachedResponse, writeCachedResponse } from './response-cache';
+import {
+  parseSchema,
+  buildSchemaInstructions,
+  buildRepairPrompt,
+  parseStructuredResponse,
+} from './json-schema';
 
 export default function supernova() {
   return {
@@ -16,6 +108,29 @@ export default function supernova() {
       const app = useApp();
       const model = useModel();
 
+      // Per-object runtime state that must survive re-renders (layout changes rebuild the DOM)
+      const [session] = useState(() => ({
+        conversation: [], // [{ role: "user" | "assistant", content, label? }]
+        followUpDraft: '', // follow-up text being typed - kept across re-renders
+        historyOpen: false,
+        usageOpen: false, // usage popover in the header
+        clearPending: null, // "history" | "usage" while its Clear button waits for confirmation
+        historyCompare: [], // ids of the two entries selected for the diff view
+        status: 'idle', // idle | running | complete | error - "stale" is derived in render
+        result: null, // { text, signature, timestamp, note? }
+        error: null,
+        render: null, // latest render(), so async work finishing after a layout change draws into the current DOM
+        requestSeq: 0,
+        activeRequest: null, // { id, signature, auto } of the generation in flight
+        autoTimer: null,
+        autoAttemptedSignature: null, // auto-generate tries each selection state once
+        batch: null, // { columns, rows: [{ labels, status, text?, error? }], total, done, failed, cancelled }
+        expressionCache: createExpressionCache(), // {{=...}} results per selection state
+        budget: null, // { signature, budget } or { signature, error } - token estimate of the prompt
+        budgetPending: null, // signature being estimated
+        budgetTimer: null, // estimate waiting for the selections to settle
+      }));
+
       // Enhanced field extraction that handles multiple fields
       const extractAllFieldsFromExpression = (customExpression) => {
         if (!customExpression) return [];
@@ -40,133 +155,16 @@ export default function supernova() {
         return [];
       };
 
-      // Alternative validation using hypercube data - fully dynamic based on expression
-      const validateUsingHypercubeData = (layout, props) => {
-        const customExpression = props.customValidationExpression;
-        const customMessage =
-          props.customValidationMessage ||
-          "Please make the required selections to proceed with AI analysis";
-
-        if (!layout.qHyperCube?.qDataPages?.[0]?.qMatrix?.length) {
-          return {
-            valid: false,
-            message:
-              "No data available - please add dimensions to the extension",
-            details: [],
-            mode: "hypercube_validation",
-          };
-        }
-
-        const matrix = layout.qHyperCube.qDataPages[0].qMatrix;
-        const dimensionInfo = layout.qHyperCube.qDimensionInfo || [];
-
-        // Extract field name from the custom expression dynamically
-        let fieldName = extractFieldNameFromExpression(customExpression);
-
-        if (!fieldName) {
-          return {
-            valid: false,
-            message: "Could not extract field name from expression",
-            details: [
-              {
-                label: "Expression Analysis",
-                valid: false,
-                message: `Unable to parse field name from: ${customExpression}`,
-                suggestion:
-                  "Use format like GetSelectedCount(FieldName)=1 or GetPossibleCount([FieldName])=1",
-              },
-            ],
-            mode: "hypercube_validation",
-          };
-        }
-
-        // Look for the specified field in dimensions
-        const targetDimIndex = dimensionInfo.findIndex(
-          (dim) =>
-            dim.qFallbackTitle === fieldName ||
-            dim.qFallbackTitle.toLowerCase() === fieldName.toLowerCase()
-        );
-
-        if (targetDimIndex === -1) {
-          return {
-            valid: false,
-            message: `Please add '${fieldName}' as a dimension and make a selection`,
-            details: [
-              {
-                label: "Missing Dimension",
-                valid: false,
-                message: `Field '${fieldName}' not found. Available: ${dimensionInfo
-                  .map((d) => d.qFallbackTitle)
-                  .join(", ")}`,
-                suggestion: `Add '${fieldName}' as a dimension to the extension, or check your expression spelling`,
-                fieldName: fieldName, // Keep the field name for error display
-              },
-            ],
-            mode: "hypercube_validation",
-          };
-        }
-
-        // Check unique values in the target dimension
-        const uniqueValues = [
-          ...new Set(
-            matrix
-              .map(
-                (row) => row[targetDimIndex]?.qText || row[targetDimIndex]?.qNum
-              )
-              .filter((val) => val !== null && val !== undefined && val !== "")
-          ),
-        ];
-
-        const valueCount = uniqueValues.length;
-
-        // Determine if valid based on the expression pattern
-        let isValid = false;
-        let expectedCount = 1; // default
-
-        // Check if expression specifies =1, >=1, >0, etc.
-        if (customExpression.includes("=1")) {
-          expectedCount = 1;
-          isValid = valueCount === 1;
-        } else if (
-          customExpression.includes(">=1") ||
-          customExpression.includes(">0")
-        ) {
-          expectedCount = "1 or more";
-          isValid = valueCount >= 1;
-        } else {
-          // Default to exactly 1
-          expectedCount = 1;
-          isValid = valueCount === 1;
-        }
-
-        return {
-          valid: isValid,
-          message: isValid ? "Selection validation passed" : customMessage,
-          details: [
-            {
-              label: `${fieldName} Selection`,
-              valid: isValid,
-              message: isValid
-                ? `Valid: ${valueCount} value(s) selected from ${fieldName}`
-                : `Invalid: ${valueCount} values found in ${fieldName}, expected ${expectedCount}`,
-              result: valueCount,
-              values: uniqueValues.slice(0, 3),
-              dimensionName: dimensionInfo[targetDimIndex]?.qFallbackTitle,
-              fieldName: fieldName,
-            },
-          ],
-          mode: "hypercube_validation",
-        };
-      };
-
-      // Custom expression validation - with fallback to hypercube validation
+      // Custom validation - every builder rule and the raw expression must be true (Qlik
+      // semantics: non-zero). Engine errors fail the rule and are shown as such; the results
+      // are published for the live preview in the property panel.
       const validateCustomExpression = async (layout, props, app) => {
-        const customExpression = props.customValidationExpression;
         const customMessage =
           props.customValidationMessage ||
           "Please make the required selections to proceed with AI analysis";
+        const checks = resolveValidationChecks(props);
 
-        if (!customExpression || customExpression.trim() === "") {
+        if (checks.length === 0) {
           return {
             valid: false,
             message: "Custom validation expression not configured",
@@ -175,206 +173,130 @@ export default function supernova() {
           };
         }
 
-        try {
-          // Evaluate the custom expression with current data state
-          const result = await app.evaluate({
-            qExpression: customExpression,
-          });
-
-          // FIXED: Better result parsing
-          let resultValue;
-
-          // Try to get the numeric result first
-          if (result && typeof result.qNum === "number") {
-            resultValue = result.qNum;
-          }
-          // Then try text result
-          else if (
-            result &&
-            result.qText !== undefined &&
-            result.qText !== null
-          ) {
-            resultValue = result.qText;
-            // Try to parse text as number if it looks like a number
-            if (typeof resultValue === "string" && !isNaN(resultValue)) {
-              resultValue = parseInt(resultValue);
-            }
-          }
-          // Handle direct result values
-          else if (typeof result === "number") {
-            resultValue = result;
-          } else if (typeof result === "string") {
-            resultValue = result;
-            if (!isNaN(resultValue)) {
-              resultValue = parseInt(resultValue);
+        const details = await Promise.all(
+          checks.map(async (check) => {
+            const fields = check.fields.length
+              ? check.fields
+              : extractAllFieldsFromExpression(check.expression);
+            const label = check.name || check.description;
+            if (check.error) {
+              return {
+                label,
+                valid: false,
+                message: check.error,
+                ruleMessage: check.message,
+                fieldName: fields[0] || null,
+                allFields: fields,
+              };
             }
-          } else {
-            resultValue = result;
-          }
 
-          // FIXED: Proper validation logic for Qlik expressions
-          let isValid = false;
+            // Evaluate the rule with current data state
+            const {
+              result,
+              valid: isValid,
+              error: engineError,
+            } = await evaluateCheck((qExpression) => app.evaluate({ qExpression }), check.expression);
 
-          // For GetPossibleCount/GetSelectedCount expressions, Qlik returns -1 for true, 0 for false
-          // regardless of whether it's a simple or complex expression
-          if (
-            customExpression.includes("GetPossibleCount") ||
-            customExpression.includes("GetSelectedCount")
-          ) {
-            // All Get*Count expressions return -1 for true, 0 for false
-            isValid = resultValue === -1;
-            console.log(
-              "Count expression validation:",
-              isValid,
-              "(-1 = true in Qlik)"
-            );
-          } else if (
-            customExpression.toLowerCase().includes(" and ") ||
-            customExpression.toLowerCase().includes(" or ")
-          ) {
-            // Other complex expressions
-            isValid = resultValue === -1;
-            console.log(
-              "Complex expression validation:",
-              isValid,
-              "(-1 = true in Qlik)"
-            );
-          } else {
-            // Simple non-count expressions - check for exact value
-            isValid = resultValue === 1 || resultValue === "1";
-            console.log("Simple expression validation:", isValid);
-          }
+            return {
+              label,
+              description: check.description,
+              valid: isValid,
+              error: engineError,
+              message: engineError
+                ? `Expression error: ${engineError}`
+                : `Expression result: ${result === '' ? 'null' : result} (${
+                  isValid ? 'true' : 'false - expected a non-zero number'
+                })`,
+              expression: check.expression,
+              ruleMessage: check.message,
+              result,
+              fieldName: fields[0] || null, // Use primary field for error display
+              allFields: fields,
+              suggestion: !isValid && fields.length ? `Make selections in: ${fields.join(', ')}` : '',
+            };
+          }),
+        );
 
-          // Extract all fields for better error messaging
-          const allFields = extractAllFieldsFromExpression(customExpression);
-          const primaryField = allFields.length > 0 ? allFields[0] : null;
+        const failing = details.filter((detail) => !detail.valid);
+        const isValid = failing.length === 0;
 
-          return {
-            valid: isValid,
-            message: isValid ? "Selection validation passed" : customMessage,
-            details: [
-              {
-                label: "Custom Expression",
-                valid: isValid,
-                message: isValid
-                  ? `Expression result: ${resultValue} (Valid)`
-                  : `Expression result: ${resultValue} (Invalid - expected -1 for complex expressions)`,
-                expression: customExpression,
-                result: resultValue,
-                fieldName: primaryField, // Use primary field for error display
-                allFields: allFields, // Include all fields for debugging
-                suggestion: !isValid
-                  ? `Make selections in: ${allFields.join(", ")}`
-                  : "",
-              },
-            ],
-            mode: "custom_expression",
-          };
-        } catch (error) {
-          console.error("Validation expression error:", error);
-          console.log(
-            "Expression evaluation failed, falling back to hypercube validation"
-          );
-          return validateUsingHypercubeData(layout, props);
-        }
+        return {
+          valid: isValid,
+          // A single failing rule speaks for itself, several get the general message
+          message: isValid
+            ? 'Selection validation passed'
+            : (failing.length === 1 && failing[0].ruleMessage) || customMessage,
+          details,
+          mode: 'custom_expression',
+        };
       };
 
-      // Fallback validation for when custom validation is disabled
-      const validateBasicSelection = (layout) => {
-        // When custom validation is disabled, require user to enable it first
+      // Row-count bounds on the hypercube size
+      const validateRowCount = (objectLayout, props) => {
+        const check = checkRowCount(objectLayout.qHyperCube, props);
         return {
-          valid: false,
-          message:
-            "Please enable custom selection validation and configure validation rules",
-          mode: "basic",
-          requiresValidationSetup: true,
+          valid: check.valid,
+          message: check.valid ? 'Selection validation passed' : check.message,
+          details: [
+            {
+              label: 'Row count',
+              valid: check.valid,
+              message: check.message,
+              result: check.rows,
+            },
+          ],
+          mode: 'row_count',
         };
       };
 
-      // Main validation function
+      // Main validation function - the validation mode decides what has to hold
       const validateSelections = async (layout, app) => {
         const props = layout?.props || {};
+        const mode = resolveValidationMode(props);
 
-        // If custom validation is enabled, use custom expression
-        if (props.enableCustomValidation) {
+        if (mode === 'custom') {
           return await validateCustomExpression(layout, props, app);
-        } else {
-          // Basic validation - just check if data exists
-          return validateBasicSelection(layout);
         }
-      };
-
-      // Enhanced dynamic info for header - extract field from expression dynamically
-      const getDynamicSelectionInfo = (layout, validationResult) => {
-        if (!validationResult.valid) {
-          return "";
+        if (mode === 'rowCount') {
+          return validateRowCount(layout, props);
         }
+        // No validation - any selection state may be analyzed
+        return {
+          valid: true, message: 'No validation required', details: [], mode: 'none',
+        };
+      };
 
-        const matrix = layout.qHyperCube.qDataPages[0].qMatrix;
-        const dimensionInfo = layout.qHyperCube.qDimensionInfo || [];
-
-        if (matrix.length === 0 || dimensionInfo.length === 0) {
+      // Header subtitle as configured in the Header section - empty until the selection is valid
+      const getHeaderSummary = async (objectLayout, validationResult) => {
+        const props = objectLayout?.props || {};
+        const { mode, separator } = resolveHeaderOptions(props);
+        if (!validationResult.valid || mode === 'none') {
           return "";
         }
 
-        let infoStrings = [];
-
-        // If we have validation details with field info, use that
-        if (
-          validationResult.details &&
-          validationResult.details[0]?.fieldName
-        ) {
-          const fieldName = validationResult.details[0].fieldName;
-          const dimIndex = dimensionInfo.findIndex(
-            (dim) =>
-              dim.qFallbackTitle === fieldName ||
-              dim.qFallbackTitle.toLowerCase() === fieldName.toLowerCase()
-          );
-
-          if (dimIndex !== -1) {
-            const value =
-              matrix[0][dimIndex]?.qText || matrix[0][dimIndex]?.qNum;
-            if (value) {
-              infoStrings.push(`${fieldName}: ${value}`);
-            }
-          }
-        } else {
-          // Fallback: try to find AccountID or similar
-          const accountIdIndex = dimensionInfo.findIndex(
-            (dim) =>
-              dim.qFallbackTitle.toLowerCase().includes("account") ||
-              dim.qFallbackTitle === "AccountID"
-          );
-
-          if (accountIdIndex !== -1) {
-            const accountValue =
-              matrix[0][accountIdIndex]?.qText ||
-              matrix[0][accountIdIndex]?.qNum;
-            if (accountValue) {
-              infoStrings.push(`Account: ${accountValue}`);
-            }
+        if (mode === 'fields') {
+          const summary = buildFieldSummary(objectLayout.qHyperCube, props, validationResult.details?.[0]?.fieldName);
+          if (summary.missing.length === 0) {
+            return summary.text;
           }
+          const warning = `⚠️ No dimension or measure titled ${summary.missing.map((field) => `"${field}"`).join(', ')}`;
+          return summary.text ? `${summary.text}${separator}${warning}` : warning;
         }
 
-        // Look for Risk/Churn prediction (optional secondary info)
-        const riskIndex = dimensionInfo.findIndex((dim) => {
-          const title = dim.qFallbackTitle.toLowerCase();
-          return (
-            title.includes("risk") ||
-            title.includes("churn") ||
-            title.includes("predict")
-          );
-        });
-
-        if (riskIndex !== -1) {
-          const riskValue =
-            matrix[0][riskIndex]?.qText || matrix[0][riskIndex]?.qNum;
-          if (riskValue) {
-            infoStrings.push(`Risk: ${riskValue}`);
-          }
+        const expression = headerSummaryExpression(props);
+        if (!expression) {
+          return '';
         }
-
-        return infoStrings.join(" | ");
+        const results = await evaluateExpressions(
+          (qExpression) => app.evaluate({ qExpression }),
+          [expression],
+          session.expressionCache,
+        );
+        const result = results.get(expression);
+        if (result?.error) {
+          return `⚠️ ${result.error}`;
+        }
+        return result?.text || '';
       };
 
       // Enhanced dynamic field replacement function - uses saved field mappings
@@ -526,56 +448,39 @@ export default function supernova() {
     overflow-wrap: break-word;
   `;
 
-        // Get all fields from validation details
-        const getAllFieldsFromValidation = (validationResult) => {
-          if (
-            validationResult.details &&
-            validationResult.details[0]?.allFields
-          ) {
-            return validationResult.details[0].allFields;
-          }
-          return [];
-        };
-
         if (validationResult.mode === "custom_expression") {
-          const allFields = getAllFieldsFromValidation(validationResult);
-
-          return `
-      <div style="
-        flex: 1;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        ${responseStyle}
-        text-align: center;
-        min-height: 150px;
-        max-height: 350px;
-        border-color: #ffeaa7;
-        background: #fff3cd;
-        color: #856404;
-      ">
-        <div style="max-width: 450px; padding: 20px;">
-          ${
-            allFields.length > 0
-              ? `
-            <div style="font-size: 13px; line-height: 1.4;">
-              <strong>💡 Make selections in:</strong> ${allFields.join(", ")}
-            </div>
-          `
-              : `
-            <div style="font-size: 13px; line-height: 1.4;">
-              <strong>💡 Make the required selections to proceed</strong>
-            </div>
+          const details = validationResult.details || [];
+          const passed = details.filter((detail) => detail.valid).length;
+
+          // One line per rule - failing rules show their message and the fields to select in
+          const checklist = details
+            .map((detail) => {
+              const fields = (detail.allFields || [])
+                .map((field) => `<button type="button" class="llm-validation-field" data-validation-field="${escapeHTML(field)}" title="Pick a value of ${escapeHTML(field)}">${escapeHTML(field)} ▾</button>`)
+                .join(' ');
+              const picker = fields
+                ? `<div style="margin-top: 2px;">👉 Select in ${fields}</div><div class="llm-validation-picker" hidden></div>`
+                : '';
+              const failure = detail.valid
+                ? ''
+                : `<div>${escapeHTML(detail.error ? detail.message : detail.ruleMessage || detail.message || '')}</div>${picker}`;
+              return `
+                <li class="llm-validation-rule ${detail.valid ? 'passed' : 'failed'}" title="${escapeHTML(detail.expression || detail.message || '')}">
+                  <span class="llm-validation-mark">${detail.valid ? '✅' : '⬜'}</span>
+                  <div>
+                    <div style="font-weight: 600;">${escapeHTML(detail.label)}</div>
+                    ${failure}
+                  </div>
+                </li>
+              `;
+            })
+            .join('');
+          const summary = details.length > 0
+            ? `
+            <div style="font-size: 11px; opacity: 0.8; margin-bottom: 4px; text-align: left;">${passed} of ${details.length} rules met</div>
+            <ul class="llm-validation-checklist">${checklist}</ul>
           `
-          }
-        </div>
-      </div>
-    `;
-        }
-
-        // For hypercube validation errors
-        if (validationResult.mode === "hypercube_validation") {
-          const allFields = getAllFieldsFromValidation(validationResult);
+            : '';
 
           return `
       <div style="
@@ -587,84 +492,16 @@ export default function supernova() {
         text-align: center;
         min-height: 150px;
         max-height: 350px;
+        overflow-y: auto;
         border-color: #ffeaa7;
         background: #fff3cd;
         color: #856404;
       ">
         <div style="max-width: 450px; padding: 20px;">
           <div style="font-size: 24px; margin-bottom: 8px;">⚠️</div>
-          <h3 style="margin: 0 0 8px 0; color: inherit; font-size: 16px;">Selection Required</h3>
-          
-          <div style="
-            background: rgba(133, 100, 4, 0.1);
-            border-radius: 8px;
-            padding: 12px;
-            margin: 12px 0;
-            text-align: left;
-          ">
-            <div style="font-weight: 600; margin-bottom: 6px; font-size: 12px;">📊 Field Status</div>
-            ${
-              validationResult.details && validationResult.details[0]
-                ? `
-              <div style="font-size: 11px;">
-                <strong>Field:</strong> ${
-                  validationResult.details[0].fieldName || "Unknown"
-                }<br>
-                <strong>Status:</strong> ${
-                  validationResult.details[0].message || "Selection needed"
-                }
-              </div>
-            `
-                : ""
-            }
-          </div>
-        </div>
-      </div>
-    `;
-        }
-
-        // Basic validation error for when custom validation is disabled
-        if (validationResult.requiresValidationSetup) {
-          return `
-      <div style="
-        flex: 1;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        ${responseStyle}
-        text-align: center;
-        min-height: 150px;
-        max-height: 350px;
-        border-color: #ffeaa7;
-        background: #fff3cd;
-        color: #856404;
-      ">
-        <div style="max-width: 400px; padding: 20px;">
-          <div style="font-size: 24px; margin-bottom: 8px;">⚙️</div>
-          <h3 style="margin: 0 0 8px 0; color: inherit; font-size: 16px;">Validation Setup Required</h3>
-          <p style="margin: 0 0 12px 0; font-size: 13px; line-height: 1.4;">
-            Please enable custom selection validation and configure validation rules to use AI analysis
-          </p>
-          
-          <div style="
-            background: #e3f2fd;
-            border: 1px solid #90caf9;
-            border-radius: 8px;
-            padding: 12px;
-            margin-top: 12px;
-            font-size: 11px;
-            color: #1565c0;
-            text-align: left;
-            line-height: 1.3;
-          ">
-            <div style="font-weight: 600; margin-bottom: 6px;">💡 Setup steps:</div>
-            <div>
-              1. Check "Enable Custom Selection Validation"<br>
-              2. Add validation expression (e.g., GetPossibleCount(AccountID)=1)<br>
-              3. Configure custom error message<br>
-              4. Save and make your selections to enable AI analysis
-            </div>
-          </div>
+          <h3 style="margin: 0 0 4px 0; color: inherit; font-size: 16px;">Selection Required</h3>
+          <p style="margin: 0 0 12px 0; font-size: 13px; line-height: 1.4;">${escapeHTML(validationResult.message || 'Make the required selections to proceed')}</p>
+          ${summary}
         </div>
       </div>
     `;
@@ -699,23 +536,115 @@ export default function supernova() {
   `;
       };
 
-      // Simple placeholder detection for {{fieldName}} syntax only
-      function detectPlaceholdersInPrompts(systemPrompt, userPrompt) {
-        const allText = (systemPrompt || "") + " " + (userPrompt || "");
+      // Values listed in a validation field picker at most
+      const FIELD_PICKER_VALUES = 50;
+
+      // Picker button class per Qlik value state (selected, excluded)
+      const VALUE_STATE_CLASSES = { S: 'selected', X: 'excluded' };
+
+      // Values of a field for the picker under a failing validation rule, in Qlik's state
+      // order (selected, possible, excluded)
+      const loadFieldValues = async (fieldName) => {
+        const list = await app.createSessionObject({
+          qInfo: { qType: 'dynamicLLMFieldPicker' },
+          qListObjectDef: {
+            qDef: { qFieldDefs: [fieldName], qSortCriterias: [{ qSortByState: 1, qSortByAscii: 1 }] },
+            qInitialDataFetch: [{
+              qTop: 0, qLeft: 0, qHeight: FIELD_PICKER_VALUES, qWidth: 1,
+            }],
+          },
+        });
+        try {
+          const listLayout = await list.getLayout();
+          return {
+            values: (listLayout?.qListObject?.qDataPages?.[0]?.qMatrix || []).map(([cell]) => ({
+              text: cell.qText ?? '',
+              num: cell.qNum,
+              state: cell.qState,
+            })),
+            total: listLayout?.qListObject?.qSize?.qcy ?? 0,
+          };
+        } finally {
+          await app.destroySessionObject(list.id);
+        }
+      };
 
-        // Only detect traditional {{fieldName}} placeholders
-        const traditionalMatches = [...allText.matchAll(/\{\{([^}]+)\}\}/g)];
-        const detectedFields = traditionalMatches.map((match) => ({
-          placeholder: match[0], // Full {{fieldName}}
-          fieldName: match[1].trim(), // Just fieldName
-          position: match.index,
-          source:
-            systemPrompt && systemPrompt.includes(match[0]) ? "system" : "user",
+      // Toggle one value into the field's selection - the selection change re-renders the
+      // object and validates again
+      const selectFieldValue = async (fieldName, value) => {
+        const field = await app.getField(fieldName);
+        const numeric = typeof value.num === 'number' && Number.isFinite(value.num);
+        await field.selectValues(
+          [numeric ? { qText: value.text, qIsNumeric: true, qNumber: value.num } : { qText: value.text }],
+          true,
+          false,
+        );
+      };
+
+      // Field buttons in the "Selection Required" checklist open a value list under the rule
+      const bindValidationFieldPickers = (container) => {
+        container.querySelectorAll('[data-validation-field]').forEach((button) => {
+          button.addEventListener('click', async () => {
+            const fieldName = button.getAttribute('data-validation-field');
+            const picker = button.closest('.llm-validation-rule')?.querySelector('.llm-validation-picker');
+            if (!picker) return;
+            if (!picker.hidden && picker.getAttribute('data-field') === fieldName) {
+              picker.hidden = true;
+              return;
+            }
+            picker.hidden = false;
+            picker.setAttribute('data-field', fieldName);
+            picker.innerHTML = `<div class="llm-validation-picker-note">Loading values of ${escapeHTML(fieldName)}...</div>`;
+
+            try {
+              const { values, total } = await loadFieldValues(fieldName);
+              picker.innerHTML = values.length
+                ? `${values
+                  .map(
+                    (value, index) => `<button type="button" class="llm-validation-value ${
+                      VALUE_STATE_CLASSES[value.state] || ''
+                    }" data-value-index="${index}">${value.state === 'S' ? '✓ ' : ''}${escapeHTML(
+                      value.text,
+                    )}</button>`,
+                  )
+                  .join('')}${
+                  total > values.length
+                    ? `<div class="llm-validation-picker-note">First ${values.length} of ${total} values - use a filter pane for the rest</div>`
+                    : ''
+                }`
+                : `<div class="llm-validation-picker-note">${escapeHTML(fieldName)} has no values</div>`;
+              picker.querySelectorAll('[data-value-index]').forEach((valueButton) => {
+                valueButton.addEventListener('click', async () => {
+                  valueButton.setAttribute('disabled', '');
+                  try {
+                    await selectFieldValue(fieldName, values[Number(valueButton.getAttribute('data-value-index'))]);
+                  } catch (error) {
+                    valueButton.removeAttribute('disabled');
+                    picker.insertAdjacentHTML(
+                      'beforeend',
+                      `<div class="llm-validation-picker-note">⚠️ ${escapeHTML(error?.message || String(error))}</div>`,
+                    );
+                  }
+                });
+              });
+            } catch (error) {
+              picker.innerHTML = `<div class="llm-validation-picker-note">⚠️ Could not load ${escapeHTML(
+                fieldName,
+              )}: ${escapeHTML(error?.message || String(error))}</div>`;
+            }
+          });
+        });
+      };
+
+      // Placeholder detection for {{fieldName}} syntax - modifiers such as {{Revenue|sum}}
+      // map through the plain {{Revenue}} placeholder
+      function detectPlaceholdersInPrompts(systemPrompt, userPrompt, currentLayout) {
+        const namedExpressions = [...resolveNamedExpressions(currentLayout?.props).keys()];
+        return detectTemplateFields(systemPrompt, userPrompt, namedExpressions).map((field) => ({
+          ...field,
           detectionMethod: "traditional",
           autoMappable: true,
         }));
-
-        return detectedFields;
       }
 
       // Get available fields from current layout
@@ -864,10 +793,7 @@ export default function supernova() {
 
       // Update field detection display
       function updateFieldDetectionDisplay(systemPrompt, userPrompt, currentLayout) {
-        const detectedFields = detectPlaceholdersInPrompts(
-          systemPrompt,
-          userPrompt
-        );
+        const detectedFields = detectPlaceholdersInPrompts(systemPrompt, userPrompt, currentLayout);
         const availableFields = getAvailableFields(currentLayout);
         const suggestions = suggestFieldMappings(
           detectedFields,
@@ -1396,36 +1322,195 @@ export default function supernova() {
       let selectedTextInfo = null;
       let currentModalLayout = null; // Store current layout for modal context
 
-      // ===== SELECT MODE WORKFLOW FUNCTIONS =====
+      // Estimated prompt size against the model's context window
+      const TOKEN_ESTIMATE_DELAY_MS = 1000;
+      const generateTokenMeterHTML = (estimate) => {
+        if (!estimate) {
+          return '<div class="llm-token-meter"><div class="llm-token-meter-text">Estimating prompt size...</div></div>';
+        }
+        if (estimate.error) {
+          return `
+            <div class="llm-token-meter llm-token-over" title="${escapeHTML(estimate.error)}">
+              <div class="llm-token-meter-text">⚠️ Prompt size unknown: ${escapeHTML(estimate.error.split('\n')[0])}</div>
+            </div>
+          `;
+        }
 
-      function setMappingMode(mode) {
-        currentMappingMode = mode;
+        const { budget } = estimate;
+        const breakdown = budget.parts.map((part) => `${part.label} ~${formatTokens(part.tokens)}`).join(' · ');
+        const notes = [];
+        if (budget.level === 'over') {
+          notes.push(
+            '⚠️ Exceeds the model\'s context window - shorten the prompts or context block, or lower Max Tokens',
+          );
+        } else if (budget.level === 'near') {
+          notes.push("Close to the model's context window");
+        }
+        if (budget.dataTrimmed) {
+          notes.push(
+            `Data trimmed to ${budget.dataRows.included} of ${budget.dataRows.total} rows to fit the context window`,
+          );
+        }
 
-        // Update mode buttons
-        document
-          .getElementById("selectModeBtn")
-          ?.classList.toggle("active", mode === "select");
-        document
-          .getElementById("dragModeBtn")
-          ?.classList.toggle("active", mode === "drag");
+        return `
+          <div class="llm-token-meter llm-token-${budget.level}">
+            <div class="llm-token-meter-bar"><span style="width: ${Math.min(100, Math.round(budget.ratio * 100))}%;"></span></div>
+            <div class="llm-token-meter-text">
+              ~${formatTokens(budget.total)} of ${formatTokens(budget.contextWindow)} tokens · ${breakdown}
+            </div>
+            ${notes.map((note) => `<div class="llm-token-meter-note">${escapeHTML(note)}</div>`).join('')}
+          </div>
+        `;
+      };
 
-        // Update textarea classes
-        const textareas = document.querySelectorAll(".smart-mapping-textarea");
-        textareas.forEach((textarea) => {
-          textarea.classList.toggle("select-mode", mode === "select");
-        });
+      // Highlight template tags in the prompt textareas and list unbalanced blocks,
+      // misplaced {{else}}/{{this}} and unknown modifiers under each prompt
+      const TEMPLATE_TAG_CLASSES = {
+        if: 'block',
+        each: 'block',
+        else: 'block',
+        close: 'block',
+        unknownBlock: 'block',
+        this: 'this',
+        expression: 'expression',
+        variable: 'variable',
+      };
 
-        // Update mode indicators
-        const selectText =
-          mode === "select"
-            ? "Select text, then drag fields"
-            : "Drag fields to create {{placeholders}}";
-        document.getElementById("systemPromptModeText").textContent =
-          selectText;
-        document.getElementById("userPromptModeText").textContent = selectText;
+      // Token estimate while editing: the prompts as typed plus the context block and data
+      // from the object's last estimate
+      function updatePromptTokenMeter() {
+        const meter = document.getElementById('smartMappingTokenMeter');
+        if (!meter) return;
+
+        const modalProps = currentModalLayout?.props || {};
+        const provider = getProvider(modalProps.connectionType);
+        const lastBudget = session.budget?.budget;
+        const lastTokens = (key) => lastBudget?.parts.find((part) => part.key === key)?.tokens || 0;
+
+        const budget = buildTokenBudget(
+          {
+            system: document.getElementById('smartMappingSystemPrompt')?.value,
+            user: document.getElementById('smartMappingUserPrompt')?.value,
+            context: lastTokens('context'),
+            data: lastTokens('data'),
+          },
+          resolveProviderParameters(provider, modalProps).maxTokens || 0,
+          getContextWindow(provider, modalProps),
+        );
+        budget.dataRows = lastBudget?.dataRows;
+        budget.dataTrimmed = lastBudget?.dataTrimmed;
+
+        meter.innerHTML = generateTokenMeterHTML({ budget });
+      }
+
+      function updatePromptTemplateHighlighting() {
+        [
+          ['smartMappingSystemPrompt', 'systemPromptOverlay', 'systemPromptTemplateErrors'],
+          ['smartMappingUserPrompt', 'userPromptOverlay', 'userPromptTemplateErrors'],
+        ].forEach(([textareaId, overlayId, errorsId]) => {
+          const textarea = document.getElementById(textareaId);
+          const overlay = document.getElementById(overlayId);
+          const errorList = document.getElementById(errorsId);
+          if (!textarea || !overlay) return;
+
+          const text = textarea.value || '';
+          const { errors } = parseTemplate(text);
+          const errorStarts = new Set(errors.map((error) => error.start));
+
+          overlay.innerHTML = `${tokenize(text)
+            .tokens.map((token) => {
+              if (token.type === 'text') return escapeHTML(token.value);
+              const kind = TEMPLATE_TAG_CLASSES[parseTag(token.body).kind] || 'field';
+              const error = errorStarts.has(token.start) ? ' error' : '';
+              return `<span class="template-tag ${kind}${error}">${escapeHTML(token.raw)}</span>`;
+            })
+            .join('')}\n`;
+          overlay.scrollTop = textarea.scrollTop;
 
-        // Update validation message
-        const validationDiv = document.getElementById("smartMappingValidation");
+          if (errorList) {
+            errorList.innerHTML = errors
+              .map((error) => `<div>⚠️ ${escapeHTML(`${error.placeholder}: ${error.message}`)}</div>`)
+              .join('');
+          }
+        });
+
+        updatePromptTokenMeter();
+      }
+
+      // ===== SELECT MODE WORKFLOW FUNCTIONS =====
+
+      function updateValidationMessage(message) {
+        const validationDiv = document.getElementById('smartMappingValidation');
+        if (validationDiv) {
+          validationDiv.textContent = message;
+        }
+      }
+
+      function highlightInsertedField(textarea, placeholder, insertPosition) {
+        // Add a temporary highlight class to the textarea with green border
+        textarea.classList.add('field-just-inserted');
+
+        // Create a temporary highlight effect by briefly changing the background
+        const originalBackground = textarea.style.backgroundColor;
+        Object.assign(textarea.style, { backgroundColor: '#e8f5e8', transition: 'all 0.3s ease' });
+
+        // Remove the highlight after a short delay
+        setTimeout(() => {
+          Object.assign(textarea.style, { backgroundColor: originalBackground });
+          textarea.classList.remove('field-just-inserted');
+        }, 2000);
+
+        // Add a brief selection highlight to the inserted/mapped placeholder to make it stand out
+        setTimeout(() => {
+          const currentValue = textarea.value;
+          // Look for the placeholder starting from the insert position for better accuracy
+          let placeholderStart = currentValue.indexOf(placeholder, Math.max(0, insertPosition - 10));
+
+          // If not found near the insert position, search the entire text
+          if (placeholderStart === -1) {
+            placeholderStart = currentValue.indexOf(placeholder);
+          }
+
+          if (placeholderStart !== -1) {
+            textarea.focus();
+            textarea.setSelectionRange(placeholderStart, placeholderStart + placeholder.length);
+
+            // Clear selection after showing the user where the field was inserted/mapped
+            setTimeout(() => {
+              textarea.setSelectionRange(placeholderStart + placeholder.length, placeholderStart + placeholder.length);
+            }, 1200);
+          }
+        }, 200);
+      }
+
+      function setMappingMode(mode) {
+        currentMappingMode = mode;
+
+        // Update mode buttons
+        document
+          .getElementById("selectModeBtn")
+          ?.classList.toggle("active", mode === "select");
+        document
+          .getElementById("dragModeBtn")
+          ?.classList.toggle("active", mode === "drag");
+
+        // Update textarea classes
+        const textareas = document.querySelectorAll(".smart-mapping-textarea");
+        textareas.forEach((textarea) => {
+          textarea.classList.toggle("select-mode", mode === "select");
+        });
+
+        // Update mode indicators
+        const selectText =
+          mode === "select"
+            ? "Select text, then drag fields"
+            : "Drag fields to create {{placeholders}}";
+        document.getElementById("systemPromptModeText").textContent =
+          selectText;
+        document.getElementById("userPromptModeText").textContent = selectText;
+
+        // Update validation message
+        const validationDiv = document.getElementById("smartMappingValidation");
         if (validationDiv) {
           validationDiv.textContent =
             mode === "select"
@@ -1945,6 +2030,20 @@ export default function supernova() {
         }
       }
 
+      // Variables are written as {{$name}} and need no field mapping
+      function insertVariablePlaceholder(textarea, start, end, variableName) {
+        const placeholder = `{{$${variableName}}}`;
+        textarea.setRangeText(placeholder, start, end, 'end');
+        highlightInsertedField(textarea, placeholder, start);
+        updatePromptTemplateHighlighting();
+        selectedTextInfo = null;
+
+        updateValidationMessage(`✅ Added variable: ${placeholder}`);
+        setTimeout(() => {
+          updateValidationMessage('Ready to create field mappings - select text in your prompts');
+        }, 3000);
+      }
+
       function handleDirectFieldDrop(event, textarea, fieldName, fieldType) {
         // Get cursor position from the drop event
         const rect = textarea.getBoundingClientRect();
@@ -1983,6 +2082,11 @@ export default function supernova() {
           cursorPosition = Math.min(estimatedPosition, textarea.value.length);
         }
         
+        if (fieldType === 'variable') {
+          insertVariablePlaceholder(textarea, cursorPosition, cursorPosition, fieldName);
+          return;
+        }
+
         // Generate field placeholder
         const placeholderName = fieldName.toUpperCase().replace(/[^A-Z0-9]/g, "_");
         const placeholder = `{{${placeholderName}}}`;
@@ -2028,47 +2132,12 @@ export default function supernova() {
         }, 3000);
       }
 
-      function highlightInsertedField(textarea, placeholder, insertPosition) {
-        // Add a temporary highlight class to the textarea with green border
-        textarea.classList.add('field-just-inserted');
-        
-        // Create a temporary highlight effect by briefly changing the background
-        const originalBackground = textarea.style.backgroundColor;
-        textarea.style.backgroundColor = '#e8f5e8';
-        textarea.style.transition = 'all 0.3s ease';
-        
-        // Remove the highlight after a short delay
-        setTimeout(() => {
-          textarea.style.backgroundColor = originalBackground;
-          textarea.classList.remove('field-just-inserted');
-        }, 2000);
-        
-        // Add a brief selection highlight to the inserted/mapped placeholder to make it stand out
-        setTimeout(() => {
-          const currentValue = textarea.value;
-          // Look for the placeholder starting from the insert position for better accuracy
-          let placeholderStart = currentValue.indexOf(placeholder, Math.max(0, insertPosition - 10));
-          
-          // If not found near the insert position, search the entire text
-          if (placeholderStart === -1) {
-            placeholderStart = currentValue.indexOf(placeholder);
-          }
-          
-          if (placeholderStart !== -1) {
-            textarea.focus();
-            textarea.setSelectionRange(placeholderStart, placeholderStart + placeholder.length);
-            
-            // Clear selection after showing the user where the field was inserted/mapped
-            setTimeout(() => {
-              textarea.setSelectionRange(placeholderStart + placeholder.length, placeholderStart + placeholder.length);
-            }, 1200);
-          }
-        }, 200);
-        
-        console.log(`🎨 Highlighted mapped field: ${placeholder} at position ${insertPosition} (mode: ${currentMappingMode})`);
-      }
-
       function createFieldMapping(fieldName, fieldType, textInfo) {
+        if (fieldType === 'variable') {
+          insertVariablePlaceholder(textInfo.textarea, textInfo.start, textInfo.end, fieldName);
+          return;
+        }
+
         // Generate placeholder name from the actual field name
         const placeholderName = fieldName
           .toUpperCase()
@@ -2165,6 +2234,9 @@ export default function supernova() {
       };
 
       function updateActiveMappingsDisplay() {
+        // Mapping changes rewrite the prompt text
+        updatePromptTemplateHighlighting();
+
         const container = document.getElementById("smartMappingActiveList");
         if (!container) return;
 
@@ -2301,6 +2373,66 @@ export default function supernova() {
         console.log(`🎯 Marked ${markedCount} fields as used out of ${fieldTags.length} total`);
       }
 
+      // Mapping objects as they are stored in props.fieldMappings
+      function toSavedMappings(mappings) {
+        return mappings.map((mapping) => ({
+          placeholder: mapping.placeholder,
+          fieldName: mapping.fieldName,
+          mappedField: mapping.fieldName,
+          originalText: mapping.originalText,
+          source: mapping.source,
+          fieldType: mapping.fieldType,
+          confidence: 100,
+          detectionMethod: 'select_mode',
+        }));
+      }
+
+      function isSameConfiguration(a = {}, b = {}) {
+        const mappingKey = (mappings = []) => mappings
+          .map((m) => `${m.placeholder}=>${m.mappedField || m.fieldName}`)
+          .sort()
+          .join('|');
+
+        return (
+          (a.systemPrompt || '') === (b.systemPrompt || '')
+          && (a.userPrompt || '') === (b.userPrompt || '')
+          && mappingKey(a.fieldMappings) === mappingKey(b.fieldMappings)
+        );
+      }
+
+      // Buffer unsaved modal edits in localStorage so they survive an accidental close or reload.
+      // Drafts identical to the saved properties are dropped - the object stays the source of truth.
+      let draftWriteFailed = false;
+      function saveDraft() {
+        const modal = document.getElementById('smartFieldMappingModal');
+        const objectId = layout?.qInfo?.qId;
+        if (!objectId || !modal?.classList.contains('active') || window.savingInProgress) {
+          return;
+        }
+
+        const draft = {
+          systemPrompt:
+            document.getElementById('smartMappingSystemPrompt')?.value || '',
+          userPrompt:
+            document.getElementById('smartMappingUserPrompt')?.value || '',
+          fieldMappings: toSavedMappings(activeMappings),
+        };
+        const savedProps = currentModalLayout?.props || layout?.props || {};
+
+        if (isSameConfiguration(draft, savedProps)) {
+          removeStored('draft', objectId);
+          draftWriteFailed = false;
+        } else {
+          const stored = writeStored('draft', objectId, { ...draft, timestamp: Date.now() });
+          if (!stored && !draftWriteFailed) {
+            updateValidationMessage(
+              "⚠️ This browser's storage is full or blocked - unsaved changes are not kept if the dialog closes. Click Save Mappings to keep them.",
+            );
+          }
+          draftWriteFailed = !stored;
+        }
+      }
+
       function updateMappingStats() {
         const statsContainer = document.getElementById("smartMappingStats");
         if (!statsContainer) {
@@ -2360,6 +2492,9 @@ export default function supernova() {
         `;
 
         console.log(`✅ Stats updated: detected=${totalFieldsDetected}, mapped=${mappedCount}, need=${needMappingCount}`);
+
+        // Keep the unsaved-draft buffer in sync with every prompt/mapping change
+        saveDraft();
       }
 
       function handleClearAllMappings() {
@@ -2407,13 +2542,6 @@ export default function supernova() {
         console.log("Hiding drop zones");
       }
 
-      function updateValidationMessage(message) {
-        const validationDiv = document.getElementById("smartMappingValidation");
-        if (validationDiv) {
-          validationDiv.textContent = message;
-        }
-      }
-
       // Function to update existing mappings when field names change
       function updateMappingsWithNewFieldNames(availableFields) {
         if (activeMappings.length === 0) {
@@ -2905,6 +3033,14 @@ export default function supernova() {
                           <!-- Measures will be populated here -->
                         </div>
                       </div>
+                      <div class="smart-mapping-field-group">
+                        <div class="smart-mapping-field-group-header">
+                          🔤 Variables
+                        </div>
+                        <div id="smartMappingVariables" class="smart-mapping-field-tags">
+                          <!-- Prompt and app variables will be populated here -->
+                        </div>
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -2975,6 +3111,7 @@ export default function supernova() {
                                 placeholder="Enter your system prompt. Select any text to map it to a field..."></textarea>
                       <div id="systemPromptOverlay" class="prompt-overlay"></div>
                     </div>
+                    <div id="systemPromptTemplateErrors" class="prompt-template-errors"></div>
                   </div>
                   
                   <div class="smart-mapping-prompt-section">
@@ -2989,7 +3126,9 @@ export default function supernova() {
                                 placeholder="Enter your user prompt. Select any text to map it to a field..."></textarea>
                       <div id="userPromptOverlay" class="prompt-overlay"></div>
                     </div>
+                    <div id="userPromptTemplateErrors" class="prompt-template-errors"></div>
                   </div>
+                  <div id="smartMappingTokenMeter" class="smart-mapping-token-meter"></div>
                 </div>
                 
                 <!-- Right Panel: Active Mappings -->
@@ -3073,6 +3212,9 @@ export default function supernova() {
                   <button class="smart-mapping-btn smart-mapping-btn-secondary" onclick="closeSmartFieldMappingModal()">
                     Cancel
                   </button>
+                  <button id="smartMappingDiscardDraftBtn" class="smart-mapping-btn smart-mapping-btn-secondary" style="display: none;">
+                    Discard Draft
+                  </button>
                   <button id="smartMappingSaveBtn" class="smart-mapping-btn smart-mapping-btn-primary">
                     Save Mappings
                   </button>
@@ -3645,20 +3787,68 @@ export default function supernova() {
         right: 0;
         bottom: 0;
         pointer-events: none;
-        padding: 12px;
-        font-family: inherit;
-        font-size: 14px;
+        padding: 16px;
+        font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+        font-size: 13px;
         line-height: 1.5;
         white-space: pre-wrap;
         word-wrap: break-word;
         overflow: hidden;
         color: transparent;
         background: transparent;
-        border: 1px solid transparent;
-        border-radius: 6px;
+        border: none;
         box-sizing: border-box;
         z-index: 1;
       }
+
+      /* Template tag highlighting - the overlay sits on the textarea with transparent text */
+      .prompt-overlay .template-tag {
+        border-radius: 3px;
+        background: rgba(33, 150, 243, 0.15);
+      }
+
+      .prompt-overlay .template-tag.block {
+        background: rgba(142, 36, 170, 0.18);
+      }
+
+      .prompt-overlay .template-tag.this {
+        background: rgba(0, 137, 123, 0.18);
+      }
+
+      .prompt-overlay .template-tag.expression {
+        background: rgba(255, 152, 0, 0.2);
+      }
+
+      .prompt-overlay .template-tag.variable {
+        background: rgba(76, 175, 80, 0.2);
+      }
+
+      .prompt-overlay .template-tag.error {
+        background: rgba(220, 53, 69, 0.2);
+        text-decoration: underline wavy #dc3545;
+      }
+
+      .prompt-template-errors {
+        margin-top: 6px;
+        padding: 6px 10px;
+        background: #fdecea;
+        border: 1px solid #f5c2c7;
+        border-radius: 6px;
+        color: #842029;
+        font-size: 12px;
+        line-height: 1.4;
+        max-height: 90px;
+        overflow-y: auto;
+      }
+
+      /* Token meter under the prompts - bar colours come from the object's .llm-token-* styles */
+      .smart-mapping-token-meter {
+        margin-top: 4px;
+      }
+
+      .prompt-template-errors:empty {
+        display: none;
+      }
       
       .prompt-overlay .field-highlight {
         background: rgba(46, 125, 50, 0.15) !important;
@@ -4013,6 +4203,12 @@ export default function supernova() {
         color: #ef6c00;
         border-color: #ffcc80;
       }
+
+      .smart-mapping-field-tag.variable {
+        background: #e8f5e9;
+        color: #2e7d32;
+        border-color: #a5d6a7;
+      }
       
       .smart-mapping-field-tag:hover {
         transform: translateY(-1px);
@@ -4197,6 +4393,18 @@ export default function supernova() {
         systemPrompt?.addEventListener("input", handlePromptChange);
         userPrompt?.addEventListener("input", handlePromptChange);
 
+        // Template highlighting follows the text and the scroll position
+        [
+          [systemPrompt, 'systemPromptOverlay'],
+          [userPrompt, 'userPromptOverlay'],
+        ].forEach(([textarea, overlayId]) => {
+          textarea?.addEventListener('input', updatePromptTemplateHighlighting);
+          textarea?.addEventListener('scroll', () => {
+            const overlay = document.getElementById(overlayId);
+            if (overlay) overlay.scrollTop = textarea.scrollTop;
+          });
+        });
+
         // Close on overlay click
         modal?.addEventListener("click", function (e) {
           if (e.target === this) {
@@ -4308,9 +4516,61 @@ export default function supernova() {
         }
       }
 
+      // Prompt Variables from the property panel, then the app's variables from the engine
+      async function loadAvailableVariables(currentLayout) {
+        const container = document.getElementById('smartMappingVariables');
+        if (!container) return;
+
+        const extensionVariables = [...resolveExtensionVariables(currentLayout?.props).entries()].map(
+          ([name, value]) => ({ name, detail: `Prompt variable: ${value}` }),
+        );
+        let appVariables = [];
+        let appVariablesError = '';
+        try {
+          appVariables = (await listAppVariables(app))
+            .filter((variable) => !extensionVariables.some((entry) => entry.name === variable.name))
+            .map((variable) => ({ name: variable.name, detail: `App variable: ${variable.definition}` }));
+        } catch (err) {
+          appVariablesError = err?.message || String(err);
+        }
+
+        const variables = [...extensionVariables, ...appVariables];
+        container.innerHTML = variables.length === 0
+          ? `
+              <div style="
+                color: #6c757d;
+                font-size: 11px;
+                padding: 8px;
+                text-align: center;
+                background: #f8f9fa;
+                border-radius: 6px;
+              ">No variables - add Prompt Variables in the property panel or variables to the app</div>
+            `
+          : variables
+            .map(
+              (variable) => `
+              <div class="smart-mapping-field-tag variable"
+                   data-field="${escapeHTML(variable.name)}"
+                   data-type="variable"
+                   title="${escapeHTML(variable.detail)}">
+                $${escapeHTML(variable.name)}
+              </div>
+            `,
+            )
+            .join('');
+        if (appVariablesError) {
+          container.insertAdjacentHTML(
+            'beforeend',
+            `<div style="color: #dc3545; font-size: 11px; padding: 4px 8px;">⚠️ App variables could not be listed: ${escapeHTML(appVariablesError)}</div>`,
+          );
+        }
+        setupDragDropHandlers();
+      }
+
       function loadAvailableFields(currentLayout) {
         const availableFields = getAvailableFields(currentLayout);
         updateAvailableFieldsDisplay(availableFields);
+        loadAvailableVariables(currentLayout);
       }
 
       function detectAndDisplayFields(currentLayout) {
@@ -4344,10 +4604,7 @@ export default function supernova() {
         updateAvailableFieldsDisplay(availableFields);
 
         // Detect field placeholders in prompts
-        const detectedFields = detectPlaceholdersInPrompts(
-          systemPrompt,
-          userPrompt
-        );
+        const detectedFields = detectPlaceholdersInPrompts(systemPrompt, userPrompt, currentLayout);
 
         // Suggest field mappings
         const suggestions = suggestFieldMappings(detectedFields, availableFields);
@@ -4411,7 +4668,21 @@ export default function supernova() {
       // CORRECT handleSave function for Nebula.js extensions:
       // IMPROVED handleSave function that works better in Qlik Cloud:
 
-      function handleSave() {
+      // Write prompt configuration to the object properties (requires edit rights on the sheet)
+      const persistPromptConfiguration = async (config) => {
+        if (!model || typeof model.setProperties !== 'function') {
+          throw new Error('Object model is not available - open the sheet in edit mode to save');
+        }
+
+        const properties = await model.getProperties();
+        properties.props = {
+          ...(properties.props || {}),
+          ...config,
+        };
+        await model.setProperties(properties);
+      };
+
+      async function handleSave() {
         // 🔧 CRITICAL DEBUG: Check activeMappings at the very start of save
         console.log("💾 SAVE FUNCTION ENTRY - activeMappings state:", {
           length: activeMappings.length,
@@ -4479,16 +4750,7 @@ export default function supernova() {
           
           if (activeMappings.length > 0) {
             // Normal case - use activeMappings
-            fieldMappingsData = activeMappings.map((mapping) => ({
-              placeholder: mapping.placeholder,
-              fieldName: mapping.fieldName,
-              mappedField: mapping.fieldName,
-              originalText: mapping.originalText,
-              source: mapping.source,
-              fieldType: mapping.fieldType,
-              confidence: 100,
-              detectionMethod: "select_mode",
-            }));
+            fieldMappingsData = toSavedMappings(activeMappings);
             console.log("✅ Using activeMappings for field mappings data");
           } else {
             // Recovery case - reconstruct from placeholders in text
@@ -4570,52 +4832,20 @@ export default function supernova() {
             console.log(`🔧 Proceeding with save using ${finalMappingsCount} reconstructed mappings`);
           }
 
-          // Save to localStorage for session persistence
-          const saveData = {
+          // Persist in the generic object so the configuration is saved with the app
+          // and shared with everyone who opens it
+          await persistPromptConfiguration({
             systemPrompt,
             userPrompt,
             fieldMappings: fieldMappingsData,
-            timestamp: Date.now(),
-            objectId: layout.qInfo?.qId,
-          };
-
-          localStorage.setItem(
-            `dynamicLLM_${layout.qInfo?.qId}`,
-            JSON.stringify(saveData)
-          );
-
-          // 🔧 CRITICAL FIX: Update layout properties AND force re-render
-          if (layout && layout.props) {
-            layout.props.systemPrompt = systemPrompt;
-            layout.props.userPrompt = userPrompt;
-            layout.props.fieldMappings = fieldMappingsData;
-            layout.props.lastSaveTimestamp = Date.now(); // Force change detection
-          }
+          });
 
-          console.log("✅ Configuration saved to localStorage and layout properties");
+          // The saved configuration supersedes any unsaved draft
+          removeStored('draft', layout?.qInfo?.qId);
 
-          // Show success message
+          // Show success message - setProperties invalidates the layout, which re-renders the extension
           handleSaveSuccess(totalMappings, uniqueFields);
 
-          // 🔧 CRITICAL FIX: Force immediate re-render of main extension
-          setTimeout(() => {
-            // Trigger a forced re-render by calling useEffect dependencies
-            if (typeof window.triggerExtensionRerender === 'function') {
-              window.triggerExtensionRerender();
-            }
-            
-            // Alternative: Dispatch a custom event to trigger re-render
-            window.dispatchEvent(new CustomEvent('extensionPropsChanged', {
-              detail: {
-                systemPrompt,
-                userPrompt,
-                fieldMappings: fieldMappingsData
-              }
-            }));
-            
-            console.log("🔄 Triggered extension re-render events");
-          }, 100);
-
         } catch (error) {
           console.error("Save failed:", error);
           handleSaveError(error);
@@ -4626,62 +4856,33 @@ export default function supernova() {
         }
       }
 
-      // NEW: Function to load saved data on component initialization
-      function loadSavedConfiguration() {
-        try {
-          const objectId = layout?.qInfo?.qId;
-          if (!objectId) {
-            console.log(
-              "No object ID available for loading saved configuration"
-            );
-            return false;
-          }
-
-          const savedData = localStorage.getItem(`dynamicLLM_${objectId}`);
-          if (!savedData) {
-            console.log("No saved data found in localStorage");
-            return false;
-          }
-
-          const data = JSON.parse(savedData);
-          console.log("Found saved data:", data);
+      // Returns the unsaved draft for this object if it differs from the saved properties
+      function loadDraft(savedProps) {
+        const objectId = layout?.qInfo?.qId;
+        if (!objectId) return null;
 
-          // Check if data is recent (within 24 hours)
-          const isRecent = Date.now() - data.timestamp < 24 * 60 * 60 * 1000;
-          if (!isRecent) {
-            console.log("Saved data is too old, removing it");
-            localStorage.removeItem(`dynamicLLM_${objectId}`);
-            return false;
+        // Older versions stored the whole configuration under dynamicLLM_<qId> -
+        // migrate it to a draft so nothing is lost, then let the user save it properly
+        const legacy = readStored(null, objectId);
+        if (legacy) {
+          if (!readStored('draft', objectId)) {
+            writeStored('draft', objectId, legacy);
           }
+          removeStored(null, objectId);
+        }
 
-          // Apply saved data to layout
-          if (layout) {
-            // 🔧 CRITICAL FIX: Ensure props object exists
-            if (!layout.props) {
-              layout.props = {};
-            }
-            layout.props.systemPrompt = data.systemPrompt || "";
-            layout.props.userPrompt = data.userPrompt || "";
-            layout.props.fieldMappings = data.fieldMappings || [];
-            console.log("✅ Applied saved data to layout props:", {
-              systemPrompt: layout.props.systemPrompt,
-              userPrompt: layout.props.userPrompt,
-              fieldMappings: layout.props.fieldMappings,
-              fieldMappingsCount: layout.props.fieldMappings.length
-            });
-          } else {
-            console.warn("⚠️ No layout available to apply saved data");
-          }
+        const draft = readStored('draft', objectId);
+        if (!draft) return null;
 
-          console.log("✅ Loaded saved configuration from localStorage");
-          return true;
-        } catch (error) {
-          console.error("Failed to load saved configuration:", error);
-          return false;
+        if (isSameConfiguration(draft, savedProps)) {
+          removeStored('draft', objectId);
+          return null;
         }
+
+        return draft;
       }
 
-      // UPDATED: Enhanced openSmartFieldMappingModal to load from localStorage
+      // UPDATED: Enhanced openSmartFieldMappingModal to load from the object properties
       async function openSmartFieldMappingModal(data) {
         const modal = document.getElementById("smartFieldMappingModal");
         if (!modal) return;
@@ -4718,25 +4919,31 @@ export default function supernova() {
         console.log("Data passed to modal:", data);
         console.log("Current layout props:", freshLayout?.props);
 
-        // Try to load from localStorage first, then fallback to data props
-        const loadedFromStorage = loadSavedConfiguration();
-
-        // 🔧 CRITICAL FIX: Ensure we get the most up-to-date layout after loading from storage
-        const currentLayout = loadedFromStorage ? layout : freshLayout;
-        
-        // 🔧 ADDITIONAL FIX: Ensure currentLayout has props object
-        if (currentLayout && !currentLayout.props) {
-          currentLayout.props = {};
+        // Saved configuration lives in the object properties; an unsaved draft is restored on
+        // top until Discard Draft drops it
+        const savedProps = freshLayout?.props || data?.props || {};
+        const draft = loadDraft(savedProps);
+        const restoredDraft = !!draft;
+        const currentConfig = restoredDraft ? draft : savedProps;
+
+        const discardDraftButton = document.getElementById('smartMappingDiscardDraftBtn');
+        if (discardDraftButton) {
+          discardDraftButton.style.display = restoredDraft ? '' : 'none';
+          discardDraftButton.onclick = () => {
+            removeStored('draft', objectId);
+            openSmartFieldMappingModal(data);
+          };
         }
 
         const systemPrompt =
-          currentLayout?.props?.systemPrompt || data?.props?.systemPrompt || "";
+          currentConfig.systemPrompt || data?.props?.systemPrompt || '';
         const userPrompt =
-          currentLayout?.props?.userPrompt || data?.props?.userPrompt || "";
+          currentConfig.userPrompt || data?.props?.userPrompt || '';
 
         document.getElementById("smartMappingSystemPrompt").value =
           systemPrompt;
         document.getElementById("smartMappingUserPrompt").value = userPrompt;
+        updatePromptTemplateHighlighting();
 
         // Load available fields from current layout
         loadAvailableFields(currentModalLayout);
@@ -4751,12 +4958,11 @@ export default function supernova() {
 
         // Load saved field mappings and convert to active mappings
         const savedMappings =
-          currentLayout?.props?.fieldMappings || data?.props?.fieldMappings || [];
+          currentConfig.fieldMappings || data?.props?.fieldMappings || [];
 
         console.log("🔍 Debug modal opening:", {
-          loadedFromStorage,
+          restoredDraft,
           freshLayoutProps: freshLayout?.props,
-          currentLayoutProps: currentLayout?.props,
           savedMappingsCount: savedMappings.length,
           savedMappings: savedMappings
         });
@@ -4817,9 +5023,9 @@ export default function supernova() {
           detectAndDisplayFields(freshLayout);
 
           // Show status based on loaded mappings
-          if (loadedFromStorage) {
+          if (restoredDraft) {
             updateValidationMessage(
-              "📂 Previous session data loaded automatically"
+              `📝 Unsaved changes from ${new Date(draft.timestamp).toLocaleString()} restored - click Save Mappings to store them in the app or Discard Draft to go back to the saved configuration`,
             );
             setTimeout(() => {
               updateValidationMessage(
@@ -4852,53 +5058,28 @@ export default function supernova() {
 
       // ADD: Function to auto-load configuration when component initializes
       function initializeWithSavedData() {
-        const loaded = loadSavedConfiguration();
-        if (loaded) {
-          console.log("🔄 Auto-loaded previous session configuration");
-          
-          // 🔧 CRITICAL FIX: Also populate activeMappings from saved data for field highlighting
-          const savedMappings = layout?.props?.fieldMappings || [];
-          if (savedMappings.length > 0) {
-            const convertedMappings = savedMappings.map((saved, index) => {
-              const uniqueId = `mapping_${Date.now()}_${index}_${Math.floor(Math.random() * 10000)}`;
-              return {
-                id: uniqueId,
-                placeholder: saved.placeholder,
-                fieldName: saved.mappedField || saved.fieldName,
-                fieldType: saved.fieldType || "dimension",
-                originalText: saved.originalText || saved.fieldName,
-                source: saved.source || "system",
-                textareaId: saved.source === "user" ? "smartMappingUserPrompt" : "smartMappingSystemPrompt",
-              };
-            });
-            setActiveMappings(convertedMappings, "initializeWithSavedData - loaded from saved data");
-            console.log("✅ Populated activeMappings from saved data:", activeMappings.length);
-          }
+        // 🔧 CRITICAL FIX: Populate activeMappings from the saved properties for field highlighting
+        const savedMappings = layout?.props?.fieldMappings || [];
+        if (savedMappings.length > 0) {
+          const convertedMappings = savedMappings.map((saved, index) => {
+            const uniqueId = `mapping_${Date.now()}_${index}_${Math.floor(Math.random() * 10000)}`;
+            return {
+              id: uniqueId,
+              placeholder: saved.placeholder,
+              fieldName: saved.mappedField || saved.fieldName,
+              fieldType: saved.fieldType || 'dimension',
+              originalText: saved.originalText || saved.fieldName,
+              source: saved.source || 'system',
+              textareaId: saved.source === 'user' ? 'smartMappingUserPrompt' : 'smartMappingSystemPrompt',
+            };
+          });
+          setActiveMappings(convertedMappings, 'initializeWithSavedData - loaded from saved data');
         }
       }
 
-      // 3. ADD a cleanup function to manage localStorage (optional - for better memory management):
+      // Drop unsaved drafts nobody came back to within a week
       function cleanupOldSavedData() {
-        try {
-          const keys = Object.keys(localStorage).filter((key) =>
-            key.startsWith("dynamicLLM_")
-          );
-          keys.forEach((key) => {
-            try {
-              const data = JSON.parse(localStorage.getItem(key));
-              const isOld =
-                Date.now() - data.timestamp > 7 * 24 * 60 * 60 * 1000; // 7 days
-              if (isOld) {
-                localStorage.removeItem(key);
-                console.log(`🧹 Cleaned up old saved data: ${key}`);
-              }
-            } catch (e) {
-              localStorage.removeItem(key); // Remove corrupted data
-            }
-          });
-        } catch (error) {
-          console.error("Cleanup failed:", error);
-        }
+        removeExpired('draft', 7 * 24 * 60 * 60 * 1000);
       }
 
       // ALSO UPDATE: The field replacement function to use the saved mappings
@@ -4911,7 +5092,7 @@ export default function supernova() {
         const dimensionInfo = layout.qHyperCube.qDimensionInfo || [];
         const measureInfo = layout.qHyperCube.qMeasureInfo || [];
 
-        // Try to get saved mappings from layout props (which now includes localStorage data)
+        // Use saved mappings from the layout props
         const savedMappings = layout?.props?.fieldMappings || [];
 
         if (savedMappings.length > 0) {
@@ -4978,113 +5159,111 @@ export default function supernova() {
         // Fallback to original field replacement logic
         return replaceDynamicFields(promptText, layout);
       };
-      // Fallback save method - directly modify layout properties
-      function attemptFallbackSave(
-        systemPrompt,
-        userPrompt,
-        mappedFields,
-        totalFields
-      ) {
-        try {
-          // Directly modify the layout properties (this might work in some Nebula.js contexts)
-          if (layout && layout.props) {
-            layout.props.systemPrompt = systemPrompt;
-            layout.props.userPrompt = userPrompt;
-            layout.props.fieldMappings = currentFieldSuggestions.map((s) => ({
-              placeholder: s.placeholder,
-              fieldName: s.fieldName,
-              mappedField: s.mappedField || null,
-              source: s.source,
-              confidence: s.confidence,
-              suggestedField: s.suggestedField?.name || null,
-            }));
-
-            // Show success message
-            handleSaveSuccess(mappedFields, totalFields);
+      // ALSO ADD: Enhanced field replacement that uses saved mappings with actual field names
+      // Matrix column for a mapped field - matches the field behind a dimension or the field
+      // aggregated by a measure, or the display title of either
+      const findMappedColumn = (mappedField, objectLayout) => {
+        const dimensionInfo = objectLayout.qHyperCube?.qDimensionInfo || [];
+        const measureInfo = objectLayout.qHyperCube?.qMeasureInfo || [];
+
+        // Check dimensions - look for actual field name in expression OR display name
+        const dimIndex = dimensionInfo.findIndex((dim) => {
+          const actualFieldName = dim.qGroupFieldDefs?.[0] || dim.qFallbackTitle;
+          return actualFieldName === mappedField || dim.qFallbackTitle === mappedField;
+        });
+        if (dimIndex !== -1) {
+          return { type: 'dimension', index: dimIndex };
+        }
 
-            console.log(
-              "Fallback save completed - properties updated in memory"
-            );
-            console.log(
-              "Note: Changes may not persist until object is saved through Qlik interface"
-            );
+        // Check measures - look for actual field name in expression OR display name
+        const measureIndex = measureInfo.findIndex((measure) => {
+          const expression = measure.qDef?.qDef || measure.qFallbackTitle;
+          // Extract actual field name from expression
+          let actualFieldName = expression;
+          const fieldMatch = expression.match(/\[([^\]]+)\]/);
+          if (fieldMatch) {
+            [, actualFieldName] = fieldMatch;
           } else {
-            throw new Error("Layout properties not accessible");
+            const aggMatch = expression.match(
+              /(?:sum|avg|count|max|min|total)\s*\(\s*([^)]+)\s*\)/i,
+            );
+            if (aggMatch) {
+              actualFieldName = aggMatch[1].replace(/['"]/g, '').trim();
+            }
           }
-        } catch (fallbackError) {
-          console.error("Fallback save also failed:", fallbackError);
-          handleSaveError(fallbackError);
+          return actualFieldName === mappedField || measure.qFallbackTitle === mappedField;
+        });
+        if (measureIndex !== -1) {
+          return { type: 'measure', index: dimensionInfo.length + measureIndex };
         }
-      }
 
-      // Helper function for save success
-      function handleSaveSuccess(mappedFields, totalFields) {
-        const validationDiv = document.getElementById("smartMappingValidation");
-        if (validationDiv) {
-          validationDiv.innerHTML = `✅ Configuration saved successfully! ${mappedFields}/${totalFields} fields mapped.`;
-          validationDiv.style.color = "#28a745";
+        return null;
+      };
 
-          // Auto-close modal
-          setTimeout(() => {
-            closeSmartFieldMappingModal();
-            
-            // 🔧 CRITICAL FIX: Force re-render by triggering a layout update
-            console.log("🔄 Forcing extension re-render after save...");
-            
-            // Method 1: Try to trigger a layout update by modifying a dummy property
-            try {
-              if (model && model.setProperties) {
-                // Get current properties
-                model.getProperties().then(currentProps => {
-                  // Trigger re-render by updating a timestamp
-                  const updatedProps = {
-                    ...currentProps,
-                    lastSaveTimestamp: Date.now()
-                  };
-                  model.setProperties(updatedProps).then(() => {
-                    console.log("✅ Layout updated, extension should re-render");
-                  }).catch(error => {
-                    console.warn("Could not update layout properties:", error);
-                  });
-                }).catch(error => {
-                  console.warn("Could not get current properties:", error);
-                });
-              }
-            } catch (error) {
-              console.warn("Could not trigger layout update:", error);
-            }
-            
-            // Method 2: Force a manual re-render by calling render directly
-            setTimeout(() => {
-              try {
-                console.log("🔄 Manual re-render fallback...");
-                if (typeof render === 'function') {
-                  render();
-                }
-              } catch (error) {
-                console.warn("Manual re-render failed:", error);
-              }
-            }, 500);
-          }, 1500);
-        }
-      }
+      // Template placeholders resolve through the saved mapping first, then by field or title
+      const findTemplateColumn = (name, objectLayout) => {
+        const mapping = (objectLayout?.props?.fieldMappings || []).find(
+          (m) => m.mappedField && (m.fieldName === name || m.placeholder === `{{${name}}}`),
+        );
+        return findMappedColumn(mapping ? mapping.mappedField : name, objectLayout);
+      };
 
-      // Helper function for save errors
-      function handleSaveError(error) {
-        console.error("Save error:", error);
-        const validationDiv = document.getElementById("smartMappingValidation");
-        if (validationDiv) {
-          validationDiv.innerHTML = `❌ Error saving configuration: ${error.message}`;
-          validationDiv.style.color = "#dc3545";
+      // Rows the template modifiers aggregate over - paged in when the selection
+      // is larger than the initial data fetch
+      const TEMPLATE_ROW_LIMIT = 5000;
+      const loadTemplateRows = async (objectLayout) => {
+        const hyperCube = objectLayout?.qHyperCube;
+        const width = getColumns(hyperCube).length;
+        const rowLimit = Math.min(TEMPLATE_ROW_LIMIT, hyperCube?.qSize?.qcy ?? 0);
+        const rows = [];
+        if (width === 0) return rows;
+
+        await forEachRow(
+          hyperCube,
+          width,
+          rowLimit,
+          (pages) => model.getHyperCubeData('/qHyperCubeDef', pages),
+          (row) => {
+            rows.push(row);
+          },
+        );
+        return rows;
+      };
+
+      // Evaluate the {{=...}} and named expressions both prompts use (through the
+      // per-selection-state cache) and resolve their {{$variables}}
+      const loadPromptValues = async (props, texts) => {
+        const named = resolveNamedExpressions(props);
+        const [expressions, variables] = await Promise.all([
+          evaluateExpressions(
+            (expression) => app.evaluate({ qExpression: expression }),
+            collectTemplateExpressions(texts, (name) => named.get(name)),
+            session.expressionCache,
+          ),
+          resolveVariables(app, collectTemplateVariables(texts), props),
+        ]);
+        return { expressions, variables };
+      };
+
+      // Render the template tags; any tag error stops generation with the list of problems
+      const applyPromptTemplate = (promptText, objectLayout, rows, values = {}) => {
+        const named = resolveNamedExpressions(objectLayout?.props);
+        const { text, errors } = renderTemplate(promptText, {
+          rows,
+          findColumn: (name) => findTemplateColumn(name, objectLayout),
+          findExpression: (name) => named.get(name),
+          expressions: values.expressions,
+          variables: values.variables,
+        });
+        if (errors.length > 0) {
+          throw new Error(`Prompt template error:\n${describeTemplateErrors(errors)}`);
         }
+        return text;
+      };
 
-        // Show a more user-friendly error message
-        alert(
-          `❌ Unable to save configuration automatically.\n\nThis may be due to Qlik security restrictions.\n\nAs a workaround:\n1. Copy your prompts to a text file\n2. Close this modal\n3. Re-open the modal and paste your prompts\n4. Reconfigure field mappings\n\nThe extension will work with your settings during this session.`
-        );
-      }
+      // Batch mode: every placeholder takes the value of one row
+      const replacePlaceholdersForRow = (promptText, objectLayout, row, values) => applyPromptTemplate(promptText, objectLayout, [row], values);
 
-      // ALSO ADD: Enhanced field replacement that uses saved mappings with actual field names
       const replaceDynamicFieldsWithMappings = (promptText, layout) => {
         if (!layout.qHyperCube?.qDataPages?.[0]?.qMatrix?.length) {
           console.log("No data available for field replacement");
@@ -5093,7 +5272,6 @@ export default function supernova() {
 
         const matrix = layout.qHyperCube.qDataPages[0].qMatrix;
         const dimensionInfo = layout.qHyperCube.qDimensionInfo || [];
-        const measureInfo = layout.qHyperCube.qMeasureInfo || [];
         const props = layout?.props || {};
 
         // Use saved field mappings if available
@@ -5109,16 +5287,10 @@ export default function supernova() {
               
               let fieldValue = "";
 
-              // Check dimensions - look for actual field name in expression OR display name
-              const dimIndex = dimensionInfo.findIndex((dim) => {
-                const actualFieldName = dim.qGroupFieldDefs?.[0] || dim.qFallbackTitle;
-                return (
-                  actualFieldName === mapping.mappedField ||
-                  dim.qFallbackTitle === mapping.mappedField
-                );
-              });
+              const column = findMappedColumn(mapping.mappedField, layout);
 
-              if (dimIndex !== -1) {
+              if (column?.type === 'dimension') {
+                const dimIndex = column.index;
                 const values = matrix
                   .map((row) => row[dimIndex]?.qText || row[dimIndex]?.qNum || "")
                   .filter((v) => v !== "" && v !== "-" && v !== null && v !== undefined);
@@ -5128,46 +5300,21 @@ export default function supernova() {
                   fieldValue = "No data available";
                 }
                 console.log(`✅ Found dimension data for '${mapping.mappedField}': ${fieldValue}`);
-              } else {
-                // Check measures - look for actual field name in expression OR display name
-                const measureIndex = measureInfo.findIndex((measure) => {
-                  const expression = measure.qDef?.qDef || measure.qFallbackTitle;
-                  // Extract actual field name from expression
-                  let actualFieldName = expression;
-                  const fieldMatch = expression.match(/\[([^\]]+)\]/);
-                  if (fieldMatch) {
-                    actualFieldName = fieldMatch[1];
-                  } else {
-                    const aggMatch = expression.match(
-                      /(?:sum|avg|count|max|min|total)\s*\(\s*([^)]+)\s*\)/i
-                    );
-                    if (aggMatch) {
-                      actualFieldName = aggMatch[1].replace(/['"]/g, "").trim();
-                    }
-                  }
-                  return (
-                    actualFieldName === mapping.mappedField ||
-                    measure.qFallbackTitle === mapping.mappedField
-                  );
+              } else if (column?.type === 'measure') {
+                const dimCount = dimensionInfo.length;
+                const measureIndex = column.index - dimCount;
+                const values = matrix.map((row) => {
+                  const val = row[dimCount + measureIndex]?.qNum
+                    || row[dimCount + measureIndex]?.qText
+                    || 0;
+                  return parseFloat(val) || 0;
                 });
-
-                if (measureIndex !== -1) {
-                  const dimCount = dimensionInfo.length;
-                  const values = matrix.map((row) => {
-                    const val =
-                      row[dimCount + measureIndex]?.qNum ||
-                      row[dimCount + measureIndex]?.qText ||
-                      0;
-                    return parseFloat(val) || 0;
-                  });
-                  fieldValue = values
-                    .slice(0, 5)
-                    .map((v) => v.toString())
-                    .join(", ");
-                  if (!fieldValue || fieldValue.trim() === "" || fieldValue === "0, 0, 0, 0, 0") {
-                    fieldValue = "No data available";
-                  }
-                  console.log(`✅ Found measure data for '${mapping.mappedField}': ${fieldValue}`);
+                fieldValue = values
+                  .slice(0, 5)
+                  .map((v) => v.toString())
+                  .join(', ');
+                if (!fieldValue || fieldValue.trim() === '' || fieldValue === '0, 0, 0, 0, 0') {
+                  fieldValue = 'No data available';
                 }
               }
 
@@ -5196,7 +5343,7 @@ export default function supernova() {
       };
 
       // FIXED: Robust expression building with proper escaping
-      const buildLLMExpression = (fullPrompt, props) => {
+      const buildLLMExpression = (fullPrompt, props, roleParameters = {}) => {
         console.log("🏗️ Building LLM expression (ultra-safe approach)...");
         
         // Step 1: Validate inputs
@@ -5220,19 +5367,14 @@ export default function supernova() {
         
         console.log("📝 Cleaned prompt length:", cleanPrompt.length);
         
-        // Step 3: Build config with safe numeric values
-        const temperature = Math.max(0, Math.min(2, Number(props.temperature || 0.7)));
-        const topK = Math.max(1, Math.min(1000, Number(props.topK || 250)));
-        const topP = Math.max(0, Math.min(1, Number(props.topP || 1)));
-        const maxTokens = Math.max(1, Math.min(4000, Number(props.maxTokens || 1000)));
-        
-        // Step 4: Use the simplest possible approach that works - include all parameters
-        const configStr = `{"RequestType":"endpoint","endpoint":{"connectionname":"${connectionName.replace(/"/g, '\\"')}","column":"text","parameters":{"temperature":${temperature},"Top K":${topK},"Top P":${topP},"max_tokens":${maxTokens}}}}`;
+        // Step 3: Build the endpoint config for the selected provider (parameter names,
+        // ranges and request shape come from the provider registry)
+        const configStr = buildProviderConfig(props, roleParameters).replace(/'/g, "''");
         
-        // Step 5: Use double single quotes for Qlik string escaping
+        // Step 4: Use double single quotes for Qlik string escaping
         const escapedPrompt = cleanPrompt.replace(/'/g, "''");
         
-        // Step 6: Build expression
+        // Step 5: Build expression
         const expression = `endpoints.ScriptEvalStr('${configStr}', '${escapedPrompt}')`;
         
         console.log("🔒 Using ultra-safe Qlik escaping approach");
@@ -5244,6 +5386,671 @@ export default function supernova() {
         return expression;
       };
 
+      // Context table: a session hypercube over the fields listed in the Context Block
+      // settings, serialized with whole rows up to the budget left by the block text
+      const loadContextTable = async (props, charBudget, maxRows) => {
+        const qHyperCubeDef = buildContextTableDef(props);
+        if (!qHyperCubeDef || charBudget <= 0) return '';
+
+        const cube = await app.createSessionObject({
+          qInfo: { qType: 'dynamicLLMContextTable' },
+          qHyperCubeDef,
+        });
+        try {
+          const cubeLayout = await cube.getLayout();
+          const { format } = resolveDataContextOptions(props);
+          const table = await buildDataContext(
+            cubeLayout.qHyperCube,
+            {
+              format, maxRows, maxColumns: 20, charBudget,
+            },
+            (pages) => cube.getHyperCubeData('/qHyperCubeDef', pages),
+          );
+          return table.text ? `${describeDataContext(table, format, 'Context table')}\n${table.text}` : '';
+        } finally {
+          await app.destroySessionObject(cube.id);
+        }
+      };
+
+      // Context block text (already rendered) plus the context table, within the block's budget
+      const buildContextBlock = async (blockText, props) => {
+        const options = resolveContextBlockOptions(props);
+        const block = fitContextBlock(blockText, options.charBudget, Boolean(buildContextTableDef(props)));
+        const table = await loadContextTable(props, block.tableBudget, options.tableMaxRows);
+        return joinContextBlock(block.text, table);
+      };
+
+      // Build the prompt pieces for the current selection state
+      const buildPromptParts = async (objectLayout, props, { includeData = true } = {}) => {
+        // Step 1: Get and process prompts
+        let systemPrompt = props.systemPrompt || '';
+        let userPrompt = props.userPrompt || '';
+        let contextText = includeData ? props.contextBlock || '' : '';
+
+        // Step 2: Render template tags ({{Revenue|sum}}, {{=Sum(Sales)}}, {{$vQuarter}} ...),
+        // then the remaining plain placeholders through the saved field mappings
+        if (`${systemPrompt}${userPrompt}${contextText}`.includes('{{')) {
+          const [rows, values] = await Promise.all([
+            loadTemplateRows(objectLayout),
+            loadPromptValues(props, [systemPrompt, userPrompt, contextText]),
+          ]);
+          systemPrompt = applyPromptTemplate(systemPrompt, objectLayout, rows, values);
+          userPrompt = applyPromptTemplate(userPrompt, objectLayout, rows, values);
+          contextText = applyPromptTemplate(contextText, objectLayout, rows, values);
+        }
+        systemPrompt = replaceDynamicFieldsWithMappings(systemPrompt, objectLayout);
+        userPrompt = replaceDynamicFieldsWithMappings(userPrompt, objectLayout);
+        contextText = replaceDynamicFieldsWithMappings(contextText, objectLayout);
+
+        // Step 3: Add data context - format and size come from the Data Context settings
+        let dataContext = '';
+        if (!includeData) {
+          return {
+            systemPrompt, userPrompt, dataContext, contextBlock: '', budget: null,
+          };
+        }
+
+        // Step 4: Context block - text and context table within their own budget
+        const contextBlock = await buildContextBlock(contextText, props);
+
+        // The data gets what the model's context window leaves after the prompts, the
+        // context block and the tokens reserved for the answer - trimmed by whole rows
+        const provider = getProvider(props.connectionType);
+        const reserved = resolveProviderParameters(provider, props).maxTokens || 0;
+        const contextWindow = getContextWindow(provider, props);
+        const dataOptions = resolveDataContextOptions(props);
+        const charBudget = fitDataCharBudget(
+          estimateTokens(systemPrompt) + estimateTokens(userPrompt) + estimateTokens(contextBlock),
+          reserved,
+          contextWindow,
+          dataOptions.charBudget,
+        );
+        const context = await buildDataContext(
+          objectLayout.qHyperCube,
+          { ...dataOptions, charBudget },
+          (pages) => model.getHyperCubeData('/qHyperCubeDef', pages),
+        );
+        if (context.text) {
+          dataContext = `\n\n${describeDataContext(context, dataOptions.format)}\n${context.text}`;
+        }
+
+        const budget = buildTokenBudget(
+          {
+            system: systemPrompt, user: userPrompt, context: contextBlock, data: dataContext,
+          },
+          reserved,
+          contextWindow,
+        );
+        budget.dataRows = { included: context.rowsIncluded, total: context.totalRows };
+        budget.dataTrimmed = charBudget < dataOptions.charBudget && context.rowsIncluded < context.totalRows;
+
+        return {
+          systemPrompt, userPrompt, dataContext, contextBlock, budget,
+        };
+      };
+
+      // Send one { system, messages } request through the analytics connection. The system
+      // prompt and earlier turns travel as roles unless the connection cannot take them.
+      // Returns { text, cached, cachedAt } - identical expressions are answered from the cache.
+      // Every answer is recorded in the usage totals; once the usage budget is used up, calls
+      // the cache cannot answer are refused. signal cancels the wait (see retry.js), onRetry
+      // reports each retry of a transient failure, onSend is called once when the request
+      // actually goes to the connection.
+      const requestCompletion = async (
+        request,
+        props,
+        {
+          forceRefresh = false, kind = 'analysis', signal, onRetry, onSend,
+        } = {},
+      ) => {
+        const provider = getProvider(props.connectionType);
+        const { prompt: fullPrompt, roleParameters } = buildRolePayload(provider, request, props);
+
+        // The data context is already fitted to the context window by whole rows - the
+        // prompt itself is never cut, an oversized one shows on the token meter
+        const inputTokens = estimateTokens(fullPrompt) + estimateTokens(JSON.stringify(roleParameters));
+
+        // Build and validate expression
+        const expression = buildLLMExpression(fullPrompt, props, roleParameters);
+
+        // FIX: Validate expression size to prevent browser crashes
+        if (expression.length > 1000000) { // 1MB limit
+          throw new Error('Expression too large (over 1MB). Please reduce prompt or data size.');
+        }
+
+        const objectId = layout?.qInfo?.qId;
+        const cacheEnabled = props.responseCacheEnabled !== false;
+        const cacheTtlMs = Math.max(0, Number(props.responseCacheTtlMinutes ?? 60) || 0) * 60 * 1000;
+        const cacheKey = responseCacheKey(expression);
+        const startedAt = Date.now();
+
+        const recordCall = (text, cached) => {
+          const record = {
+            kind,
+            provider: provider.id,
+            model: `${provider.name} · ${String(props.connectionName || '').trim()}`,
+            inputTokens,
+            outputTokens: estimateTokens(text),
+            latencyMs: Date.now() - startedAt,
+            cached,
+          };
+          record.cost = estimateCost(record, resolvePricing(props, provider.id));
+          recordUsage(objectId, record);
+        };
+
+        if (cacheEnabled && !forceRefresh) {
+          const cachedEntry = readCachedResponse(objectId, cacheKey, cacheTtlMs);
+          if (cachedEntry) {
+            recordCall(cachedEntry.text, true);
+            return { text: cachedEntry.text, cached: true, cachedAt: cachedEntry.timestamp };
+          }
+        }
+
+        const usageBudget = checkUsageBudget(loadUsage(objectId), props);
+        if (usageBudget?.exceeded) {
+          const error = new Error(describeBudgetExceeded(usageBudget));
+          error.usageBudget = usageBudget;
+          throw error;
+        }
+
+        // Execute with the configured timeout; transient failures are retried with backoff
+        const { timeoutMs, retries, backoffMs } = resolveRetryOptions(props);
+        const responseText = await withRetries(
+          async (attempt) => {
+            if (attempt === 1 && onSend) onSend();
+            const response = await withTimeout(
+              app.evaluate({ qExpression: expression }).catch((error) => {
+                throw classifyTransportError(error);
+              }),
+              timeoutMs,
+              signal,
+            );
+
+            // Process response
+            let text = '';
+            if (response && typeof response === 'object') {
+              text = response.qText || response.qNum?.toString() || JSON.stringify(response);
+            } else if (response) {
+              text = response.toString();
+            }
+
+            if (!text || text.trim() === '') {
+              throw new Error('Empty response received from LLM service');
+            }
+
+            // Check for Qlik expression errors
+            if (text.includes('Error in expression')
+                || text.includes("') expected")
+                || text.includes('Syntax error')) {
+              throw new Error(`Qlik expression error: ${text}`);
+            }
+
+            // Rate limits and dropped connections come back from the SSE connection as text
+            if (/^\s*error\b/i.test(text) && isTransientMessage(text)) {
+              const error = new Error(text.trim());
+              error.transient = true;
+              throw error;
+            }
+            return text;
+          },
+          {
+            retries, backoffMs, signal, onRetry,
+          },
+        );
+
+        if (cacheEnabled) {
+          writeCachedResponse(objectId, cacheKey, responseText, cacheTtlMs);
+        }
+        recordCall(responseText, false);
+        return { text: responseText, cached: false, cachedAt: null };
+      };
+
+      // Error panel for failed LLM calls
+      const generateLLMErrorHTML = (err, props) => {
+        // Enhanced error handling
+        let errorMessage = 'Failed to generate response';
+        let errorDetails = '';
+
+        if (err.usageBudget) {
+          errorMessage = 'Usage budget reached';
+          errorDetails = err.message;
+        } else if (err.message) {
+          if (err.message.includes("') expected")) {
+            errorMessage = 'Expression syntax error';
+            errorDetails = "There's a syntax issue in the generated expression. This usually happens with special characters in prompts.";
+          } else if (err.name === 'AbortError') {
+            errorMessage = 'Request cancelled';
+            errorDetails = 'The answer was abandoned. Generate again when ready.';
+          } else if (err.message.includes('timeout')) {
+            errorMessage = 'Request timed out';
+            errorDetails = 'The AI service took too long to respond, also on retry. Raise the timeout under LLM Configuration or try again.';
+          } else if (err.message.includes('Connection')) {
+            errorMessage = 'Connection error';
+            errorDetails = `Check your connection name and ensure the ${getProvider(props.connectionType).name} SSE endpoint is properly configured.`;
+          } else {
+            errorMessage = err.message;
+            errorDetails = 'Check the browser console for more details.';
+          }
+        }
+
+        return `
+          <div style="background: #fef2f2; border: 1px solid #fca5a5; border-radius: 8px; padding: 12px; color: #dc2626; text-align: left; line-height: 1.5; font-size: 13px; word-wrap: break-word; overflow-wrap: break-word;">
+            <div style="font-weight: 600; margin-bottom: 4px; white-space: pre-line;">⚠️ ${escapeHTML(errorMessage)}</div>
+            <div style="margin-bottom: 8px;">${escapeHTML(errorDetails)}</div>
+            <details style="margin-top: 8px;">
+              <summary style="cursor: pointer; font-size: 11px; opacity: 0.8;">Technical Details</summary>
+              <div style="margin-top: 4px; font-size: 11px; font-family: monospace; background: rgba(0,0,0,0.05); padding: 8px; border-radius: 4px; overflow-wrap: break-word;">
+                ${escapeHTML(err.message || 'Unknown error')}
+              </div>
+            </details>
+          </div>
+        `;
+      };
+
+      // ===== Structured (JSON mode) answers =====
+
+      const humanizeKey = (key) => String(key)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .replace(/^./, (ch) => ch.toUpperCase());
+
+      // Labeled cards, one per field, in schema order (title from the schema when given)
+      const generateStructuredHTML = (value, schema = {}) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return generateStructuredHTML({ result: value }, { properties: { result: { ...schema, title: schema.title || 'Result' } } });
+        }
+
+        const generateValueHTML = (fieldValue, fieldSchema = {}) => {
+          if (Array.isArray(fieldValue)) {
+            if (fieldValue.every((item) => item === null || typeof item !== 'object')) {
+              return `<ul>${fieldValue.map((item) => `<li>${escapeHTML(item)}</li>`).join('')}</ul>`;
+            }
+            return fieldValue.map((item) => generateValueHTML(item, fieldSchema.items || {})).join('');
+          }
+          if (fieldValue && typeof fieldValue === 'object') {
+            return generateStructuredHTML(fieldValue, fieldSchema);
+          }
+          if (typeof fieldValue === 'string') {
+            return renderMarkdown(fieldValue);
+          }
+          return escapeHTML(JSON.stringify(fieldValue));
+        };
+
+        const properties = schema.properties || {};
+        const keys = [
+          ...Object.keys(properties).filter((key) => key in value),
+          ...Object.keys(value).filter((key) => !(key in properties)),
+        ];
+
+        const cards = keys
+          .map((key) => `
+                  <div class="llm-card">
+                    <div class="llm-card-label">${escapeHTML(properties[key]?.title || humanizeKey(key))}</div>
+                    <div class="llm-card-value llm-markdown">${generateValueHTML(value[key], properties[key])}</div>
+                  </div>
+                `)
+          .join('');
+
+        return `
+          <div class="llm-cards">
+            ${cards}
+          </div>
+        `;
+      };
+
+      // Transcript of a multi-turn conversation; the opening turn shows its label instead of the full prompt
+      const generateConversationHTML = (turns, props, pendingQuestion = null, retry = null) => {
+        const providerName = getProvider(props.connectionType).name;
+        const turnHTML = (turn) => {
+          if (turn.role === 'assistant') {
+            const body = turn.structured !== undefined
+              ? generateStructuredHTML(turn.structured, turn.schema)
+              : `<div class="llm-markdown">${renderMarkdown(turn.content)}</div>`;
+            return `
+              <div class="llm-turn llm-turn-assistant">
+                <div class="llm-turn-label">🤖 ${escapeHTML(providerName)}</div>
+                ${body}
+              </div>
+            `;
+          }
+          return `
+              <div class="llm-turn llm-turn-user">
+                <div class="llm-turn-label">🧑 You</div>
+                <div style="white-space: pre-wrap;">${turn.label ? `<em>${escapeHTML(turn.label)}</em>` : escapeHTML(turn.content)}</div>
+              </div>
+            `;
+        };
+        const pendingHTML = pendingQuestion !== null
+          ? `${turnHTML({ role: 'user', content: pendingQuestion })}
+                  <div class="llm-turn llm-turn-assistant" style="display: flex; align-items: center; gap: 8px; color: #6c757d;">
+                    <div style="width: 14px; height: 14px; border: 2px solid #f3f3f3; border-top: 2px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite;"></div>
+                    <span style="font-size: 12px;" title="${escapeHTML(retry?.reason || '')}">${retry ? `Retrying (${retry.attempt}/${retry.attempts})...` : 'Thinking...'}</span>
+                    <button id="cancelGenerateButton" class="llm-history-link">✕ Cancel</button>
+                  </div>`
+          : '';
+
+        return `
+          <div class="analysis-content llm-conversation" style="word-wrap: break-word; line-height: 1.6; text-align: left; padding: 12px; overflow-y: auto; height: 300px; scrollbar-width: thin; scrollbar-color: #9ca3af #f1f3f4;">
+            ${turns.map(turnHTML).join('')}
+            ${pendingHTML}
+          </div>
+        `;
+      };
+
+      // Fingerprint of the selection state and settings an answer is generated from.
+      // Appearance settings are left out so restyling does not mark an answer stale.
+      const computeGenerationSignature = (objectLayout) => {
+        const {
+          fontSize,
+          fontColor,
+          fontWeight,
+          fontStyle,
+          openFieldMapping,
+          validationHelp,
+          lastSaveTimestamp,
+          ...settings
+        } = objectLayout?.props || {};
+        const hyperCube = objectLayout?.qHyperCube || {};
+
+        return hashString(
+          JSON.stringify({
+            settings,
+            size: hyperCube.qSize,
+            states: (hyperCube.qDimensionInfo || []).map((dim) => dim.qStateCounts),
+            matrix: (hyperCube.qDataPages?.[0]?.qMatrix || []).map((row) => row.map((cell) => cell.qText ?? cell.qNum)),
+          }),
+        );
+      };
+
+      // Each run takes a ticket; its result is only applied while the ticket is still current.
+      // The engine call itself cannot be aborted, so cancelling aborts the wait (and any
+      // retries) and discards the answer.
+      const startRequest = (signature, auto = false) => {
+        session.requestSeq += 1;
+        session.activeRequest = {
+          id: session.requestSeq,
+          signature,
+          auto,
+          controller: new AbortController(),
+          retry: null, // { attempt, attempts, reason } while a transient failure is retried
+        };
+        session.status = 'running';
+        session.error = null;
+        // The signal is captured here so every call of the request aborts with it, even after
+        // cancelActiveRequest has cleared session.activeRequest
+        return { requestId: session.requestSeq, signal: session.activeRequest.controller.signal };
+      };
+
+      const isCurrentRequest = (id) => session.activeRequest?.id === id;
+
+      const cancelActiveRequest = () => {
+        session.activeRequest?.controller.abort();
+        session.activeRequest = null;
+        session.status = session.result ? 'complete' : 'idle';
+      };
+
+      // Auto-generate calls are capped per browser session and object
+      const getAutoCallCount = (objectId) => readStored('autocalls', objectId, { count: 0 }, window.sessionStorage).count || 0;
+
+      const countAutoCall = (objectId) => writeStored(
+        'autocalls',
+        objectId,
+        { count: getAutoCallCount(objectId) + 1, timestamp: Date.now() },
+        window.sessionStorage,
+      );
+
+      // complete answers turn stale once the selection state or settings move on
+      const getGenerationStatus = (signature) => (session.status === 'complete' && session.result?.signature !== signature
+        ? 'stale'
+        : session.status);
+
+      const generateLoadingHTML = (props, retry = null) => {
+        const status = retry ? `Retrying (${retry.attempt}/${retry.attempts})...` : 'Analyzing your data...';
+        const detail = retry
+          ? `Previous attempt failed: ${escapeHTML(retry.reason.slice(0, 120))}`
+          : `Processing with ${escapeHTML(getProvider(props.connectionType).name)}`;
+        return `
+        <div style="display: flex; flex-direction: column; align-items: center; color: #6c757d; padding: 20px; text-align: center;">
+          <div style="width: 24px; height: 24px; border: 3px solid #f3f3f3; border-top: 3px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite; margin-bottom: 12px;"></div>
+          <p style="margin: 0; font-size: 14px;">${status}</p>
+          <p style="margin: 4px 0 0 0; font-size: 11px; opacity: 0.7;" title="${escapeHTML(retry?.reason || '')}">${detail}</p>
+          <button id="cancelGenerateButton" class="llm-history-link" style="margin-top: 10px;">✕ Cancel</button>
+        </div>
+      `;
+      };
+
+      // View of the request in flight - a follow-up keeps the transcript with its question below
+      const generateRunningHTML = (props) => {
+        const request = session.activeRequest;
+        return request?.question !== undefined && props.conversationMode === true
+          ? generateConversationHTML(session.conversation, props, request.question, request.retry)
+          : generateLoadingHTML(props, request?.retry);
+      };
+
+      const generateAnswerHTML = (result) => {
+        const cachedBadge = result.cached
+          ? `<div class="llm-cached-badge">
+                  <span title="Same prompt, connection and parameters as an earlier call">⚡ Cached · ${escapeHTML(new Date(result.cachedAt).toLocaleString())}</span>
+                  <button id="forceRefreshButton" class="llm-history-link" title="Ignore the cache and call the AI service again">↻ Force refresh</button>
+                </div>`
+          : '';
+        const body = result.structured !== undefined
+          ? generateStructuredHTML(result.structured, result.schema)
+          : `<div class="llm-markdown">${renderMarkdown(result.text)}</div>`;
+        return `
+        <div style="word-wrap: break-word; line-height: 1.6; text-align: left; padding: 12px; overflow-y: auto; height: 300px; scrollbar-width: thin; scrollbar-color: #9ca3af #f1f3f4;" class="analysis-content">
+          ${result.note ? `<div style="font-size: 11px; opacity: 0.7; margin-bottom: 8px;">${escapeHTML(result.note)}</div>` : ''}
+          ${cachedBadge}
+          ${body}
+        </div>
+      `;
+      };
+
+      // Batch mode: progress plus one table row per hypercube row
+      const generateBatchHTML = (batch, running) => {
+        const percent = batch.total ? Math.round((batch.done / batch.total) * 100) : 0;
+        const statusCell = (row) => {
+          if (row.status === 'done') return `<div class="llm-markdown">${renderMarkdown(row.text)}</div>`;
+          if (row.status === 'error') return `<span style="color: #dc2626;">⚠️ ${escapeHTML(row.error)}</span>`;
+          if (row.status === 'running') {
+            return `<span style="opacity: 0.7;">⏳ ${row.retry ? `Retrying (${row.retry})...` : 'Generating...'}</span>`;
+          }
+          if (row.status === 'skipped') return '<span style="opacity: 0.6;">Skipped</span>';
+          return '<span style="opacity: 0.5;">Waiting</span>';
+        };
+        const rows = batch.rows
+          .map((row) => `
+                      <tr>
+                        ${row.labels.map((label) => `<td style="white-space: nowrap;">${escapeHTML(label)}</td>`).join('')}
+                        <td>${statusCell(row)}</td>
+                      </tr>
+                    `)
+          .join('');
+
+        return `
+          <div class="llm-batch">
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+              <div style="flex: 1;">
+                <div style="font-size: 12px; margin-bottom: 4px;">
+                  ${batch.total ? `${batch.done} of ${batch.total} rows` : 'Reading rows...'}${batch.failed ? ` · <span style="color: #dc2626;">${batch.failed} failed</span>` : ''}${batch.cancelled ? ' · cancelled' : ''}
+                </div>
+                <div class="llm-batch-progress"><div style="width: ${percent}%;"></div></div>
+              </div>
+              ${running && !batch.cancelled ? '<button data-batch-action="cancel" class="llm-history-link">✕ Cancel</button>' : ''}
+            </div>
+            <table class="llm-batch-table">
+              <thead>
+                <tr>${batch.columns.map((title) => `<th>${escapeHTML(title)}</th>`).join('')}<th>Answer</th></tr>
+              </thead>
+              <tbody>
+                ${rows}
+              </tbody>
+            </table>
+          </div>
+        `;
+      };
+
+      const STALE_BANNER_HTML = `
+        <div class="llm-stale-banner">
+          ⚠️ Selections or settings changed since this answer was generated - click Regenerate to refresh it.
+        </div>
+      `;
+
+      // Parameter summary for a history entry, using the labels of the provider that ran it
+      const formatHistoryParameters = (entry) => {
+        const provider = getProvider(entry.provider);
+        return provider.parameters
+          .filter((param) => entry.parameters?.[param.ref] !== undefined)
+          .map((param) => `${param.label}: ${entry.parameters[param.ref]}`)
+          .join(' · ');
+      };
+
+      const generateDiffHTML = (before, after) => {
+        const parts = diffWords(before.answer, after.answer);
+        const stats = diffStats(parts);
+        const body = parts
+          .map((part) => {
+            const text = escapeHTML(part.text);
+            if (part.type === 'added') return `<ins class="llm-diff-added">${text}</ins>`;
+            if (part.type === 'removed') return `<del class="llm-diff-removed">${text}</del>`;
+            return text;
+          })
+          .join('');
+
+        return `
+          <div class="llm-history-diff">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+              <strong style="font-size: 12px;">Word diff</strong>
+              <button data-history-action="close-diff" class="llm-history-link">Close</button>
+            </div>
+            <div style="font-size: 11px; opacity: 0.75; margin-bottom: 6px;">
+              ${escapeHTML(new Date(before.timestamp).toLocaleString())} → ${escapeHTML(new Date(after.timestamp).toLocaleString())}
+              · <span style="color: #15803d;">+${stats.added}</span> <span style="color: #b91c1c;">−${stats.removed}</span> words
+            </div>
+            <div style="white-space: pre-wrap; font-size: 12px; line-height: 1.5;">${body}</div>
+          </div>
+        `;
+      };
+
+      // Clear button of the history panel and the usage popover - it asks inline before
+      // anything is deleted
+      const generateClearControlsHTML = (attribute, confirming, question) => (confirming
+        ? `<span style="font-size: 11px;">${question}</span>
+              <button ${attribute}="confirm-clear" class="llm-history-link">Yes, clear</button>
+              <button ${attribute}="cancel-clear" class="llm-history-link">Cancel</button>`
+        : `<button ${attribute}="clear" class="llm-history-link">Clear</button>`);
+
+      // Header popover with the estimated usage of this object
+      const generateUsagePopoverHTML = (usage, budget, confirmingClear) => {
+        const totalsRow = (label, totals) => `
+          <tr>
+            <td>${label}</td>
+            <td>${totals.calls}${totals.cachedCalls ? ` (${totals.cachedCalls} cached)` : ''}</td>
+            <td>${formatTokens(totals.inputTokens)}</td>
+            <td>${formatTokens(totals.outputTokens)}</td>
+            <td>${formatCost(totals.cost)}</td>
+            <td>${totals.calls ? `${(totals.latencyMs / totals.calls / 1000).toFixed(1)} s` : '-'}</td>
+          </tr>
+        `;
+        const recent = usage.object.records
+          .slice(0, 10)
+          .map(
+            (record) => `
+              <tr>
+                <td>${escapeHTML(new Date(record.timestamp).toLocaleTimeString())}</td>
+                <td title="${escapeHTML(record.model || '')}">${escapeHTML(record.kind || 'analysis')}${record.cached ? ' ⚡' : ''}</td>
+                <td>${formatTokens(record.inputTokens)}</td>
+                <td>${formatTokens(record.outputTokens)}</td>
+                <td>${formatCost(record.cost)}</td>
+                <td>${(record.latencyMs / 1000).toFixed(1)} s</td>
+              </tr>
+            `,
+          )
+          .join('');
+        const budgetHTML = budget
+          ? `<div class="llm-usage-budget${budget.exceeded ? ' llm-usage-budget-exceeded' : ''}">Budget: ${formatUsageAmount(budget.spent, budget.unit)} of ${formatUsageAmount(budget.limit, budget.unit)}${budget.unit === 'tokens' ? ' tokens' : ''} (${budget.scope === 'object' ? 'all time' : 'this session'})${budget.exceeded ? ' - generation blocked' : ''}</div>`
+          : '';
+        const recentHTML = recent
+          ? `<div style="font-size: 11px; font-weight: 600; margin: 8px 0 4px 0;">Recent calls</div>
+                 <table class="llm-usage-table">
+                   <tr><th>Time</th><th>Kind</th><th>In</th><th>Out</th><th>Cost</th><th>Latency</th></tr>
+                   ${recent}
+                 </table>`
+          : '<p style="font-size: 11px; opacity: 0.7; margin: 8px 0 0 0;">No calls recorded yet.</p>';
+
+        return `
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+            <strong style="font-size: 12px;">📊 Estimated usage</strong>
+            <div style="display: flex; gap: 8px;">
+              ${generateClearControlsHTML('data-usage-action', confirmingClear, 'Clear the usage and reset the budget?')}
+              <button data-usage-action="close" class="llm-history-link">✕</button>
+            </div>
+          </div>
+          ${budgetHTML}
+          <table class="llm-usage-table">
+            <tr><th></th><th>Calls</th><th>In</th><th>Out</th><th>Cost</th><th>Avg latency</th></tr>
+            ${totalsRow('Session', usage.session.totals)}
+            ${totalsRow('All time', usage.object.totals)}
+          </table>
+          ${recentHTML}
+          <p style="font-size: 10px; opacity: 0.6; margin: 8px 0 0 0;">Tokens are estimated at ~4 characters each. Costs use the prices under Usage &amp; Budget. ⚡ = answered from the cache.</p>
+        `;
+      };
+
+      // Side panel listing previous generations (newest first)
+      const generateHistoryPanelHTML = (entries, compareIds, confirmingClear) => {
+        const selected = entries.filter((entry) => compareIds.includes(entry.id));
+        // Diff reads oldest -> newest
+        const diff = selected.length === 2 ? generateDiffHTML(selected[1], selected[0]) : '';
+
+        const items = entries
+          .map((entry) => {
+            const parameters = formatHistoryParameters(entry);
+            return `
+              <div class="llm-history-entry">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 6px;">
+                  <label style="display: flex; gap: 6px; align-items: flex-start; cursor: pointer; min-width: 0;">
+                    <input type="checkbox" data-history-action="compare" data-history-id="${escapeHTML(entry.id)}" ${compareIds.includes(entry.id) ? 'checked' : ''} title="Select two entries to compare">
+                    <span style="min-width: 0;">
+                      <span style="font-weight: 600; font-size: 12px;">${escapeHTML(new Date(entry.timestamp).toLocaleString())}</span>
+                      <span style="font-size: 11px; opacity: 0.7;"> · ${escapeHTML(entry.kind || 'analysis')}</span>
+                      <span style="display: block; font-size: 11px; opacity: 0.8;">${escapeHTML(entry.selectionSummary || 'No selection details')}</span>
+                    </span>
+                  </label>
+                  <button data-history-action="rerun" data-history-id="${escapeHTML(entry.id)}" class="llm-history-link" title="Send this prompt again with the same parameters">↻ Re-run</button>
+                </div>
+                <div style="font-size: 11px; opacity: 0.7; margin: 4px 0;">${escapeHTML(getProvider(entry.provider).name)}${parameters ? ` · ${escapeHTML(parameters)}` : ''}</div>
+                <details>
+                  <summary style="cursor: pointer; font-size: 11px;">Answer</summary>
+                  <div class="llm-markdown" style="font-size: 12px;">${renderMarkdown(entry.answer)}</div>
+                </details>
+                <details>
+                  <summary style="cursor: pointer; font-size: 11px;">Final prompt</summary>
+                  <pre style="white-space: pre-wrap; font-size: 11px; max-height: 160px; overflow: auto; background: #f8f9fa; padding: 6px; border-radius: 4px;">${escapeHTML(entry.prompt)}</pre>
+                </details>
+              </div>
+            `;
+          })
+          .join('');
+        const list = entries.length === 0
+          ? '<p style="font-size: 12px; opacity: 0.7; margin: 0;">No generations yet.</p>'
+          : `<p style="font-size: 11px; opacity: 0.7; margin: 0 0 8px 0;">Tick two entries to see a word-level diff of their answers.</p>${items}`;
+
+        return `
+          <div style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #e0e0e0; position: sticky; top: 0; background: #ffffff;">
+            <strong style="font-size: 13px;">🕘 History (${entries.length})</strong>
+            <div style="display: flex; gap: 8px;">
+              ${generateClearControlsHTML('data-history-action', confirmingClear, 'Clear the history?')}
+              <button data-history-action="close" class="llm-history-link">✕</button>
+            </div>
+          </div>
+          <div style="padding: 10px;">
+            ${diff}
+            ${list}
+          </div>
+        `;
+      };
+
       // Helper function for save success
       function handleSaveSuccess(totalMappings, uniqueFields) {
         const validationDiv = document.getElementById("smartMappingValidation");
@@ -5262,14 +6069,14 @@ export default function supernova() {
       // Helper function for save errors
       function handleSaveError(error) {
         console.error("Save error:", error);
+        const draftNote = draftWriteFailed
+          ? 'This browser could not keep your changes as a draft either - copy your prompts before closing the dialog.'
+          : 'Your changes are kept as an unsaved draft in this browser and are restored the next time you open Prompts & Field Mapping.';
         const validationDiv = document.getElementById("smartMappingValidation");
         if (validationDiv) {
-          validationDiv.innerHTML = `❌ Error saving configuration: ${error.message}`;
+          validationDiv.textContent = `❌ Error saving configuration: ${error.message} - ${draftNote}`;
           validationDiv.style.color = "#dc3545";
         }
-        alert(
-          `❌ Failed to save configuration:\n\n${error.message}\n\nPlease check the console for more details.`
-        );
       }
 
       function handlePromptChange(event) {
@@ -5408,17 +6215,6 @@ export default function supernova() {
         // Sync modal layout with main component layout
         syncModalLayout();
         const render = async () => {
-          // 🔧 CRITICAL FIX: Always reload from localStorage on render to get latest data
-          const freshlyLoaded = loadSavedConfiguration();
-          if (freshlyLoaded) {
-            console.log("🔄 Reloaded fresh configuration from localStorage on render");
-          }
-          
-          // 🔧 CRITICAL FIX: Initialize activeMappings from saved data if available
-          if (freshlyLoaded) {
-            initializeWithSavedData();
-          }
-          
           const props = layout?.props || {};
           console.log("🔄 Render function - current props:", {
             hasSystemPrompt: !!props.systemPrompt,
@@ -5431,7 +6227,24 @@ export default function supernova() {
 
           // Get validation result
           const validation = await validateSelections(layout, app);
-          const selectionInfo = getDynamicSelectionInfo(layout, validation);
+          const headerSubtitle = await getHeaderSummary(layout, validation);
+          const header = resolveHeaderOptions(props);
+          const currentSignature = computeGenerationSignature(layout);
+          const objectId = layout?.qInfo?.qId;
+          const isConfigured = !!(props.connectionName && props.systemPrompt && props.userPrompt);
+          const autoDebounceMs = Math.max(0, Number(props.autoGenerateDebounce ?? 1500) || 0);
+          const autoCallLimit = Math.max(0, Number(props.autoGenerateMaxCalls ?? 20) || 0);
+          const autoCallsLeft = autoCallLimit - getAutoCallCount(objectId);
+
+          // Selections moved on while an auto-generated answer was in flight - drop it
+          if (
+            session.activeRequest?.auto
+            && session.activeRequest.signature !== currentSignature
+            && props.autoGenerate === true
+          ) {
+            cancelActiveRequest();
+          }
+          const status = getGenerationStatus(currentSignature);
 
           // Base font styles that will be applied globally
           const baseFontStyle = `
@@ -5479,19 +6292,21 @@ export default function supernova() {
 
           // Build header
           // And update the header div to remove extra margins and padding:
+          const headerIconHTML = header.icon
+            ? `<span style="font-size: 20px; margin-right: 8px; flex-shrink: 0;">${escapeHTML(header.icon)}</span>`
+            : '';
+          const headerSubtitleHTML = headerSubtitle
+            ? `<p style="margin: 2px 0 0 0; font-size: 12px; opacity: 0.7; color: inherit; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${escapeHTML(headerSubtitle)}">${escapeHTML(headerSubtitle)}</p>`
+            : '';
 
           let content = `
               <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; height: 100%; box-sizing: border-box; display: flex; flex-direction: column; background: #ffffff; min-height: 200px; margin: 0; padding: 0;position: relative;top: 0;left: 0; ${baseFontStyle}">
                 <div style="display: flex; align-items: center; justify-content: space-between; margin: 0;  padding: 10px;padding-bottom: 8px;  border-bottom: 1px solid #e0e0e0; background: #ffffff; flex-wrap: wrap;gap: 8px;position: relative;top: 0;">
                   <div style="display: flex; align-items: center; flex: 1; min-width: 0;">
-                    <span style="font-size: 20px; margin-right: 8px; flex-shrink: 0;">🤖</span>
+                    ${headerIconHTML}
                     <div style="min-width: 0; flex: 1;">
-                      <h2 style="margin: 0; font-size: 16px; font-weight: 600; color: inherit; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">AI Analysis</h2>
-                      ${
-                        selectionInfo
-                          ? `<p style="margin: 2px 0 0 0; font-size: 12px; opacity: 0.7; color: inherit; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${selectionInfo}</p>`
-                          : ""
-                      }
+                      <h2 style="margin: 0; font-size: 16px; font-weight: 600; color: inherit; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHTML(header.title)}</h2>
+                      ${headerSubtitleHTML}
                     </div>
                   </div>
                   <div style="display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
@@ -5523,9 +6338,43 @@ export default function supernova() {
             `;
           } else {
             content += `
-              <button id="generateButton" style="${buttonStyle} box-shadow: 0 2px 8px rgba(102, 126, 234, 0.3); display: flex; align-items: center; gap: 4px;">
-                <span style="font-size: 14px;">✨</span>
-                <span>Generate Analysis</span>
+              <button id="usageButton" title="Estimated tokens and cost of this object's generations" style="background: #ffffff; color: #495057; border: 1px solid #ced4da; border-radius: 8px; padding: 8px 12px; font-size: 11px; font-weight: 600; cursor: pointer; white-space: nowrap;">
+                📊 Usage
+              </button>
+              <button id="historyButton" title="Previous generations" style="background: #ffffff; color: #495057; border: 1px solid #ced4da; border-radius: 8px; padding: 8px 12px; font-size: 11px; font-weight: 600; cursor: pointer; white-space: nowrap;">
+                🕘 History
+              </button>
+            `;
+            if (props.conversationMode === true && session.conversation.length > 0) {
+              content += `
+                <button id="newConversationButton" title="Clear the conversation and start over" style="background: #ffffff; color: #667eea; border: 1px solid #667eea; border-radius: 8px; padding: 8px 12px; font-size: 11px; font-weight: 600; cursor: pointer; white-space: nowrap;">
+                  🆕 New conversation
+                </button>
+              `;
+            }
+            const generateLabels = {
+              idle: ['✨', 'Generate Analysis'],
+              running: ['⏳', 'Analyzing...'],
+              complete: ['🔄', 'Regenerate'],
+              stale: ['🔄', 'Regenerate'],
+              error: ['🔄', 'Try again'],
+            };
+            if (props.batchMode === true) {
+              generateLabels.idle = ['✨', 'Generate for each row'];
+            }
+            const [icon, label] = generateLabels[status];
+            if (props.autoGenerate === true) {
+              content += autoCallsLeft > 0
+                ? `<span class="llm-status-pill llm-auto-pill" title="Generates automatically when the selection is valid (${autoCallsLeft} of ${autoCallLimit} automatic calls left this session)">⚡ Auto</span>`
+                : `<span class="llm-status-pill" title="The limit of ${autoCallLimit} automatic calls for this session was reached - use the button to generate">⚡ Auto paused</span>`;
+            }
+            if (status === 'stale') {
+              content += '<span class="llm-status-pill" title="Selections or settings changed since the answer was generated">Stale</span>';
+            }
+            content += `
+              <button id="generateButton" ${status === 'running' ? 'disabled' : ''} style="${buttonStyle} box-shadow: 0 2px 8px rgba(102, 126, 234, 0.3); display: flex; align-items: center; gap: 4px;">
+                <span style="font-size: 14px;">${icon}</span>
+                <span>${label}</span>
               </button>
             `;
           }
@@ -5540,7 +6389,14 @@ export default function supernova() {
           ) {
             // Enhanced Configuration needed with step-by-step guidance
             const hasConnection = !!props.connectionName;
-            const hasValidation = !!props.enableCustomValidation && !!props.customValidationExpression && props.customValidationExpression.trim() !== "";
+            const validationMode = resolveValidationMode(props);
+            const hasValidation = validationMode !== 'custom' || resolveValidationChecks(props).length > 0;
+            const { minRows, maxRows } = resolveRowCountBounds(props);
+            const validationSummary = {
+              none: 'No validation - any selection state can be analyzed',
+              rowCount: `Row count must be between ${minRows} and ${maxRows}`,
+              custom: 'Custom validation rules are active',
+            }[validationMode];
             const hasData = !!(
               layout.qHyperCube?.qDimensionInfo?.length ||
               layout.qHyperCube?.qMeasureInfo?.length
@@ -5573,20 +6429,12 @@ export default function supernova() {
                       <div style="font-weight: 600; font-size: 13px; color: ${
                         hasConnection ? "#155724" : "#e65100"
                       };">
-                        ${
-                          hasConnection
-                            ? "Connection Configured ✓"
-                            : "Configure Claude Connection"
-                        }
+                        ${hasConnection ? 'Connection Configured ✓' : `Configure ${getProvider(props.connectionType).name} Connection`}
                       </div>
                       <div style="font-size: 11px; color: ${
                         hasConnection ? "#155724" : "#e65100"
                       }; opacity: 0.8;">
-                        ${
-                          hasConnection
-                            ? "Ready to connect to Claude AI"
-                            : "Set connection name in LLM Configuration panel"
-                        }
+                        ${hasConnection ? `Ready to connect to ${getProvider(props.connectionType).name}` : 'Set connection name in LLM Configuration panel'}
                       </div>
                     </div>
                   </div>
@@ -5615,11 +6463,7 @@ export default function supernova() {
                       <div style="font-size: 11px; color: ${
                         hasValidation ? "#155724" : "#e65100"
                       }; opacity: 0.8;">
-                        ${
-                          hasValidation
-                            ? "Custom validation rules are active"
-                            : "Enable validation in Selection Validation panel"
-                        }
+                        ${hasValidation ? validationSummary : 'Add rules in the Selection Validation panel'}
                       </div>
                     </div>
                   </div>
@@ -5701,8 +6545,54 @@ export default function supernova() {
             // Show main interface
             content += `<div style="flex: 1; display: flex; flex-direction: column; gap: 10px;">`;
 
+            const responseBoxStyle = `flex: 1;${responseStyle} text-align: left; min-height: 180px; height: 280px; border: 1px solid #d4edda; background: #f8fff9; scrollbar-width: thin; scrollbar-color: #9ca3af #f1f3f4;`;
+            const staleBanner = status === 'stale' ? STALE_BANNER_HTML : '';
+
             if (!validation.valid) {
               content += generateValidationErrorHTML(validation, props);
+            } else if (props.batchMode === true && session.batch && status !== 'error') {
+              content += `
+                 <div id="llmResponse" class="${status === 'stale' ? 'llm-stale' : ''}" style="${responseBoxStyle}">
+                   ${staleBanner}
+                   ${generateBatchHTML(session.batch, status === 'running')}
+                 </div>
+              `;
+            } else if (status === 'running') {
+              content += `<div id="llmResponse" style="${responseBoxStyle}">${generateRunningHTML(props)}</div>`;
+            } else if (status === 'error' && props.conversationMode === true && session.conversation.length > 0) {
+              // A failed follow-up leaves the conversation as it was
+              content += `
+                 <div id="llmResponse" style="${responseBoxStyle}">
+                   ${generateConversationHTML(session.conversation, props)}
+                   ${generateLLMErrorHTML(session.error, props)}
+                 </div>
+              `;
+            } else if (status === 'error') {
+              // Keep the last good answer below the error
+              const previousAnswer = session.result
+                ? `<div style="font-size: 11px; opacity: 0.7; margin: 10px 0 0 0;">Previous answer:</div>${generateAnswerHTML(session.result)}`
+                : '';
+              content += `
+                 <div id="llmResponse" style="${responseBoxStyle}">
+                   ${generateLLMErrorHTML(session.error, props)}
+                   ${previousAnswer}
+                 </div>
+              `;
+            } else if (props.conversationMode === true && session.conversation.length > 0) {
+              // Conversation in progress - keep the transcript across re-renders
+              content += `
+                 <div id="llmResponse" style="${responseBoxStyle}">
+                   ${staleBanner}
+                   ${generateConversationHTML(session.conversation, props)}
+                 </div>
+              `;
+            } else if (session.result && !session.result.batch && (status === 'complete' || status === 'stale')) {
+              content += `
+                 <div id="llmResponse" class="${status === 'stale' ? 'llm-stale' : ''}" style="${responseBoxStyle}">
+                   ${staleBanner}
+                   ${generateAnswerHTML(session.result)}
+                 </div>
+              `;
             } else {
               // Ready state
               content += `
@@ -5717,9 +6607,32 @@ export default function supernova() {
               `;
             }
 
+            // Prompt size for the current selection state (batch prompts differ per row)
+            if (isConfigured && validation.valid && props.batchMode !== true) {
+              content += `<div id="tokenMeter" data-signature="${currentSignature}">${generateTokenMeterHTML(
+                session.budget?.signature === currentSignature ? session.budget : null,
+              )}</div>`;
+            }
+
+            // Follow-up input for conversation mode - shown once the first answer is in
+            if (validation.valid && props.conversationMode === true && session.conversation.length > 0) {
+              content += `
+                <div id="followUpBar" style="display: flex; gap: 8px; align-items: flex-end;">
+                  <textarea id="followUpInput" rows="2" placeholder="Ask a follow-up question... (Enter to send, Shift+Enter for a new line)" style="flex: 1; resize: none; border: 1px solid #ced4da; border-radius: 8px; padding: 8px 10px; font-family: inherit; font-size: 13px; line-height: 1.4; box-sizing: border-box;">${escapeHTML(session.followUpDraft)}</textarea>
+                  <button id="followUpButton" style="${buttonStyle} padding: 8px 14px;" ${status === 'running' ? 'disabled' : ''}>Ask</button>
+                </div>
+              `;
+            }
+
             content += `</div>`;
           }
 
+          // History side panel, filled by refreshHistoryPanel()
+          content += '<div id="historyPanel" class="llm-history-panel" style="display: none;"></div>';
+
+          // Usage popover under the header, filled by refreshUsagePopover()
+          content += '<div id="usagePopover" class="llm-usage-popover" style="display: none;"></div>';
+
           content += `</div>`;
 
           // Set HTML and add styles
@@ -5785,199 +6698,1009 @@ export default function supernova() {
             #llmResponse::-webkit-scrollbar-thumb:hover {
               background: #6b7280;
             }
+
+            /* Generation status */
+            .llm-status-pill {
+              background: #fff3cd;
+              border: 1px solid #ffeaa7;
+              color: #856404;
+              border-radius: 999px;
+              padding: 2px 8px;
+              font-size: 10px;
+              font-weight: 600;
+              white-space: nowrap;
+            }
+            /* Batch generation */
+            .llm-batch-progress {
+              height: 6px;
+              background: #e9ecef;
+              border-radius: 3px;
+              overflow: hidden;
+            }
+            .llm-batch-progress > div {
+              height: 100%;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              transition: width 0.2s ease;
+            }
+            .llm-batch-table {
+              width: 100%;
+              border-collapse: collapse;
+              font-size: 12px;
+            }
+            .llm-batch-table th,
+            .llm-batch-table td {
+              border-bottom: 1px solid #e9ecef;
+              padding: 6px 8px;
+              text-align: left;
+              vertical-align: top;
+            }
+            .llm-batch-table th {
+              position: sticky;
+              top: 0;
+              background: #f8f9fa;
+              font-weight: 600;
+            }
+
+            /* Structured (JSON mode) answers */
+            .llm-cards {
+              display: grid;
+              grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+              gap: 8px;
+            }
+            .llm-card {
+              background: #ffffff;
+              border: 1px solid #e9ecef;
+              border-left: 3px solid #667eea;
+              border-radius: 8px;
+              padding: 8px 10px;
+            }
+            .llm-card .llm-cards {
+              margin-top: 4px;
+            }
+            .llm-card-label {
+              font-size: 11px;
+              font-weight: 600;
+              text-transform: uppercase;
+              letter-spacing: 0.03em;
+              opacity: 0.7;
+              margin-bottom: 4px;
+            }
+            .llm-card-value ul {
+              margin: 0;
+              padding-left: 18px;
+            }
+            .llm-card-value p:last-child {
+              margin-bottom: 0;
+            }
+            .llm-cached-badge {
+              display: inline-flex;
+              align-items: center;
+              gap: 10px;
+              background: #eef2ff;
+              border: 1px solid #c7d2fe;
+              color: #4338ca;
+              border-radius: 999px;
+              padding: 2px 10px;
+              font-size: 11px;
+              margin-bottom: 8px;
+            }
+            .llm-auto-pill {
+              background: #eef2ff;
+              border-color: #c7d2fe;
+              color: #4338ca;
+            }
+            .llm-stale-banner {
+              background: #fff8e1;
+              border: 1px solid #ffe082;
+              color: #8a6d00;
+              border-radius: 6px;
+              padding: 6px 10px;
+              font-size: 11px;
+              margin-bottom: 8px;
+            }
+            .llm-stale .analysis-content {
+              opacity: 0.65;
+            }
+            .llm-token-meter {
+              margin-top: 8px;
+              font-size: 11px;
+              color: #6b7280;
+            }
+            .llm-token-meter-bar {
+              height: 4px;
+              background: #e5e7eb;
+              border-radius: 2px;
+              overflow: hidden;
+              margin-bottom: 4px;
+            }
+            .llm-token-meter-bar span {
+              display: block;
+              height: 100%;
+              background: #10b981;
+            }
+            .llm-token-near .llm-token-meter-bar span {
+              background: #f59e0b;
+            }
+            .llm-token-over .llm-token-meter-bar span {
+              background: #dc2626;
+            }
+            .llm-token-over .llm-token-meter-text,
+            .llm-token-meter-note {
+              color: #b45309;
+            }
+            #generateButton:disabled {
+              opacity: 0.7;
+              cursor: not-allowed;
+            }
+
+            /* History side panel */
+            .llm-history-panel {
+              position: absolute;
+              top: 0;
+              right: 0;
+              bottom: 0;
+              width: min(380px, 100%);
+              background: #ffffff;
+              border-left: 1px solid #e0e0e0;
+              box-shadow: -4px 0 12px rgba(0, 0, 0, 0.08);
+              overflow-y: auto;
+              z-index: 10;
+              text-align: left;
+            }
+            .llm-validation-checklist {
+              list-style: none;
+              margin: 0;
+              padding: 0;
+              text-align: left;
+              font-size: 12px;
+              line-height: 1.4;
+            }
+            .llm-validation-rule {
+              display: flex;
+              gap: 8px;
+              align-items: flex-start;
+              padding: 6px 8px;
+              border-radius: 6px;
+              margin-bottom: 4px;
+              background: rgba(133, 100, 4, 0.08);
+            }
+            .llm-validation-rule.passed {
+              opacity: 0.7;
+            }
+            .llm-validation-field {
+              display: inline-block;
+              background: #ffffff;
+              border: 1px solid #ffe082;
+              border-radius: 4px;
+              padding: 0 6px;
+              font: inherit;
+              font-weight: 600;
+              color: inherit;
+              cursor: pointer;
+            }
+            .llm-validation-field:hover {
+              border-color: #856404;
+            }
+            .llm-validation-picker {
+              display: flex;
+              flex-wrap: wrap;
+              gap: 4px;
+              margin-top: 6px;
+              max-height: 120px;
+              overflow-y: auto;
+            }
+            .llm-validation-value {
+              background: #ffffff;
+              border: 1px solid #d0d7de;
+              border-radius: 12px;
+              padding: 1px 8px;
+              font: inherit;
+              font-size: 12px;
+              color: #212529;
+              cursor: pointer;
+            }
+            .llm-validation-value.selected {
+              background: #009845;
+              border-color: #009845;
+              color: #ffffff;
+            }
+            .llm-validation-value.excluded {
+              background: #f0f0f0;
+              color: #8a8a8a;
+            }
+            .llm-validation-picker-note {
+              width: 100%;
+              font-size: 11px;
+              opacity: 0.8;
+            }
+            .llm-usage-popover {
+              position: absolute;
+              top: 56px;
+              right: 12px;
+              width: min(420px, calc(100% - 24px));
+              max-height: calc(100% - 68px);
+              overflow-y: auto;
+              background: #ffffff;
+              border: 1px solid #e0e0e0;
+              border-radius: 8px;
+              box-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
+              padding: 10px;
+              z-index: 11;
+              text-align: left;
+            }
+            .llm-usage-table {
+              width: 100%;
+              border-collapse: collapse;
+              font-size: 11px;
+            }
+            .llm-usage-table th,
+            .llm-usage-table td {
+              padding: 3px 4px;
+              border-bottom: 1px solid #f1f3f4;
+              text-align: right;
+              white-space: nowrap;
+            }
+            .llm-usage-table th:first-child,
+            .llm-usage-table td:first-child {
+              text-align: left;
+            }
+            .llm-usage-budget {
+              font-size: 11px;
+              background: #f0fdf4;
+              border: 1px solid #bbf7d0;
+              color: #166534;
+              border-radius: 6px;
+              padding: 4px 8px;
+              margin-bottom: 6px;
+            }
+            .llm-usage-budget-exceeded {
+              background: #fef2f2;
+              border-color: #fca5a5;
+              color: #b91c1c;
+            }
+            .llm-history-entry {
+              border: 1px solid #e9ecef;
+              border-radius: 8px;
+              padding: 8px;
+              margin-bottom: 8px;
+            }
+            .llm-history-diff {
+              border: 1px solid #c7d2fe;
+              background: #f8faff;
+              border-radius: 8px;
+              padding: 8px;
+              margin-bottom: 10px;
+            }
+            .llm-history-link {
+              background: none;
+              border: none;
+              color: #667eea;
+              font-size: 11px;
+              font-weight: 600;
+              cursor: pointer;
+              padding: 0;
+              white-space: nowrap;
+            }
+            .llm-diff-added {
+              background: #dcfce7;
+              color: #15803d;
+              text-decoration: none;
+            }
+            .llm-diff-removed {
+              background: #fee2e2;
+              color: #b91c1c;
+            }
+
+            /* Conversation transcript */
+            .llm-turn {
+              margin: 0 0 10px 0;
+              padding: 8px 10px;
+              border-radius: 8px;
+            }
+            .llm-turn-user {
+              background: #eef2ff;
+              border: 1px solid #c7d2fe;
+              margin-left: 24px;
+            }
+            .llm-turn-assistant {
+              background: #ffffff;
+              border: 1px solid #e9ecef;
+              margin-right: 24px;
+            }
+            .llm-turn-label {
+              font-size: 11px;
+              font-weight: 600;
+              opacity: 0.7;
+              margin-bottom: 4px;
+            }
+            #followUpButton:disabled {
+              opacity: 0.6;
+              cursor: not-allowed;
+            }
+
+            /* Rendered markdown responses */
+            .llm-markdown > :first-child { margin-top: 0; }
+            .llm-markdown > :last-child { margin-bottom: 0; }
+            .llm-markdown p { margin: 0 0 10px 0; }
+            .llm-markdown h1, .llm-markdown h2, .llm-markdown h3,
+            .llm-markdown h4, .llm-markdown h5, .llm-markdown h6 {
+              margin: 14px 0 8px 0;
+              line-height: 1.3;
+              color: inherit;
+            }
+            .llm-markdown h1 { font-size: 1.4em; }
+            .llm-markdown h2 { font-size: 1.25em; }
+            .llm-markdown h3 { font-size: 1.1em; }
+            .llm-markdown h4, .llm-markdown h5, .llm-markdown h6 { font-size: 1em; }
+            .llm-markdown ul, .llm-markdown ol { margin: 0 0 10px 0; padding-left: 22px; }
+            .llm-markdown li { margin: 2px 0; }
+            .llm-markdown code {
+              background: rgba(0, 0, 0, 0.06);
+              border-radius: 4px;
+              padding: 1px 4px;
+              font-family: SFMono-Regular, Consolas, "Liberation Mono", monospace;
+              font-size: 0.9em;
+            }
+            .llm-markdown pre {
+              background: #f1f3f4;
+              border: 1px solid #e0e0e0;
+              border-radius: 6px;
+              padding: 10px;
+              overflow-x: auto;
+              margin: 0 0 10px 0;
+            }
+            .llm-markdown pre code { background: none; padding: 0; }
+            .llm-markdown blockquote {
+              margin: 0 0 10px 0;
+              padding: 4px 12px;
+              border-left: 3px solid #c5cae9;
+              color: #555;
+            }
+            .llm-markdown table {
+              border-collapse: collapse;
+              margin: 0 0 10px 0;
+              font-size: 0.95em;
+              display: block;
+              overflow-x: auto;
+            }
+            .llm-markdown th, .llm-markdown td {
+              border: 1px solid #dee2e6;
+              padding: 4px 8px;
+              text-align: left;
+            }
+            .llm-markdown th { background: #f1f3f4; font-weight: 600; }
+            .llm-markdown .md-align-center { text-align: center; }
+            .llm-markdown .md-align-right { text-align: right; }
+            .llm-markdown hr { border: none; border-top: 1px solid #e0e0e0; margin: 12px 0; }
+            .llm-markdown a { color: #3f51b5; }
             
 
           `;
           document.head.appendChild(style);
 
-          // UPDATED: Enhanced handleGenerate function with better error handling
-          const handleGenerate = async () => {
-            const validation = await validateSelections(layout, app);
-            const responseDiv = element.querySelector("#llmResponse");
-            const generateButton = element.querySelector("#generateButton");
+          const isConversation = props.conversationMode === true;
 
-            if (!validation.valid) {
-              if (responseDiv) {
-                responseDiv.innerHTML = generateValidationErrorHTML(validation, props);
-              }
-              return;
+          const scrollConversationToEnd = () => {
+            const transcript = element.querySelector('.llm-conversation');
+            if (transcript) transcript.scrollTop = transcript.scrollHeight;
+          };
+
+          // The selections an answer was generated for, as the history shows them - taken from
+          // the engine, so it does not depend on the header subtitle
+          const describeCurrentSelections = async () => {
+            try {
+              const { text } = readEvaluateResult(
+                await app.evaluate({ qExpression: SELECTION_SUMMARY_EXPRESSION }),
+              );
+              if (qlikErrorMessage(text)) return '';
+              return text.trim() || 'No selections';
+            } catch (error) {
+              return '';
             }
+          };
+
+          // History panel - re-rendered in place so the main view is left alone
+          function refreshHistoryPanel() {
+            const panel = element.querySelector('#historyPanel');
+            const entries = loadHistory(layout?.qInfo?.qId);
+            session.historyCompare = session.historyCompare.filter((id) => entries.some((entry) => entry.id === id));
+
+            const historyButton = element.querySelector('#historyButton');
+            if (historyButton) historyButton.textContent = `🕘 History (${entries.length})`;
+
+            if (!panel) return;
+            panel.style.display = session.historyOpen ? 'block' : 'none';
+            panel.innerHTML = session.historyOpen
+              ? generateHistoryPanelHTML(entries, session.historyCompare, session.clearPending === 'history')
+              : '';
+          }
+
+          // Usage popover - totals are read from storage each time it opens or a call completes
+          function refreshUsagePopover() {
+            const usage = loadUsage(objectId);
+            const budget = checkUsageBudget(usage, props);
 
-            // Disable button and show loading
-            if (generateButton) {
-              generateButton.disabled = true;
-              generateButton.style.background = "linear-gradient(135deg, #9ca3af 0%, #6b7280 100%)";
-              generateButton.innerHTML = `<span style="margin-right: 6px;">⏳</span><span>Analyzing...</span>`;
+            const usageButton = element.querySelector('#usageButton');
+            if (usageButton) {
+              usageButton.textContent = budget?.exceeded ? '📊 Budget reached' : '📊 Usage';
+              usageButton.style.color = budget?.exceeded ? '#b91c1c' : '#495057';
             }
 
-            if (responseDiv) {
-              responseDiv.innerHTML = `
-                <div style="display: flex; flex-direction: column; align-items: center; color: #6c757d; padding: 20px; text-align: center;">
-                  <div style="width: 24px; height: 24px; border: 3px solid #f3f3f3; border-top: 3px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite; margin-bottom: 12px;"></div>
-                  <p style="margin: 0; font-size: 14px;">Analyzing your data...</p>
-                  <p style="margin: 4px 0 0 0; font-size: 11px; opacity: 0.7;">Processing with Claude AI</p>
-                </div>
-              `;
+            const popover = element.querySelector('#usagePopover');
+            if (!popover) return;
+            popover.style.display = session.usageOpen ? 'block' : 'none';
+            popover.innerHTML = session.usageOpen
+              ? generateUsagePopoverHTML(usage, budget, session.clearPending === 'usage')
+              : '';
+          }
+
+          // Every completion is recorded in the per-object history
+          const generateAndRecord = async (
+            request,
+            runProps,
+            kind,
+            signature = currentSignature,
+            options = {},
+          ) => {
+            // Read before the answer arrives - selections may move on while it is generated
+            const selections = describeCurrentSelections();
+            const completion = await requestCompletion(request, runProps, { ...options, kind });
+            const responseText = completion.text;
+            addHistoryEntry(layout?.qInfo?.qId, {
+              kind,
+              signature,
+              cached: completion.cached,
+              selectionSummary: await selections,
+              provider: getProvider(runProps.connectionType).id,
+              parameters: resolveProviderParameters(getProvider(runProps.connectionType), runProps),
+              prompt: flattenRequest(request),
+              request: { system: request.system, messages: request.messages },
+              answer: responseText,
+            });
+            refreshHistoryPanel();
+            refreshUsagePopover();
+            return completion;
+          };
+
+          // JSON mode: parse and validate the reply, asking the model once to repair it if needed
+          const completeStructured = async (request, schema, signature, options, kind = 'analysis') => {
+            const completion = await generateAndRecord(request, props, kind, signature, options);
+            let parsed = parseStructuredResponse(completion.text, schema);
+            if (parsed.ok) {
+              return { completion, structured: parsed.value };
             }
 
-            try {
-              // Step 1: Get and process prompts
-              let systemPrompt = props.systemPrompt || "";
-              let userPrompt = props.userPrompt || "";
+            const question = request.messages[request.messages.length - 1].content;
+            const repair = await generateAndRecord(
+              {
+                ...request,
+                messages: [
+                  ...request.messages.slice(0, -1),
+                  { role: 'user', content: buildRepairPrompt(question, completion.text, parsed.errors) },
+                ],
+              },
+              props,
+              'repair',
+              signature,
+              options,
+            );
+            parsed = parseStructuredResponse(repair.text, schema);
+            if (!parsed.ok) {
+              throw new Error(
+                `The AI service did not return JSON matching the schema: ${parsed.errors.slice(0, 3).join('; ')}`,
+              );
+            }
+            return { completion: repair, structured: parsed.value };
+          };
 
-              console.log("🔍 Original prompts:", { 
-                systemPrompt: systemPrompt.substring(0, 100) + "...", 
-                userPrompt: userPrompt.substring(0, 100) + "..." 
-              });
+          // Cancel signal and retry reporting for the run holding this ticket
+          // An automatic run uses up one of the session's auto calls once it sends a request -
+          // runs refused by the budget, answered from the cache or cancelled first do not
+          const countSentAutoCall = (requestId) => {
+            const request = session.activeRequest;
+            if (!isCurrentRequest(requestId) || !request.auto || request.autoCounted) return;
+            request.autoCounted = true;
+            countAutoCall(objectId);
+          };
 
-              // Step 2: Replace dynamic fields using the enhanced function
-              systemPrompt = replaceDynamicFieldsWithMappings(systemPrompt, layout);
-              userPrompt = replaceDynamicFieldsWithMappings(userPrompt, layout);
+          function bindCancelButton() {
+            const cancelButton = element.querySelector('#cancelGenerateButton');
+            if (cancelButton) {
+              cancelButton.onclick = () => {
+                cancelActiveRequest();
+                session.render();
+              };
+            }
+          }
 
-              console.log("🔍 After field replacement:", { 
-                systemPrompt: systemPrompt.substring(0, 100) + "...", 
-                userPrompt: userPrompt.substring(0, 100) + "..." 
-              });
+          const requestOptions = (requestId, signal) => ({
+            signal,
+            onSend: () => countSentAutoCall(requestId),
+            onRetry: ({ attempt, attempts, error }) => {
+              if (!isCurrentRequest(requestId)) return;
+              session.activeRequest.retry = { attempt, attempts, reason: error.message || String(error) };
+              const responseDiv = element.querySelector('#llmResponse');
+              if (responseDiv) responseDiv.innerHTML = generateRunningHTML(props);
+              bindCancelButton();
+              scrollConversationToEnd();
+            },
+          });
 
-              // Step 3: Build full prompt
-              let fullPrompt = userPrompt;
-              if (systemPrompt && systemPrompt.trim()) {
-                fullPrompt = systemPrompt + "\n\n" + userPrompt;
-              }
+          const refreshBatchView = () => {
+            const responseDiv = element.querySelector('#llmResponse');
+            if (responseDiv && session.batch) {
+              responseDiv.innerHTML = generateBatchHTML(session.batch, session.status === 'running');
+            }
+          };
 
-                          // Step 4: Add data context if available (SIMPLIFIED to avoid size issues)
-            if (layout.qHyperCube?.qDataPages?.[0]?.qMatrix?.length > 0) {
-              const matrix = layout.qHyperCube.qDataPages[0].qMatrix;
-              
-              // Only add a small sample of data to keep prompt size manageable
-              fullPrompt += "\n\nData Sample:\n";
-              
-              // Add just the first few rows as context
-              const maxRows = Math.min(matrix.length, 10); // Reduced to just 10 rows
-              matrix.slice(0, maxRows).forEach((row, idx) => {
-                const rowData = row.map((cell) => cell.qText || cell.qNum || "").join(", ");
-                fullPrompt += `Row ${idx + 1}: ${rowData}\n`;
-              });
+          // Batch mode: one call per hypercube row, each row's values substituted into the mapped placeholders
+          const handleBatchGenerate = async ({ auto = false, forceRefresh = false } = {}) => {
+            const signature = currentSignature;
+            const { requestId, signal } = startRequest(signature, auto);
+            const hyperCube = layout.qHyperCube;
+            const columns = getColumns(hyperCube);
+            const promptColumns = columns.slice(0, resolveDataContextOptions(props).maxColumns);
+            const labelColumns = columns.filter((column) => column.type === 'dimension');
+            const rowLimit = Math.min(
+              Math.max(1, Number(props.batchMaxRows) || 50),
+              hyperCube?.qSize?.qcy ?? 0,
+            );
+            const concurrency = Math.max(1, Math.min(10, Number(props.batchConcurrency) || 3));
+
+            const batch = {
+              columns: labelColumns.map((column) => column.title),
+              rows: [],
+              total: 0,
+              done: 0,
+              failed: 0,
+              cancelled: false,
+            };
+            session.batch = batch;
+            await session.render();
+
+            try {
+              const rows = [];
+              await forEachRow(
+                hyperCube,
+                columns.length,
+                rowLimit,
+                (pages) => model.getHyperCubeData('/qHyperCubeDef', pages),
+                (row) => {
+                  rows.push(row);
+                },
+              );
+
+              // Expressions, variables and the context block do not depend on the row, so they
+              // are resolved once
+              const values = await loadPromptValues(props, [
+                props.systemPrompt || '',
+                props.userPrompt || '',
+                props.contextBlock || '',
+              ]);
+              const contextBlock = await buildContextBlock(
+                replaceDynamicFieldsWithMappings(
+                  applyPromptTemplate(props.contextBlock || '', layout, rows, values),
+                  layout,
+                ),
+                props,
+              );
+              const contextPosition = resolveContextBlockOptions(props).position;
+
+              batch.total = rows.length;
+              batch.rows = rows.map((row) => ({
+                labels: labelColumns.map((column) => cellText(row[column.index])),
+                status: 'pending',
+              }));
+              refreshBatchView();
+
+              await runWithConcurrency(
+                rows,
+                concurrency,
+                async (row, index) => {
+                  batch.rows[index].status = 'running';
+                  refreshBatchView();
+
+                  const systemPrompt = replacePlaceholdersForRow(props.systemPrompt || '', layout, row, values);
+                  const userPrompt = replacePlaceholdersForRow(props.userPrompt || '', layout, row, values);
+                  const question = `${placeContextBlock(userPrompt, contextBlock, contextPosition)}\n\nRow data:\n${formatRowRecord(promptColumns, row)}`;
+                  const request = buildConversationRequest(systemPrompt, [], question);
+                  return requestCompletion(request, props, {
+                    forceRefresh,
+                    kind: 'batch',
+                    signal,
+                    onSend: () => countSentAutoCall(requestId),
+                    onRetry: ({ attempt, attempts }) => {
+                      batch.rows[index].retry = `${attempt}/${attempts}`;
+                      if (isCurrentRequest(requestId)) refreshBatchView();
+                    },
+                  });
+                },
+                {
+                  isCancelled: () => batch.cancelled || !isCurrentRequest(requestId),
+                  onSettled: (index, result) => {
+                    const row = batch.rows[index];
+                    batch.done++;
+                    if (result.ok) {
+                      row.status = 'done';
+                      row.text = result.value.text;
+                    } else if (result.error?.name === 'AbortError') {
+                      row.status = 'skipped'; // in flight when the batch was cancelled
+                    } else {
+                      batch.failed++;
+                      row.status = 'error';
+                      row.error = result.error?.message || 'Unknown error';
+                    }
+                    if (isCurrentRequest(requestId)) refreshBatchView();
+                  },
+                },
+              );
 
-              if (matrix.length > maxRows) {
-                fullPrompt += `... and ${matrix.length - maxRows} more rows available\n`;
+              if (!isCurrentRequest(requestId)) return;
+              batch.rows = batch.rows.map((row) => (row.status === 'pending' ? { ...row, status: 'skipped' } : row));
+              session.result = {
+                text: '', signature, timestamp: Date.now(), batch: true,
+              };
+              session.status = 'complete';
+            } catch (err) {
+              if (!isCurrentRequest(requestId)) return;
+              session.status = 'error';
+              session.error = err;
+            } finally {
+              if (isCurrentRequest(requestId)) {
+                session.activeRequest = null;
+                await session.render();
               }
             }
+          };
 
-              console.log("📝 Final prompt length:", fullPrompt.length);
-              console.log("🔍 Final prompt preview:", fullPrompt.substring(0, 300) + "...");
+          // UPDATED: Generation runs through session.status so the answer survives re-renders
+          const handleGenerate = async ({ auto = false, forceRefresh = false } = {}) => {
+            if (session.status === 'running') return;
 
-              // Step 5: Validate prompt length and truncate if needed
-              if (fullPrompt.length > 50000) { // More conservative limit
-                console.warn("⚠️ Prompt is large, truncating...");
-                fullPrompt = fullPrompt.substring(0, 45000) + "\n\n[Note: Content truncated due to size limits]";
+            const freshValidation = await validateSelections(layout, app);
+            if (!freshValidation.valid) {
+              const responseDiv = element.querySelector('#llmResponse');
+              if (responseDiv) {
+                responseDiv.innerHTML = generateValidationErrorHTML(freshValidation, props);
+                bindValidationFieldPickers(responseDiv);
               }
+              return;
+            }
 
-                      // Step 6: Build and validate expression
-        const expression = buildLLMExpression(fullPrompt, props);
-        
-        // FIX: Validate expression size to prevent browser crashes
-        if (expression.length > 1000000) { // 1MB limit
-          throw new Error("Expression too large (over 1MB). Please reduce prompt or data size.");
-        }
+            if (props.batchMode === true) {
+              await handleBatchGenerate({ auto, forceRefresh });
+              return;
+            }
+
+            // The answer belongs to the state it was requested in, even if selections move on meanwhile
+            const signature = currentSignature;
+            const { requestId, signal } = startRequest(signature, auto);
+            await session.render();
 
-              // Step 7: Execute with timeout
-              console.log("🚀 Executing expression...");
-              const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error("Request timeout after 30 seconds")), 30000)
+            try {
+              const {
+                systemPrompt, userPrompt, dataContext, contextBlock, budget,
+              } = await buildPromptParts(
+                layout,
+                props,
               );
-              
-              const evaluatePromise = app.evaluate({ qExpression: expression });
-              
-              const response = await Promise.race([evaluatePromise, timeoutPromise]);
-              
-              console.log("📥 Raw response from Qlik:", response);
-              
-              // Step 8: Process response
-              let responseText = "";
-              if (response && typeof response === "object") {
-                responseText = response.qText || response.qNum?.toString() || JSON.stringify(response);
-              } else if (response) {
-                responseText = response.toString();
+              session.budget = { signature, budget };
+
+              // JSON mode appends the schema so the model knows the shape to return
+              let schema = null;
+              if (props.responseMode === 'json') {
+                const parsedSchema = parseSchema(props.jsonSchema);
+                if (parsedSchema.error) throw new Error(parsedSchema.error);
+                schema = parsedSchema.schema;
               }
 
-              if (!responseText || responseText.trim() === "") {
-                throw new Error("Empty response received from LLM service");
+              // The opening question carries the user prompt, the context block and the data context
+              const question = placeContextBlock(userPrompt, contextBlock, resolveContextBlockOptions(props).position)
+                + dataContext
+                + (schema ? buildSchemaInstructions(schema) : '');
+              const request = buildConversationRequest(systemPrompt, [], question);
+              const options = { forceRefresh, ...requestOptions(requestId, signal) };
+              const { completion, structured } = schema
+                ? await completeStructured(request, schema, signature, options)
+                : { completion: await generateAndRecord(request, props, 'analysis', signature, options) };
+              if (!isCurrentRequest(requestId)) return; // cancelled meanwhile
+
+              const responseText = completion.text;
+              session.result = {
+                text: responseText,
+                signature,
+                timestamp: Date.now(),
+                cached: completion.cached,
+                cachedAt: completion.cachedAt,
+                ...(schema ? { structured, schema } : {}),
+              };
+              session.status = 'complete';
+              if (isConversation) {
+                // Start a new conversation - follow-ups replay these turns
+                session.conversation = [
+                  { role: 'user', content: question, label: 'Initial analysis of the current selection' },
+                  { role: 'assistant', content: responseText, ...(schema ? { structured, schema } : {}) },
+                ];
               }
-
-              // Check for Qlik expression errors
-              if (responseText.includes("Error in expression") || 
-                  responseText.includes("') expected") ||
-                  responseText.includes("Syntax error")) {
-                throw new Error("Qlik expression error: " + responseText);
+            } catch (err) {
+              if (!isCurrentRequest(requestId)) return;
+              session.status = 'error';
+              session.error = err;
+            } finally {
+              if (isCurrentRequest(requestId)) {
+                session.activeRequest = null;
+                await session.render();
               }
+            }
+          };
 
-              console.log("✅ Final response text:", responseText.substring(0, 200) + "...");
+          // Follow-up question in conversation mode - prior turns are replayed into the prompt.
+          // Runs as a request like a generation (status, cancel, retries, JSON mode); the
+          // conversation keeps the data of the opening turn, so it keeps that answer's signature.
+          const handleFollowUp = async () => {
+            const question = (element.querySelector('#followUpInput')?.value || '').trim();
+            if (!question || session.status === 'running' || session.conversation.length === 0) {
+              return;
+            }
 
-              // Step 9: Display result
-              if (responseDiv) {
-                responseDiv.innerHTML = `
-                  <div style="word-wrap: break-word; line-height: 1.6; text-align: left; padding: 12px; overflow-y: auto; height: 300px; scrollbar-width: thin; scrollbar-color: #9ca3af #f1f3f4;" class="analysis-content">
-                    <div style="white-space: pre-wrap;">${responseText.replace(/\n/g, "<br>")}</div>
-                  </div>
-                `;
+            const signature = session.result?.signature ?? currentSignature;
+            const { requestId, signal } = startRequest(signature);
+            session.activeRequest.question = question;
+            await session.render();
+
+            try {
+              const { systemPrompt } = await buildPromptParts(layout, props, { includeData: false });
+
+              let schema = null;
+              if (props.responseMode === 'json') {
+                const parsedSchema = parseSchema(props.jsonSchema);
+                if (parsedSchema.error) throw new Error(parsedSchema.error);
+                schema = parsedSchema.schema;
               }
 
+              const request = buildConversationRequest(
+                systemPrompt,
+                session.conversation,
+                question + (schema ? buildSchemaInstructions(schema) : ''),
+                props.conversationHistoryTurns || 5,
+              );
+              const options = requestOptions(requestId, signal);
+              const { completion, structured } = schema
+                ? await completeStructured(request, schema, signature, options, 'follow-up')
+                : { completion: await generateAndRecord(request, props, 'follow-up', signature, options) };
+              if (!isCurrentRequest(requestId)) return; // cancelled meanwhile
+
+              session.conversation.push(
+                { role: 'user', content: question },
+                { role: 'assistant', content: completion.text, ...(schema ? { structured, schema } : {}) },
+              );
+              session.followUpDraft = '';
+              session.status = session.result ? 'complete' : 'idle';
             } catch (err) {
-              console.error("❌ LLM Error:", err);
-              console.error("❌ Error stack:", err.stack);
-
-              // Enhanced error handling
-              let errorMessage = "Failed to generate response";
-              let errorDetails = "";
-
-              if (err.message) {
-                if (err.message.includes("') expected")) {
-                  errorMessage = "Expression syntax error";
-                  errorDetails = "There's a syntax issue in the generated expression. This usually happens with special characters in prompts.";
-                } else if (err.message.includes("timeout")) {
-                  errorMessage = "Request timed out";
-                  errorDetails = "The AI service took too long to respond. Please try again.";
-                } else if (err.message.includes("Connection")) {
-                  errorMessage = "Connection error";
-                  errorDetails = "Check your connection name and ensure the Claude SSE endpoint is properly configured.";
-                } else {
-                  errorMessage = err.message;
-                  errorDetails = "Check the browser console for more details.";
-                }
+              if (!isCurrentRequest(requestId)) return;
+              session.status = 'error';
+              session.error = err;
+            } finally {
+              if (isCurrentRequest(requestId)) {
+                session.activeRequest = null;
+                await session.render();
               }
+            }
+          };
 
-              if (responseDiv) {
-                responseDiv.innerHTML = `
-                  <div style="background: #fef2f2; border: 1px solid #fca5a5; border-radius: 8px; padding: 12px; color: #dc2626; text-align: left; line-height: 1.5; font-size: 13px; word-wrap: break-word; overflow-wrap: break-word;">
-                    <div style="font-weight: 600; margin-bottom: 4px;">⚠️ ${errorMessage}</div>
-                    <div style="margin-bottom: 8px;">${errorDetails}</div>
-                    <details style="margin-top: 8px;">
-                      <summary style="cursor: pointer; font-size: 11px; opacity: 0.8;">Technical Details</summary>
-                      <div style="margin-top: 4px; font-size: 11px; font-family: monospace; background: rgba(0,0,0,0.05); padding: 8px; border-radius: 4px; overflow-wrap: break-word;">
-                        ${err.message || "Unknown error"}
-                      </div>
-                    </details>
-                  </div>
-                `;
-              }
+          // Re-send a stored prompt with the provider and parameters it was generated with
+          const handleRerun = async (entry) => {
+            if (session.status === 'running') return;
+
+            const runProps = { ...props, ...entry.parameters, connectionType: entry.provider };
+            const note = `↻ Re-run of the generation from ${new Date(entry.timestamp).toLocaleString()}`;
+            // Unknown signature (older entries) counts as stale against the current state
+            const signature = entry.signature || null;
+
+            const { requestId, signal } = startRequest(signature);
+            await session.render();
+
+            try {
+              // A re-run is an explicit request for a fresh answer. Entries from before role
+              // support only have the flattened prompt, which is re-sent as one user message.
+              const request = entry.request || {
+                system: '',
+                messages: [{ role: 'user', content: entry.prompt }],
+              };
+              const completion = await generateAndRecord(request, runProps, 're-run', signature, {
+                forceRefresh: true,
+                ...requestOptions(requestId, signal),
+              });
+              if (!isCurrentRequest(requestId)) return;
+              session.result = {
+                text: completion.text, signature, timestamp: Date.now(), note,
+              };
+              session.status = 'complete';
+            } catch (err) {
+              if (!isCurrentRequest(requestId)) return;
+              session.status = 'error';
+              session.error = err;
             } finally {
-              // Complete button state
-              if (generateButton) {
-                generateButton.disabled = true;
-                generateButton.style.background = "#e9ecef";
-                generateButton.style.color = "#6c757d";
-                generateButton.style.cursor = "not-allowed";
-                generateButton.style.boxShadow = "none";
-                generateButton.innerHTML = '<span style="font-size: 14px;">✅</span><span>Analysis Complete</span>';
+              if (isCurrentRequest(requestId)) {
+                session.activeRequest = null;
+                await session.render();
               }
             }
           };
 
+          const usageButton = element.querySelector('#usageButton');
+          if (usageButton) {
+            usageButton.onclick = () => {
+              session.usageOpen = !session.usageOpen;
+              session.clearPending = null;
+              refreshUsagePopover();
+            };
+          }
+
+          const usagePopover = element.querySelector('#usagePopover');
+          if (usagePopover) {
+            usagePopover.onclick = (event) => {
+              const action = event.target.closest('[data-usage-action]')?.getAttribute('data-usage-action');
+              if (action === 'close') {
+                session.usageOpen = false;
+                session.clearPending = null;
+              } else if (action === 'clear') {
+                session.clearPending = 'usage';
+              } else if (action === 'confirm-clear') {
+                clearUsage(objectId);
+                session.clearPending = null;
+              } else if (action === 'cancel-clear') {
+                session.clearPending = null;
+              } else {
+                return;
+              }
+              refreshUsagePopover();
+            };
+          }
+
+          refreshUsagePopover();
+
+          const historyButton = element.querySelector('#historyButton');
+          if (historyButton) {
+            historyButton.onclick = () => {
+              session.historyOpen = !session.historyOpen;
+              session.clearPending = null;
+              refreshHistoryPanel();
+            };
+          }
+
+          const historyPanel = element.querySelector('#historyPanel');
+          if (historyPanel) {
+            historyPanel.onclick = (event) => {
+              const target = event.target.closest('[data-history-action]');
+              if (!target) return;
+
+              const action = target.getAttribute('data-history-action');
+              const id = target.getAttribute('data-history-id');
+              const entry = loadHistory(layout?.qInfo?.qId).find((e) => e.id === id);
+
+              if (action === 'close') {
+                session.historyOpen = false;
+                session.clearPending = null;
+              } else if (action === 'clear') {
+                session.clearPending = 'history';
+              } else if (action === 'confirm-clear') {
+                clearHistory(layout?.qInfo?.qId);
+                session.historyCompare = [];
+                session.clearPending = null;
+              } else if (action === 'cancel-clear') {
+                session.clearPending = null;
+              } else if (action === 'compare') {
+                session.historyCompare = target.checked
+                  ? [...session.historyCompare, id].slice(-2)
+                  : session.historyCompare.filter((selectedId) => selectedId !== id);
+              } else if (action === 'close-diff') {
+                session.historyCompare = [];
+              } else if (action === 'rerun' && entry) {
+                handleRerun(entry);
+                return;
+              }
+              refreshHistoryPanel();
+            };
+          }
+
+          refreshHistoryPanel();
+
+          bindCancelButton();
+          bindValidationFieldPickers(element);
+
           // Add event listener
           const generateButton = element.querySelector("#generateButton");
           if (generateButton) {
-            generateButton.onclick = handleGenerate;
+            generateButton.onclick = () => handleGenerate();
+          }
+
+          const batchResponse = element.querySelector('#llmResponse');
+          if (batchResponse && props.batchMode === true) {
+            batchResponse.onclick = (event) => {
+              if (event.target.closest("[data-batch-action='cancel']") && session.batch) {
+                session.batch.cancelled = true;
+                session.activeRequest?.controller.abort(); // stop waiting for rows in flight
+                refreshBatchView();
+              }
+            };
+          }
+
+          const forceRefreshButton = element.querySelector('#forceRefreshButton');
+          if (forceRefreshButton) {
+            forceRefreshButton.onclick = () => handleGenerate({ forceRefresh: true });
+          }
+
+          const followUpButton = element.querySelector('#followUpButton');
+          if (followUpButton) {
+            followUpButton.onclick = handleFollowUp;
+          }
+
+          const followUpInput = element.querySelector('#followUpInput');
+          if (followUpInput) {
+            followUpInput.oninput = () => {
+              session.followUpDraft = followUpInput.value;
+            };
+            followUpInput.onkeydown = (event) => {
+              // Enter sends, Shift+Enter adds a new line
+              if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                handleFollowUp();
+              }
+            };
+          }
+
+          const newConversationButton = element.querySelector('#newConversationButton');
+          if (newConversationButton) {
+            newConversationButton.onclick = () => {
+              session.conversation = [];
+              session.followUpDraft = '';
+              session.result = null;
+              session.status = 'idle';
+              render();
+            };
+          }
+
+          if (isConversation && session.conversation.length > 0) {
+            scrollConversationToEnd();
+          }
+
+          // Auto-generate: once the selection is valid, wait for it to settle, then generate
+          clearTimeout(session.autoTimer);
+          if (props.autoGenerate === true && isConfigured && validation.valid) {
+            if (autoCallsLeft > 0 && status !== 'running' && status !== 'complete'
+                && session.autoAttemptedSignature !== currentSignature) {
+              session.autoTimer = setTimeout(() => {
+                session.autoTimer = null;
+                session.autoAttemptedSignature = currentSignature;
+                handleGenerate({ auto: true });
+              }, autoDebounceMs);
+            }
+          }
+
+          // Token estimate for the meter - building the prompt pages in rows and evaluates
+          // expressions, so it waits until the selections settle and runs once per selection
+          // state. Only the meter is redrawn; the rest of the view (a half-typed follow-up,
+          // an open panel) is left alone.
+          clearTimeout(session.budgetTimer);
+          if (isConfigured && validation.valid && props.batchMode !== true && status !== 'running'
+              && session.budget?.signature !== currentSignature && session.budgetPending !== currentSignature) {
+            session.budgetTimer = setTimeout(() => {
+              session.budgetTimer = null;
+              session.budgetPending = currentSignature;
+              buildPromptParts(layout, props)
+                .then(({ budget }) => ({ signature: currentSignature, budget }))
+                .catch((error) => ({ signature: currentSignature, error: error?.message || String(error) }))
+                .then((estimate) => {
+                  if (session.budgetPending === currentSignature) session.budgetPending = null;
+                  if (session.budget?.signature === currentSignature) return; // a generation got there first
+                  session.budget = estimate;
+                  const meter = element.querySelector('#tokenMeter');
+                  if (meter?.getAttribute('data-signature') === currentSignature) {
+                    meter.innerHTML = generateTokenMeterHTML(estimate);
+                  }
+                });
+            }, TOKEN_ESTIMATE_DELAY_MS);
           }
 
           // NEW: Add modal to the page - FIX: Prevent duplicate creation
@@ -5986,10 +7709,13 @@ export default function supernova() {
           }
         };
 
+        session.render = render;
         render();
 
         // Cleanup function
         return () => {
+          clearTimeout(session.autoTimer);
+          clearTimeout(session.budgetTimer);
           window.removeEventListener('extensionPropsChanged', handlePropsChanged);
           delete window.triggerExtensionRerender;
         };
@@ -0,0 +1,160 @@
+// json-schema.js - Structured JSON output: prompt instructions, parsing and validation
+//
+// Validation covers the JSON Schema keywords authors actually use for response shapes:
+// type, properties, required, additionalProperties, items, enum, min/max (Items, Length,
+// imum). Anything else in the schema is passed to the model but not enforced here.
+
+export const DEFAULT_JSON_SCHEMA = JSON.stringify(
+  {
+    type: 'object',
+    properties: {
+      riskLevel: { type: 'string', enum: ['Low', 'Medium', 'High'], title: 'Risk level' },
+      topDrivers: {
+        type: 'array',
+        title: 'Top drivers',
+        items: { type: 'string' },
+        maxItems: 3,
+      },
+      recommendedAction: { type: 'string', title: 'Recommended action' },
+    },
+    required: ['riskLevel', 'topDrivers', 'recommendedAction'],
+  },
+  null,
+  2,
+);
+
+// Returns { schema } or { error } - the schema must be a JSON object
+export function parseSchema(text) {
+  if (!text || !String(text).trim()) {
+    return { error: 'JSON schema is empty' };
+  }
+  try {
+    const schema = JSON.parse(text);
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return { error: 'JSON schema must be an object' };
+    }
+    return { schema };
+  } catch (error) {
+    return { error: `JSON schema is not valid JSON: ${error.message}` };
+  }
+}
+
+export function buildSchemaInstructions(schema) {
+  return (
+    '\n\nRespond with a single JSON value that matches the JSON schema below. '
+    + 'Return only the JSON - no explanations, no markdown code fences.\n\n'
+    + `JSON schema:\n${JSON.stringify(schema, null, 2)}`
+  );
+}
+
+export function buildRepairPrompt(originalPrompt, reply, errors) {
+  return (
+    `${originalPrompt}\n\nYour previous reply could not be used:\n`
+    + `${errors.map((error) => `- ${error}`).join('\n')}\n\n`
+    + `Previous reply:\n${reply}\n\n`
+    + 'Return only the corrected JSON.'
+  );
+}
+
+// Pull the JSON out of a reply that may be wrapped in fences or surrounded by prose
+export function extractJSON(text) {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) return fenced[1].trim();
+
+  const starts = [raw.indexOf('{'), raw.indexOf('[')].filter((index) => index !== -1);
+  if (starts.length === 0) return raw;
+  const start = Math.min(...starts);
+  const end = Math.max(raw.lastIndexOf('}'), raw.lastIndexOf(']'));
+  return end > start ? raw.slice(start, end + 1) : raw.slice(start);
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Returns a list of "path: problem" strings; empty when the value is valid
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Returns { ok: true, value } or { ok: false, errors }
+export function parseStructuredResponse(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(extractJSON(text));
+  } catch (error) {
+    return { ok: false, errors: [`reply is not valid JSON (${error.message})`] };
+  }
+
+  const errors = validateAgainstSchema(value, schema);
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
@@ -0,0 +1,387 @@
+// markdown.js - Markdown rendering for LLM responses with allow-list HTML sanitization
+//
+// Model output is untrusted: the renderer escapes all raw HTML before applying markdown
+// rules, and the generated HTML is then passed through sanitizeHTML(), which only keeps
+// known-safe tags and attributes. Nothing from a response can run script or add styles.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export const escapeHTML = (value) => String(value === undefined || value === null ? '' : value).replace(
+  /[&<>"']/g,
+  (ch) => HTML_ESCAPES[ch],
+);
+
+// Tags kept by the sanitizer, with the attributes each may carry
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  del: [],
+  s: [],
+  code: ['class'],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ['start'],
+  li: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['class'],
+  td: ['class'],
+  a: ['href', 'title'],
+  span: [],
+};
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+  'script',
+  'style',
+  'iframe',
+  'object',
+  'embed',
+  'svg',
+  'math',
+  'template',
+  'link',
+  'meta',
+  'base',
+  'form',
+  'input',
+  'textarea',
+  'button',
+  'select',
+  'noscript',
+]);
+
+const SAFE_CLASS = /^(language-[\w+-]+|md-align-(left|center|right))$/;
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const isSafeUrl = (url) => SAFE_URL.test(String(url || '').trim());
+
+// ===== Inline rendering =====
+
+const applyEmphasis = (text) => text
+  .replace(/\*\*([^*]+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/__([^_]+?)__/g, '<strong>$1</strong>')
+  .replace(/~~([^~]+?)~~/g, '<del>$1</del>')
+  .replace(/(^|[^*\w])\*([^*\s](?:[^*]*?[^*\s])?)\*(?!\*)/g, '$1<em>$2</em>')
+  .replace(/(^|[^_\w])_([^_\s](?:[^_]*?[^_\s])?)_(?![_\w])/g, '$1<em>$2</em>');
+
+// Placeholders for finished code spans and anchors - private-use characters, dropped from
+// the input first so a response cannot forge one
+const CODE_MARK = '\uE000';
+const LINK_MARK = '\uE001';
+
+function renderInline(text) {
+  // Protect code spans so their content is not touched by emphasis rules
+  const codeSpans = [];
+  let out = String(text).replace(/[\uE000\uE001]/g, '').replace(/`([^`\n]+)`/g, (match, code) => {
+    codeSpans.push(code);
+    return `${CODE_MARK}${codeSpans.length - 1}${CODE_MARK}`;
+  });
+
+  out = escapeHTML(out);
+
+  // Links - only http(s) and mailto targets become anchors. Finished anchors are protected
+  // like code spans, so emphasis rules never touch the URL in the href
+  const anchors = [];
+  out = out.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+    const decoded = url.replace(/&amp;/g, '&');
+    if (!isSafeUrl(decoded)) return label;
+    anchors.push(`<a href="${url}">${applyEmphasis(label)}</a>`);
+    return `${LINK_MARK}${anchors.length - 1}${LINK_MARK}`;
+  });
+
+  out = applyEmphasis(out).replace(/\uE001(\d+)\uE001/g, (match, index) => anchors[Number(index)]);
+
+  return out.replace(
+    /\uE000(\d+)\uE000/g,
+    (match, index) => `<code>${escapeHTML(codeSpans[Number(index)])}</code>`,
+  );
+}
+
+// ===== Block rendering =====
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitTableRow = (line) => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split('|')
+  .map((cell) => cell.trim());
+
+const isTableStart = (lines, i) => lines[i].includes('|')
+  && i + 1 < lines.length
+  && TABLE_DIVIDER.test(lines[i + 1])
+  && lines[i + 1].includes('-');
+
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return (
+    FENCE.test(line)
+    || HEADING.test(line)
+    || RULE.test(line)
+    || LIST_ITEM.test(line)
+    || QUOTE.test(line)
+    || isTableStart(lines, i)
+  );
+};
+
+function renderTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const alignments = splitTableRow(lines[start + 1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return '';
+  });
+  const cellClass = (index) => (alignments[index] ? ` class="md-align-${alignments[index]}"` : '');
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+    rows.push(splitTableRow(lines[i]));
+    i++;
+  }
+
+  const head = header
+    .map((cell, index) => `<th${cellClass(index)}>${renderInline(cell)}</th>`)
+    .join('');
+  const body = rows
+    .map(
+      (row) => `<tr>${header
+        .map(
+          (h, index) => `<td${cellClass(index)}>${renderInline(row[index] || '')}</td>`,
+        )
+        .join('')}</tr>`,
+    )
+    .join('');
+
+  return {
+    html: `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`,
+    next: i,
+  };
+}
+
+// entries: [{ indent, ordered, start, text }]
+function buildList(entries, startIndex) {
+  const { indent, ordered, start } = entries[startIndex];
+  let items = '';
+  let i = startIndex;
+
+  while (
+    i < entries.length
+    && entries[i].indent >= indent
+    && !(entries[i].indent === indent && entries[i].ordered !== ordered)
+  ) {
+    let item = entries[i].text
+      .split('\n')
+      .map((part) => renderInline(part))
+      .join('<br>');
+    i++;
+
+    if (i < entries.length && entries[i].indent > indent) {
+      const nested = buildList(entries, i);
+      item += nested.html;
+      i = nested.next;
+    }
+
+    items += `<li>${item}</li>`;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+  return { html: `<${tag}${startAttr}>${items}</${tag}>`, next: i };
+}
+
+function renderList(lines, start) {
+  const entries = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM);
+
+    if (match) {
+      entries.push({
+        indent: match[1].replace(/\t/g, '    ').length,
+        ordered: /\d/.test(match[2]),
+        start: parseInt(match[2], 10) || 1,
+        text: match[3],
+      });
+      i++;
+    } else if (line.trim() !== '' && /^\s+/.test(line) && entries.length) {
+      // Indented continuation of the previous item
+      entries[entries.length - 1].text += `\n${line.trim()}`;
+      i++;
+    } else if (
+      line.trim() === ''
+      && i + 1 < lines.length
+      && LIST_ITEM.test(lines[i + 1])
+    ) {
+      // Blank line between items of the same list
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const parts = [];
+  let index = 0;
+  while (index < entries.length) {
+    const list = buildList(entries, index);
+    parts.push(list.html);
+    index = list.next;
+  }
+
+  return { html: parts.join(''), next: i };
+}
+
+export function markdownToHTML(markdown) {
+  const lines = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+    const heading = line.match(HEADING);
+
+    if (line.trim() === '') {
+      i++;
+    } else if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      const langClass = fence[2] ? ` class="language-${fence[2]}"` : '';
+      html.push(`<pre><code${langClass}>${escapeHTML(code.join('\n'))}</code></pre>`);
+    } else if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+    } else if (RULE.test(line)) {
+      html.push('<hr>');
+      i++;
+    } else if (isTableStart(lines, i)) {
+      const table = renderTable(lines, i);
+      html.push(table.html);
+      i = table.next;
+    } else if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i);
+      html.push(list.html);
+      i = list.next;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      html.push(`<blockquote>${markdownToHTML(quoted.join('\n'))}</blockquote>`);
+    } else {
+      // Paragraph - single newlines are kept as line breaks, which is how models format prose
+      const paragraph = [line];
+      i++;
+      while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines, i)) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      html.push(`<p>${paragraph.map((part) => renderInline(part.trim())).join('<br>')}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+// ===== Sanitizer =====
+
+function sanitizeNode(node) {
+  [...node.childNodes].forEach((child) => {
+    if (child.nodeType === 3) return; // text
+
+    if (child.nodeType !== 1) {
+      child.remove(); // comments, processing instructions
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+
+    if (DROPPED_TAGS.has(tag)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeNode(child);
+
+    const allowedAttributes = ALLOWED_TAGS[tag];
+    if (!allowedAttributes) {
+      // Unknown element - keep its (already sanitized) content only
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    [...child.attributes].forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      const { value } = attr;
+      const keep = allowedAttributes.includes(name)
+        && (name !== 'href' || isSafeUrl(value))
+        && (name !== 'class' || value.split(/\s+/).every((c) => SAFE_CLASS.test(c)))
+        && (name !== 'start' || /^\d+$/.test(value));
+
+      if (!keep) child.removeAttribute(attr.name);
+    });
+
+    if (tag === 'a') {
+      if (!child.getAttribute('href')) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+export function sanitizeHTML(html) {
+  if (typeof document === 'undefined') {
+    return escapeHTML(html);
+  }
+
+  const template = document.createElement('template');
+  template.innerHTML = String(html || '');
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+export function renderMarkdown(markdown) {
+  return sanitizeHTML(markdownToHTML(markdown));
+}
@@ -1,4 +1,6 @@
 // object-properties.js - Streamlined configuration
+import { DEFAULT_JSON_SCHEMA } from './json-schema';
+
 export default {
   // Standard Qlik object properties
   showTitles: true,
@@ -22,15 +24,19 @@ export default {
   // Custom properties for streamlined LLM configuration
   props: {
     // Selection Validation
-    enableCustomValidation: false, // Enable custom validation
-    customValidationExpression: "", // Custom Qlik expression for validation
+    validationMode: 'none', // none | rowCount | custom - see validation-rules.js
+    enableCustomValidation: false, // Before validationMode: true meant custom rules
+    validationMinRows: 1, // rowCount mode: fewest hypercube rows allowed
+    validationMaxRows: 1000, // rowCount mode: most hypercube rows allowed
+    validationRules: [], // [{ name, type: "selected" | "possible" | "expression", field, comparison, count, expression, message }]
+    customValidationExpression: '', // Raw Qlik expression, checked with the rules
     customValidationMessage:
       "Please make the required selections to proceed with AI analysis", // Error message when validation fails
     validationHelp:
-      "• Single selection: GetSelectedCount(automl_feature)=1\n• Multiple fields: GetSelectedCount(Customer)=1 and GetSelectedCount(Invoice)=1\n• With conditions: GetSelectedCount(Account)=1 and Sum(Amount) > 0\n• Multiple allowed: GetSelectedCount(Region)>=1\n• Alternative function: GetPossibleCount([FieldName])=1",
+      'Every rule and the raw expression must be true. Qlik semantics apply: any non-zero result is true, 0 and null are false.\n• Single selection: Selected values in field, Exactly 1, Customer\n• Multiple allowed: Selected values in field, At least 1, Region\n• Condition: Expression is true, Sum(Amount) > 0\n• Raw: GetSelectedCount(Customer)=1 or GetSelectedCount(Invoice)=1',
 
-    // Claude-specific properties
-    connectionType: "claude", // Always Claude for this streamlined version
+    // LLM provider properties - see providers.js for the available services
+    connectionType: 'claude', // Provider id from the provider registry
     connectionName:
       "Churn Analytics:Anthropic_Claude35Sonnet_ChurnML", // Claude SSE connection name
     systemPrompt: "", // System-level instructions for Claude
@@ -39,6 +45,72 @@ export default {
     topK: 250, // Limits vocabulary to top K tokens
     topP: 1, // Nucleus sampling parameter
     maxTokens: 1000, // Maximum response length
+    frequencyPenalty: 0, // OpenAI / Azure OpenAI only
+    presencePenalty: 0, // OpenAI / Azure OpenAI only
+    customResponseColumn: 'text', // Self-hosted model response column
+    customParameters: '', // Self-hosted model extra parameters (JSON)
+
+    // Auto-generate
+    autoGenerate: false, // Generate automatically once the selection is valid
+    autoGenerateDebounce: 1500, // Milliseconds to wait for selections to settle
+    autoGenerateMaxCalls: 20, // Automatic calls allowed per browser session
+
+    // Response cache - see response-cache.js
+    responseCacheEnabled: true, // Answer identical expressions from the cache
+    responseCacheTtlMinutes: 60, // How long a cached answer stays valid
+
+    // Timeout and retries of each call - see retry.js
+    requestTimeoutSeconds: 60, // Stop waiting for an answer after this long
+    requestRetries: 2, // Retries after timeouts, dropped connections and rate limits
+    requestBackoffSeconds: 2, // Wait before the first retry, doubled for each further one
+
+    // Usage tracking - see usage.js
+    usagePrices: {}, // { [providerId]: { input, output } } per 1M tokens
+    usageBudgetEnabled: false, // Refuse new calls once the budget is used up
+    usageBudgetLimit: 0, // Cost or tokens
+    usageBudgetUnit: 'cost', // cost | tokens
+    usageBudgetScope: 'session', // session | object (all time in this browser)
+
+    // Data context sent with the prompt - see data-context.js
+    dataContextFormat: 'csv', // csv | markdown | json | keyvalue
+    dataContextMaxRows: 100, // Rows included at most
+    dataContextMaxColumns: 20, // Columns included at most (dimensions first)
+    dataContextCharBudget: 20000, // Characters available for the serialized data
+
+    // Extension variables usable as {{$name}} placeholders - see variables.js
+    promptVariables: [], // [{ name, value }]
+
+    // Named Qlik expressions usable as {{name}} placeholders - see qlik-expressions.js
+    expressionPlaceholders: [], // [{ name, expression }]
+
+    // Context block - see context-block.js
+    contextBlock: '', // Supplemental text (SHAP values, CRM notes) with template tags
+    contextBlockPosition: 'before', // before | after the user prompt
+    contextBlockCharBudget: 8000, // Characters for the block text and context table together
+    contextTableEnabled: false, // Serialize a second hypercube into the block
+    contextTableFields: [], // [{ label, type: "dimension" | "measure", definition }]
+    contextTableMaxRows: 50, // Context table rows at most
+
+    // Batch generation
+    batchMode: false, // One answer per hypercube row
+    batchMaxRows: 50, // Rows processed per batch
+    batchConcurrency: 3, // Requests in flight at once
+
+    // Response format
+    responseMode: 'text', // text | json
+    jsonSchema: DEFAULT_JSON_SCHEMA, // JSON schema for structured answers
+
+    // Conversation mode
+    conversationMode: false, // Show a follow-up input after the first answer
+    conversationHistoryTurns: 5, // Question/answer exchanges replayed into each follow-up
+
+    // Header - see header-summary.js
+    headerTitle: 'AI Analysis', // Title next to the icon
+    headerIcon: '🤖', // Emoji or short text, empty for none
+    headerSummaryMode: 'none', // none | fields | expression
+    headerSummaryFields: [], // [{ field, label, show: "first" | "values" | "count" | "sum" | "avg" | "min" | "max", format }]
+    headerSummaryExpression: '', // Qlik expression whose text is the subtitle
+    headerSummarySeparator: ' | ', // Between the subtitle fields
 
     // Simplified styling properties - only font related
     fontSize: 14,
@@ -0,0 +1,753 @@
+// prompt-template.js - Template language for system and user prompts
+//
+// Tags are written {{ ... }}. Braces inside a tag are balanced, so Qlik set analysis such as
+// {<Year={2024}>} does not end the tag early. A field tag can be piped through modifiers:
+//   {{Revenue|sum}}  {{Region|list:20}}  {{Customer|count}}
+//   {{Amount|sum|format:"$#,##0"}}  {{Churn Risk|top:3 by Revenue}}
+// A field tag without modifiers that cannot be resolved is left as written, so the
+// legacy field-mapping replacement still gets to see it. Quotes only delimit strings in
+// modifier arguments and {{#if}} conditions, so field names may contain them:
+// {{Customer's Name}}.
+//
+// Blocks change the prompt with the data:
+//   {{#if Churn Risk|max > 0.7}} ... {{else}} ... {{/if}}
+//   {{#each Product}}- {{this}}: {{Revenue|sum|format:"$#,##0"}}
+//   {{/each}}
+// Inside {{#each}} the other tags only see the rows of the current value. A block tag on a
+// line of its own takes its line break with it, so blocks do not leave blank lines behind.
+//
+// {{=Sum({<Year={2024}>} Sales)}} is a Qlik expression, and a named expression makes
+// {{Target}} stand for one. Expressions are evaluated by the caller before rendering and
+// passed in as context.expressions.
+//
+// {{$vCurrentQuarter}} is a variable - an extension variable or an app variable - resolved
+// by the caller and passed in as context.variables.
+
+// ===== Tokenizer =====
+
+/**
+ * Splits a template into text and tag tokens.
+ * Tag tokens: { type: "tag", raw, body, start, end }. An unterminated "{{" is kept as text
+ * and reported in `errors`.
+ */
+export function tokenize(text) {
+  const source = String(text || '');
+  const tokens = [];
+  const errors = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(index), start: index });
+      break;
+    }
+    if (open > index) {
+      tokens.push({ type: 'text', value: source.slice(index, open), start: index });
+    }
+
+    // Find the closing "}}" at brace depth zero. Quotes only delimit strings in {{#if}}
+    // conditions and modifier arguments; in a field name or an expression they are plain
+    // characters, so {{Customer's Name}} is one tag
+    const head = source.slice(open + 2).trimStart();
+    const isExpression = head.startsWith('=');
+    let quotesActive = /^#\s*if\b/i.test(head);
+    let depth = 0;
+    let quote = null;
+    let close = -1;
+    for (let i = open + 2; i < source.length; i++) {
+      const ch = source[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (quotesActive && (ch === '"' || ch === "'")) {
+        quote = ch;
+      } else if (ch === '|' && depth === 0 && !isExpression) {
+        quotesActive = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        if (depth === 0 && source[i + 1] === '}') {
+          close = i;
+          break;
+        }
+        depth = Math.max(0, depth - 1);
+      }
+    }
+
+    if (close === -1) {
+      errors.push({
+        placeholder: source.slice(open, open + 30),
+        message: 'Unterminated tag - missing "}}"',
+        start: open,
+      });
+      tokens.push({ type: 'text', value: source.slice(open), start: open });
+      break;
+    }
+
+    tokens.push({
+      type: 'tag',
+      raw: source.slice(open, close + 2),
+      body: source.slice(open + 2, close).trim(),
+      start: open,
+      end: close + 2,
+    });
+    index = close + 2;
+  }
+
+  return { tokens, errors };
+}
+
+// Split on a separator outside quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  [...text].forEach((ch) => {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  });
+  parts.push(current);
+  return parts;
+}
+
+const unquote = (value) => {
+  const trimmed = String(value || '').trim();
+  const match = trimmed.match(/^(["'])([\s\S]*)\1$/);
+  return match ? match[2] : trimmed;
+};
+
+const parseModifiers = (parts) => parts.map((part) => {
+  const colon = part.indexOf(':');
+  return colon === -1
+    ? { name: part.trim().toLowerCase(), args: '' }
+    : { name: part.slice(0, colon).trim().toLowerCase(), args: part.slice(colon + 1).trim() };
+});
+
+// "Name|modifier|modifier:args" - the name runs to the first "|" whatever it contains;
+// quotes only group text inside the modifiers
+function splitNameAndModifiers(text) {
+  const bar = text.indexOf('|');
+  if (bar === -1) return { name: text.trim(), modifiers: [] };
+  return {
+    name: text.slice(0, bar).trim(),
+    modifiers: parseModifiers(splitOutsideQuotes(text.slice(bar + 1), '|')),
+  };
+}
+
+/**
+ * Parses the body of a tag.
+ * Field tags ("Field|modifier:args|...") give { kind: "field", name, modifiers: [{ name, args }] };
+ * block tags give { kind: "if", condition }, { kind: "each", name }, { kind: "else" } or
+ * { kind: "close", block }, {{this}} gives { kind: "this", modifiers }, {{=...}} gives
+ * { kind: "expression", expression } and {{$name}} gives { kind: "variable", name, modifiers }.
+ */
+export function parseTag(body) {
+  const text = String(body || '').trim();
+  if (text.startsWith('=')) return { kind: 'expression', expression: text.slice(1).trim() };
+  if (text.startsWith('$')) {
+    return { kind: 'variable', ...splitNameAndModifiers(text.slice(1)) };
+  }
+  const block = text.match(/^([#/])\s*(\w*)\s*([\s\S]*)$/);
+  if (block) {
+    const [, sigil, keyword, rest] = block;
+    if (sigil === '/') return { kind: 'close', block: keyword.toLowerCase() };
+    if (keyword.toLowerCase() === 'if') return { kind: 'if', condition: rest.trim() };
+    if (keyword.toLowerCase() === 'each') return { kind: 'each', name: unquote(rest) };
+    return { kind: 'unknownBlock', block: keyword };
+  }
+  if (text.toLowerCase() === 'else') return { kind: 'else' };
+
+  const { name, modifiers } = splitNameAndModifiers(text);
+  if (name.toLowerCase() === 'this') return { kind: 'this', modifiers };
+  return { kind: 'field', name, modifiers };
+}
+
+const BLOCK_KINDS = ['if', 'each', 'else', 'close', 'unknownBlock'];
+
+// ===== Number formatting =====
+
+/**
+ * Formats a number with a Qlik-style pattern such as "$#,##0", "#,##0.00", "0.0%" or "€ #,##0".
+ */
+export function formatNumber(value, pattern) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value ?? '');
+
+  const match = String(pattern).match(/[#0][#0,.]*/);
+  if (!match) return String(number);
+
+  const prefix = pattern.slice(0, match.index);
+  const suffix = pattern.slice(match.index + match[0].length);
+  const numeric = match[0];
+  const decimals = numeric.includes('.') ? numeric.split('.')[1].replace(/[^#0]/g, '').length : 0;
+  const grouped = numeric.split('.')[0].includes(',');
+  const scaled = prefix.includes('%') || suffix.includes('%') ? number * 100 : number;
+
+  const [digits, fraction] = Math.abs(scaled).toFixed(decimals).split('.');
+  const whole = grouped ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : digits;
+  const body = fraction ? `${whole}.${fraction}` : whole;
+  return `${scaled < 0 ? '-' : ''}${prefix}${body}${suffix}`;
+}
+
+const plainNumber = (number) => (Number.isInteger(number) ? String(number) : String(Math.round(number * 100) / 100));
+
+// ===== Values and modifiers =====
+//
+// A value is either a list of cells ({ type: "list", items: [{ text, num, row }] }) or a
+// scalar ({ type: "scalar", text, num }).
+
+const isEmptyText = (text) => text === '' || text === '-' || text === undefined || text === null;
+
+const distinctTexts = (items) => [
+  ...new Set(items.map((item) => item.text).filter((text) => !isEmptyText(text))),
+];
+
+const numbersOf = (items) => items.map((item) => item.num).filter((num) => Number.isFinite(num));
+
+const scalar = (num, text = Number.isFinite(num) ? plainNumber(num) : 'No data available') => ({
+  type: 'scalar',
+  text,
+  num,
+});
+
+const requireList = (value, modifier) => {
+  if (value.type !== 'list') {
+    throw new Error(`"${modifier}" needs a field value, but the value was already reduced to one result`);
+  }
+  return value.items;
+};
+
+export const MODIFIERS = {
+  sum: (value) => scalar(numbersOf(requireList(value, 'sum')).reduce((total, n) => total + n, 0)),
+  avg: (value) => {
+    const numbers = numbersOf(requireList(value, 'avg'));
+    return scalar(numbers.length ? numbers.reduce((total, n) => total + n, 0) / numbers.length : NaN);
+  },
+  min: (value) => {
+    const numbers = numbersOf(requireList(value, 'min'));
+    return scalar(numbers.length ? Math.min(...numbers) : NaN);
+  },
+  max: (value) => {
+    const numbers = numbersOf(requireList(value, 'max'));
+    return scalar(numbers.length ? Math.max(...numbers) : NaN);
+  },
+  count: (value) => scalar(value.type === 'list' ? distinctTexts(value.items).length : 1),
+  list: (value, args) => {
+    const items = distinctTexts(requireList(value, 'list'));
+    if (args && !/^\d+$/.test(args)) {
+      throw new Error(`"list" expects a number of values, e.g. list:20 (got "${args}")`);
+    }
+    const limit = args ? Number(args) : items.length;
+    const shown = items.slice(0, limit).join(', ');
+    const more = items.length - limit;
+    return scalar(NaN, more > 0 ? `${shown} (and ${more} more)` : shown);
+  },
+  format: (value, args) => {
+    const pattern = unquote(args);
+    if (!pattern) {
+      throw new Error('"format" expects a number pattern, e.g. format:"$#,##0"');
+    }
+    if (value.type === 'list') {
+      return {
+        ...value,
+        formatted: true,
+        items: value.items.map((item) => ({
+          ...item,
+          text: Number.isFinite(item.num) ? formatNumber(item.num, pattern) : item.text,
+        })),
+      };
+    }
+    return Number.isFinite(value.num) ? scalar(value.num, formatNumber(value.num, pattern)) : value;
+  },
+  top: (value, args, context) => {
+    const items = requireList(value, 'top');
+    const match = String(args).match(/^(\d+)\s+by\s+(.+)$/i);
+    if (!match) {
+      throw new Error(`"top" expects a count and a measure, e.g. top:3 by Revenue (got "${args}")`);
+    }
+    const column = context.findColumn(unquote(match[2]));
+    if (!column) {
+      throw new Error(`Unknown field "${unquote(match[2])}" in top:${args}`);
+    }
+
+    const score = (item) => {
+      const num = item.row?.[column.index]?.qNum;
+      return Number.isFinite(num) ? num : -Infinity;
+    };
+    const seen = new Set();
+    const ranked = [...items]
+      .sort((a, b) => score(b) - score(a))
+      .filter((item) => {
+        if (isEmptyText(item.text) || seen.has(item.text)) return false;
+        seen.add(item.text);
+        return true;
+      });
+    return { type: 'list', items: ranked.slice(0, Number(match[1])) };
+  },
+};
+
+const MODIFIER_NAMES = Object.keys(MODIFIERS).join(', ');
+
+// Legacy rendering of a whole column: dimensions show up to five distinct values,
+// measures their first five numbers
+function renderList(value) {
+  if (value.type === 'scalar') return value.text;
+  if (value.measure) {
+    const number = (item) => (Number.isFinite(item.num) && !value.formatted ? plainNumber(item.num) : item.text);
+    return value.items.slice(0, 5).map(number).join(', ') || 'No data available';
+  }
+  return distinctTexts(value.items).slice(0, 5).join(', ') || 'No data available';
+}
+
+function cellValue(cell, row) {
+  const text = cell?.qIsNull ? '' : cell?.qText ?? (Number.isFinite(cell?.qNum) ? String(cell.qNum) : '');
+  return { text, num: typeof cell?.qNum === 'number' ? cell.qNum : NaN, row };
+}
+
+function applyModifiers(value, modifiers, context) {
+  return modifiers.reduce((current, modifier) => {
+    const apply = MODIFIERS[modifier.name];
+    if (!apply) {
+      throw new Error(`Unknown modifier "${modifier.name}". Available modifiers: ${MODIFIER_NAMES}`);
+    }
+    return apply(current, modifier.args, context);
+  }, value);
+}
+
+function expressionValue(expression, context) {
+  const result = context.expressions?.get(expression);
+  if (!result) throw new Error('Expression was not evaluated');
+  if (result.error) throw new Error(result.error);
+  return scalar(result.num, result.text);
+}
+
+function variableValue(name, context) {
+  const result = context.variables?.get(name);
+  if (!result) throw new Error(`Variable "${name}" was not resolved`);
+  if (result.error) throw new Error(result.error);
+  return scalar(result.num, result.text);
+}
+
+// Value of a field, {{this}}, expression or variable tag; null for a plain field tag that
+// is neither in the hypercube nor a named expression
+function evaluateTagValue(tag, context) {
+  if (tag.kind === 'variable') {
+    if (!tag.name) throw new Error('Variable name is missing, e.g. {{$vCurrentQuarter}}');
+    return applyModifiers(variableValue(tag.name, context), tag.modifiers, context);
+  }
+  if (tag.kind === 'expression') {
+    if (!tag.expression) throw new Error('Expression is empty');
+    return expressionValue(tag.expression, context);
+  }
+  if (tag.kind === 'this') {
+    if (!context.current) {
+      throw new Error('{{this}} can only be used inside an {{#each}} block');
+    }
+    return applyModifiers({ type: 'list', items: [context.current] }, tag.modifiers, context);
+  }
+
+  const named = context.findExpression?.(tag.name);
+  if (named) {
+    return applyModifiers(expressionValue(named, context), tag.modifiers, context);
+  }
+
+  const column = context.findColumn(tag.name);
+  if (!column) {
+    if (tag.modifiers.length === 0) return null; // left for the legacy mapping replacement
+    throw new Error(`Unknown field "${tag.name}" - add it as a dimension or measure, or map the placeholder`);
+  }
+
+  const value = {
+    type: 'list',
+    measure: column.type === 'measure',
+    items: context.rows.map((row) => cellValue(row[column.index], row)),
+  };
+  return applyModifiers(value, tag.modifiers, context);
+}
+
+// ===== Block structure =====
+
+// A block tag alone on its line swallows the line's indentation and line break
+function trimStandaloneBlocks(tokens) {
+  tokens.forEach((token, i) => {
+    if (token.type !== 'tag' || !BLOCK_KINDS.includes(token.tag.kind)) return;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    const startsLine = !prev
+      || (prev.type === 'text'
+        && (/\n[ \t]*$/.test(prev.value)
+          || ((prev.lineStart || i === 1) && /^[ \t]*$/.test(prev.value))));
+    const endsLine = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value));
+    if (!startsLine || !endsLine) return;
+
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, '');
+    if (next) {
+      next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+      next.lineStart = true;
+    }
+  });
+}
+
+/**
+ * Builds the block tree of a template.
+ * Nodes: { type: "text", value }, { type: "tag", token, tag },
+ * { type: "if", token, condition, children, otherwise }, { type: "each", token, name, children }.
+ * Unbalanced or misplaced block tags are reported in `errors` with their position.
+ */
+export function parseTemplate(text) {
+  const tokenized = tokenize(text);
+  const { errors } = tokenized;
+  const tokens = tokenized.tokens.map((token) => (
+    token.type === 'tag' ? { ...token, tag: parseTag(token.body) } : token
+  ));
+  trimStandaloneBlocks(tokens);
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const report = (token, message) => errors.push({ placeholder: token.raw, message, start: token.start });
+
+  tokens.forEach((token) => {
+    const current = stack[stack.length - 1];
+    const target = current.type === 'if' && current.otherwise ? current.otherwise : current.children;
+
+    if (token.type === 'text') {
+      if (token.value) target.push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const { tag } = token;
+    switch (tag.kind) {
+      case 'if':
+        if (!tag.condition) report(token, '{{#if}} needs a condition, e.g. {{#if Region == "North"}}');
+        stack.push({
+          type: 'if', token, condition: tag.condition, children: [], otherwise: null,
+        });
+        target.push(stack[stack.length - 1]);
+        break;
+      case 'each':
+        if (!tag.name) report(token, '{{#each}} needs a field, e.g. {{#each Product}}');
+        stack.push({
+          type: 'each', token, name: tag.name, children: [],
+        });
+        target.push(stack[stack.length - 1]);
+        break;
+      case 'else':
+        if (current.type !== 'if') {
+          report(token, '{{else}} can only be used inside an {{#if}} block');
+        } else if (current.otherwise) {
+          report(token, '{{#if}} block has more than one {{else}}');
+        } else {
+          current.otherwise = [];
+        }
+        break;
+      case 'close':
+        if (current.type === 'root') {
+          report(token, `{{/${tag.block}}} has no matching {{#${tag.block}}}`);
+        } else if (current.type !== tag.block) {
+          report(
+            token,
+            `{{/${tag.block}}} closes {{#${current.type}}} opened at character ${current.token.start + 1} - expected {{/${current.type}}}`,
+          );
+        } else {
+          stack.pop();
+        }
+        break;
+      case 'unknownBlock':
+        report(token, `Unknown block "#${tag.block}". Available blocks: #if, #each`);
+        break;
+      case 'this':
+        if (!stack.some((block) => block.type === 'each')) {
+          report(token, '{{this}} can only be used inside an {{#each}} block');
+        }
+        target.push({ type: 'tag', token, tag });
+        break;
+      default:
+        target.push({ type: 'tag', token, tag });
+    }
+
+    (tag.modifiers || [])
+      .filter((modifier) => !MODIFIERS[modifier.name])
+      .forEach((modifier) => {
+        report(token, `Unknown modifier "${modifier.name}". Available modifiers: ${MODIFIER_NAMES}`);
+      });
+  });
+
+  stack.slice(1).forEach((block) => {
+    report(block.token, `{{#${block.type}}} is never closed - add {{/${block.type}}}`);
+  });
+
+  return { nodes: root.children, errors };
+}
+
+// ===== Conditions =====
+//
+// A condition is one operand or two operands joined by ==, !=, >, >=, < or <=. Operands are
+// quoted strings, numbers, field tags with modifiers, =expressions or $variables. A single operand is true when it has
+// a non-empty value (measures: a non-zero number).
+
+const OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+// Operators inside brackets belong to an expression operand, e.g. {<Year={">2020"}>}
+function splitCondition(condition) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < condition.length; i++) {
+    const ch = condition[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ('({['.includes(ch)) {
+      depth++;
+    } else if (')}]'.includes(ch)) {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0) {
+      const operator = OPERATORS.find((op) => condition.startsWith(op, i));
+      if (operator) {
+        return {
+          left: condition.slice(0, i).trim(),
+          operator,
+          right: condition.slice(i + operator.length).trim(),
+        };
+      }
+    }
+  }
+  return { left: condition.trim(), operator: null, right: '' };
+}
+
+function parseOperand(text) {
+  if (/^(["'])[\s\S]*\1$/.test(text)) return { kind: 'literal', text: unquote(text), num: NaN };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { kind: 'literal', text, num: Number(text) };
+  return { kind: 'tag', tag: parseTag(text) };
+}
+
+// Operand as a list of { text, num } candidates
+function operandValues(operand, context) {
+  if (operand.kind === 'literal') return [operand];
+  if (!operand.tag.name && operand.tag.kind === 'field') {
+    throw new Error('Condition is missing a value');
+  }
+  if (!['field', 'this', 'expression', 'variable'].includes(operand.tag.kind)) {
+    throw new Error('Block tags cannot be used in a condition');
+  }
+
+  const value = evaluateTagValue(operand.tag, context);
+  if (value === null) {
+    throw new Error(`Unknown field "${operand.tag.name}" - add it as a dimension or measure, or map the placeholder`);
+  }
+  if (value.type === 'scalar') return [value];
+  if (value.measure) return value.items.filter((item) => Number.isFinite(item.num));
+  const seen = new Set();
+  return value.items.filter((item) => {
+    if (isEmptyText(item.text) || seen.has(item.text)) return false;
+    seen.add(item.text);
+    return true;
+  });
+}
+
+const isTruthy = (item) => (Number.isFinite(item.num) ? item.num !== 0 : !isEmptyText(item.text) && item.text !== 'No data available');
+
+function compare(a, operator, b) {
+  const numeric = Number.isFinite(a.num) && Number.isFinite(b.num);
+  const order = numeric
+    ? a.num - b.num
+    : String(a.text).localeCompare(String(b.text), undefined, { sensitivity: 'accent' });
+  switch (operator) {
+    case '==': return order === 0;
+    case '!=': return order !== 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '<': return order < 0;
+    default: return order <= 0;
+  }
+}
+
+function evaluateCondition(condition, context) {
+  const { left, operator, right } = splitCondition(condition);
+  if (!left || (operator && !right)) {
+    throw new Error(`Incomplete condition "${condition}"`);
+  }
+
+  const leftValues = operandValues(parseOperand(left), context);
+  if (!operator) return leftValues.some(isTruthy);
+
+  const rightValues = operandValues(parseOperand(right), context);
+  if (operator === '==') return leftValues.some((a) => rightValues.some((b) => compare(a, '==', b)));
+  if (operator === '!=') return !leftValues.some((a) => rightValues.some((b) => compare(a, '==', b)));
+
+  // Ordered comparisons need one value on each side
+  [
+    [left, leftValues],
+    [right, rightValues],
+  ].forEach(([text, values]) => {
+    if (values.length > 1) {
+      throw new Error(`"${text}" has ${values.length} values - reduce it with a modifier such as |max or |sum before comparing`);
+    }
+  });
+  if (!leftValues.length || !rightValues.length) return false;
+  return compare(leftValues[0], operator, rightValues[0]);
+}
+
+// ===== Rendering =====
+
+// Longest list an {{#each}} block writes out
+const EACH_LIMIT = 100;
+
+// Rows of an {{#each}} block grouped by value, in the order the values first appear:
+// { groups: [{ item, rows }] up to EACH_LIMIT, more: values left out }
+function eachGroups(node, context) {
+  const column = context.findColumn(node.name);
+  if (!column) {
+    throw new Error(`Unknown field "${node.name}" - add it as a dimension or measure, or map the placeholder`);
+  }
+
+  const groups = new Map();
+  context.rows.forEach((row) => {
+    const item = cellValue(row[column.index], row);
+    if (isEmptyText(item.text)) return;
+    if (!groups.has(item.text)) groups.set(item.text, { item, rows: [] });
+    groups.get(item.text).rows.push(row);
+  });
+
+  const entries = [...groups.values()];
+  return { groups: entries.slice(0, EACH_LIMIT), more: Math.max(0, entries.length - EACH_LIMIT) };
+}
+
+function renderNodes(nodes, context, errors) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') return node.value;
+      try {
+        if (node.type === 'if') {
+          const branch = evaluateCondition(node.condition, context) ? node.children : node.otherwise || [];
+          return renderNodes(branch, context, errors);
+        }
+        if (node.type === 'each') {
+          const { groups, more } = eachGroups(node, context);
+          const output = groups
+            .map(({ item, rows }) => renderNodes(node.children, { ...context, rows, current: item }, errors))
+            .join('');
+          return more > 0 ? `${output}(... and ${more} more ${node.name} values)\n` : output;
+        }
+
+        const value = evaluateTagValue(node.tag, context);
+        return value === null ? node.token.raw : renderList(value);
+      } catch (error) {
+        errors.push({ placeholder: node.token.raw, message: error.message, start: node.token.start });
+        return node.token.raw;
+      }
+    })
+    .join('');
+}
+
+/**
+ * Renders a template against hypercube rows.
+ * context: { rows: qMatrix rows, findColumn(name) -> { index, type } | null }
+ * Returns { text, errors: [{ placeholder, message, start }] }; tags that fail are left as written.
+ */
+export function renderTemplate(text, context) {
+  const { nodes, errors } = parseTemplate(text);
+  if (errors.length > 0) {
+    return { text: String(text || ''), errors };
+  }
+  const output = renderNodes(nodes, { ...context, current: null }, errors);
+  return { text: output, errors };
+}
+
+export function describeTemplateErrors(errors) {
+  return errors.map((error) => `${error.placeholder}: ${error.message}`).join('\n');
+}
+
+// Tags a tag is made of - an {{#if}} tag contributes the operands of its condition
+function conditionTags(tag) {
+  if (tag.kind !== 'if') return [tag];
+  const { left, right } = splitCondition(tag.condition);
+  return [left, right]
+    .filter(Boolean)
+    .map(parseOperand)
+    .filter((operand) => operand.kind === 'tag')
+    .map((operand) => operand.tag);
+}
+
+// Field names a tag refers to - including {{#each}} fields and fields compared in {{#if}}
+function tagFieldNames(tag) {
+  if (tag.kind === 'each') return tag.name ? [tag.name] : [];
+  return conditionTags(tag)
+    .filter((part) => part.kind === 'field' && part.name)
+    .map((part) => part.name);
+}
+
+/**
+ * Qlik expressions the templates need evaluated: {{=...}} tags, including those in
+ * {{#if}} conditions, and named expressions the templates refer to.
+ * findExpression(name) returns the expression behind a named placeholder, if any.
+ */
+export function collectTemplateExpressions(texts, findExpression = () => null) {
+  const expressions = new Set();
+  texts.forEach((text) => {
+    tokenize(text).tokens.forEach((token) => {
+      if (token.type !== 'tag') return;
+      conditionTags(parseTag(token.body)).forEach((tag) => {
+        if (tag.kind === 'expression' && tag.expression) expressions.add(tag.expression);
+        const named = tag.kind === 'field' ? findExpression(tag.name) : null;
+        if (named) expressions.add(named);
+      });
+    });
+  });
+  return [...expressions];
+}
+
+// Variable names the templates refer to, including those in {{#if}} conditions
+export function collectTemplateVariables(texts) {
+  const names = new Set();
+  texts.forEach((text) => {
+    tokenize(text).tokens.forEach((token) => {
+      if (token.type !== 'tag') return;
+      conditionTags(parseTag(token.body)).forEach((tag) => {
+        if (tag.kind === 'variable' && tag.name) names.add(tag.name);
+      });
+    });
+  });
+  return [...names];
+}
+
+/**
+ * Field placeholders used in the prompts, for the field-mapping UI.
+ * Modifiers are stripped, so {{Revenue|sum}} and {{Revenue}} both need a mapping for "Revenue".
+ * Names in `excludeNames` (named expressions) do not need a mapping and are skipped.
+ * Returns [{ placeholder, fieldName, position, source }] without duplicates.
+ */
+export function detectTemplateFields(systemPrompt, userPrompt, excludeNames = []) {
+  const seen = new Set();
+  const fields = [];
+
+  [
+    ['system', systemPrompt],
+    ['user', userPrompt],
+  ].forEach(([source, text]) => {
+    tokenize(text).tokens.forEach((token) => {
+      if (token.type !== 'tag') return;
+      tagFieldNames(parseTag(token.body)).forEach((fieldName) => {
+        const placeholder = `{{${fieldName}}}`;
+        if (seen.has(placeholder) || excludeNames.includes(fieldName)) return;
+        seen.add(placeholder);
+        fields.push({
+          placeholder, fieldName, position: token.start, source,
+        });
+      });
+    });
+  });
+
+  return fields;
+}
@@ -0,0 +1,399 @@
+// providers.js - Registry of LLM providers offered in the "AI Service" dropdown
+//
+// Each provider declares:
+//  - id / label / name: dropdown value, dropdown label and short name used in the UI
+//  - description: info text shown under the connection name in the property panel
+//  - parameters: schema of model parameters. Every entry is rendered in the property
+//    panel (ref => props.<ref>) and, when it has a requestKey, sent to the SSE endpoint
+//  - buildConfig(connectionName, parameters, props): returns the endpoint config object
+//    that is serialized into the first argument of endpoints.ScriptEvalStr
+//  - supportsRoles: true (default), false, or (props) => boolean. Connections without role
+//    support get the system prompt and earlier turns folded into the prompt text
+//  - roleParameters(system, history): endpoint parameters that carry the system prompt and
+//    the earlier turns of a conversation; the current user message stays in the data column
+//  - contextWindow: tokens the model accepts (prompt + answer), or (props) => number
+//
+// Adding a provider only requires a registerProvider() call - the generate path and the
+// property panel both read from this registry.
+
+import { flattenRequest } from './conversation';
+
+const DEFAULT_PROVIDER_ID = 'claude';
+
+// Context window assumed when a provider does not declare one
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const registry = new Map();
+
+// Shared parameter definitions - providers reuse the same props where the meaning is the same
+const temperature = (requestKey = 'temperature', max = 1) => ({
+  ref: 'temperature',
+  label: 'Temperature',
+  type: 'number',
+  component: 'slider',
+  min: 0,
+  max,
+  step: 0.1,
+  defaultValue: 0.7,
+  requestKey,
+});
+
+const topP = (requestKey) => ({
+  ref: 'topP',
+  label: 'Top P',
+  type: 'number',
+  min: 0,
+  max: 1,
+  defaultValue: 1,
+  requestKey,
+});
+
+const topK = (requestKey) => ({
+  ref: 'topK',
+  label: 'Top K',
+  type: 'integer',
+  min: 1,
+  max: 500,
+  defaultValue: 250,
+  requestKey,
+});
+
+const maxTokens = (requestKey = 'max_tokens') => ({
+  ref: 'maxTokens',
+  label: 'Max Tokens',
+  type: 'integer',
+  min: 100,
+  max: 4000,
+  defaultValue: 1000,
+  requestKey,
+});
+
+// Anthropic style: a top-level system prompt plus the earlier turns
+const anthropicRoles = (system, history) => ({
+  ...(system ? { system } : {}),
+  ...(history.length ? { messages: history } : {}),
+});
+
+// OpenAI style: the system prompt is the first message
+const openAIRoles = (system, history) => {
+  const messages = [...(system ? [{ role: 'system', content: system }] : []), ...history];
+  return messages.length ? { messages } : {};
+};
+
+// Standard Qlik analytics connection request shape
+const endpointConfig = (connectionName, parameters, column = 'text') => ({
+  RequestType: 'endpoint',
+  endpoint: {
+    connectionname: connectionName,
+    column,
+    parameters,
+  },
+});
+
+export function registerProvider(provider) {
+  if (!provider || !provider.id) {
+    throw new Error('Provider must have an id');
+  }
+  if (typeof provider.buildConfig !== 'function') {
+    throw new Error(`Provider '${provider.id}' must implement buildConfig()`);
+  }
+
+  registry.set(provider.id, {
+    name: provider.label,
+    description: '',
+    parameters: [],
+    supportsRoles: true,
+    roleParameters: anthropicRoles,
+    contextWindow: DEFAULT_CONTEXT_WINDOW,
+    ...provider,
+  });
+}
+
+export function getProviders() {
+  return [...registry.values()];
+}
+
+// Unknown or missing ids fall back to the default provider so older objects keep working
+export function getProvider(id) {
+  return registry.get(id) || registry.get(DEFAULT_PROVIDER_ID);
+}
+
+export function getProviderOptions() {
+  return getProviders().map((provider) => ({
+    value: provider.id,
+    label: provider.label,
+  }));
+}
+
+// Read each declared parameter from props, apply the default and clamp to the schema range
+export function resolveProviderParameters(provider, props = {}) {
+  const values = {};
+
+  provider.parameters.forEach((param) => {
+    let value = props[param.ref];
+
+    if (param.type === 'number' || param.type === 'integer') {
+      value = value === undefined || value === null || value === ''
+        ? param.defaultValue
+        : Number(value);
+      if (Number.isNaN(value)) value = param.defaultValue;
+      if (typeof param.min === 'number') value = Math.max(param.min, value);
+      if (typeof param.max === 'number') value = Math.min(param.max, value);
+      if (param.type === 'integer') value = Math.round(value);
+    } else if (value === undefined || value === null) {
+      value = param.defaultValue;
+    }
+
+    values[param.ref] = value;
+  });
+
+  return values;
+}
+
+// Map resolved parameters to the names the provider's endpoint expects
+export function toRequestParameters(provider, values) {
+  const parameters = {};
+  provider.parameters.forEach((param) => {
+    if (param.requestKey) {
+      parameters[param.requestKey] = values[param.ref];
+    }
+  });
+  return parameters;
+}
+
+export function getContextWindow(provider, props = {}) {
+  const tokens = Number(
+    typeof provider.contextWindow === 'function' ? provider.contextWindow(props) : provider.contextWindow,
+  );
+  return Number.isFinite(tokens) && tokens > 0 ? tokens : DEFAULT_CONTEXT_WINDOW;
+}
+
+export function providerSupportsRoles(provider, props = {}) {
+  return typeof provider.supportsRoles === 'function'
+    ? provider.supportsRoles(props) === true
+    : provider.supportsRoles !== false;
+}
+
+/**
+ * Split a { system, messages } request into what goes to the endpoint.
+ * Returns { prompt, roleParameters }: the prompt is the data-column text, roleParameters are
+ * merged into the endpoint parameters. Connections without role support get the whole
+ * request flattened into the prompt.
+ */
+export function buildRolePayload(provider, request, props = {}) {
+  if (!providerSupportsRoles(provider, props)) {
+    return { prompt: flattenRequest(request), roleParameters: {} };
+  }
+  const messages = request.messages || [];
+  const history = messages.slice(0, -1).map(({ role, content }) => ({ role, content }));
+  return {
+    prompt: messages[messages.length - 1]?.content || '',
+    roleParameters: provider.roleParameters(String(request.system || '').trim(), history),
+  };
+}
+
+// Build the SSE config string for the selected provider; roleParameters come from
+// buildRolePayload
+export function buildProviderConfig(props = {}, roleParameters = {}) {
+  const provider = getProvider(props.connectionType);
+  const connectionName = String(props.connectionName || '').trim();
+
+  if (!connectionName) {
+    throw new Error('Connection name is required');
+  }
+
+  const values = resolveProviderParameters(provider, props);
+  const config = provider.buildConfig(
+    connectionName,
+    { ...toRequestParameters(provider, values), ...roleParameters },
+    props,
+  );
+
+  return JSON.stringify(config);
+}
+
+// Property panel items for every parameter declared by any provider.
+// Each provider gets its own items, shown only while it is selected, so a parameter shared
+// between providers (same ref) keeps the range of the selected provider - Temperature is
+// 0-1 for Claude and 0-2 for OpenAI.
+export function getProviderParameterItems() {
+  const items = {};
+
+  getProviders().forEach((provider) => {
+    provider.parameters.forEach((param) => {
+      const item = {
+        type: param.type,
+        label: param.label,
+        ref: `props.${param.ref}`,
+        defaultValue: param.defaultValue,
+        show(data) {
+          return getProvider(data.props?.connectionType).id === provider.id;
+        },
+      };
+
+      ['component', 'min', 'max', 'step', 'rows', 'expression'].forEach(
+        (key) => {
+          if (param[key] !== undefined) item[key] = param[key];
+        },
+      );
+
+      items[`${provider.id}_${param.ref}`] = item;
+    });
+  });
+
+  return items;
+}
+
+// ===== Built-in providers =====
+
+registerProvider({
+  id: 'claude',
+  label: '🤖 Claude 3.5 Sonnet (External Connection)',
+  name: 'Claude',
+  description:
+    'ℹ️ Uses external Claude SSE connection configured in data connection for advanced analysis.',
+  contextWindow: 200000,
+  parameters: [temperature(), topK('Top K'), topP('Top P'), maxTokens()],
+  buildConfig: (connectionName, parameters) => endpointConfig(connectionName, parameters),
+});
+
+registerProvider({
+  id: 'openai',
+  label: '🟢 OpenAI (Analytics Connection)',
+  name: 'OpenAI',
+  description:
+    'ℹ️ Uses an OpenAI analytics connection. The model is selected in the connection.',
+  contextWindow: 128000,
+  roleParameters: openAIRoles,
+  parameters: [
+    temperature('temperature', 2),
+    topP('top_p'),
+    maxTokens(),
+    {
+      ref: 'frequencyPenalty',
+      label: 'Frequency Penalty',
+      type: 'number',
+      min: -2,
+      max: 2,
+      defaultValue: 0,
+      requestKey: 'frequency_penalty',
+    },
+    {
+      ref: 'presencePenalty',
+      label: 'Presence Penalty',
+      type: 'number',
+      min: -2,
+      max: 2,
+      defaultValue: 0,
+      requestKey: 'presence_penalty',
+    },
+  ],
+  buildConfig: (connectionName, parameters) => endpointConfig(connectionName, parameters),
+});
+
+registerProvider({
+  id: 'azure-openai',
+  label: '🔷 Azure OpenAI (Analytics Connection)',
+  name: 'Azure OpenAI',
+  description:
+    'ℹ️ Uses an Azure OpenAI analytics connection. The deployment is selected in the connection.',
+  contextWindow: 128000,
+  roleParameters: openAIRoles,
+  parameters: [
+    temperature('temperature', 2),
+    topP('top_p'),
+    maxTokens(),
+    {
+      ref: 'frequencyPenalty',
+      label: 'Frequency Penalty',
+      type: 'number',
+      min: -2,
+      max: 2,
+      defaultValue: 0,
+      requestKey: 'frequency_penalty',
+    },
+    {
+      ref: 'presencePenalty',
+      label: 'Presence Penalty',
+      type: 'number',
+      min: -2,
+      max: 2,
+      defaultValue: 0,
+      requestKey: 'presence_penalty',
+    },
+  ],
+  buildConfig: (connectionName, parameters) => endpointConfig(connectionName, parameters),
+});
+
+registerProvider({
+  id: 'bedrock',
+  label: '🟠 Amazon Bedrock (Analytics Connection)',
+  name: 'Bedrock',
+  description:
+    'ℹ️ Uses an Amazon Bedrock analytics connection. The model ID is selected in the connection.',
+  contextWindow: 200000,
+  parameters: [temperature(), topK('top_k'), topP('top_p'), maxTokens()],
+  buildConfig: (connectionName, parameters) => endpointConfig(connectionName, parameters),
+});
+
+registerProvider({
+  id: 'custom',
+  label: '🛠️ Self-hosted Model (Custom Connection)',
+  name: 'Custom Model',
+  description:
+    'ℹ️ Sends the prompt to any SSE analytics connection. Add extra request parameters as JSON.',
+  supportsRoles: (props) => props.customSupportsRoles === true,
+  roleParameters: openAIRoles,
+  contextWindow: (props) => props.customContextWindow ?? DEFAULT_CONTEXT_WINDOW,
+  parameters: [
+    temperature('temperature', 2),
+    maxTokens(),
+    {
+      ref: 'customContextWindow',
+      label: 'Context window (tokens)',
+      type: 'integer',
+      min: 1024,
+      max: 2000000,
+      defaultValue: DEFAULT_CONTEXT_WINDOW,
+    },
+    {
+      ref: 'customSupportsRoles',
+      label: 'Connection accepts system/chat messages',
+      type: 'boolean',
+      defaultValue: false,
+    },
+    {
+      ref: 'customResponseColumn',
+      label: 'Response Column',
+      type: 'string',
+      defaultValue: 'text',
+    },
+    {
+      ref: 'customParameters',
+      label: 'Additional Parameters (JSON)',
+      type: 'string',
+      component: 'textarea',
+      rows: 4,
+      defaultValue: '',
+    },
+  ],
+  buildConfig: (connectionName, parameters, props) => {
+    let extra = {};
+    const raw = String(props.customParameters || '').trim();
+    if (raw) {
+      try {
+        extra = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`Additional Parameters must be valid JSON: ${error.message}`);
+      }
+      if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+        throw new Error('Additional Parameters must be a JSON object, e.g. {"stop": ["###"]}');
+      }
+    }
+    return endpointConfig(
+      connectionName,
+      { ...parameters, ...extra },
+      props.customResponseColumn || 'text',
+    );
+  },
+});
@@ -0,0 +1,103 @@
+// qlik-expressions.js - Qlik expressions used as prompt placeholders
+//
+// {{=Sum({<Year={2024}>} Sales)}} and named expressions ({{Target}} -> "Sum(Target)") are
+// evaluated through app.evaluate while the prompt is built. Results are cached per selection
+// state: the state key is the current selections plus the reload time, so a new selection
+// or a reload evaluates again.
+
+export const SELECTION_STATE_EXPRESSION = "ReloadTime() & '|' & GetCurrentSelections(chr(10), '=', ',', 10000)";
+
+// Readable selections for the generation history: "Customer: Acme; Region: North, South".
+// Fields with more than five selected values read "12 of 40".
+export const SELECTION_SUMMARY_EXPRESSION = "GetCurrentSelections('; ', ': ', ', ', 5)";
+
+// How many selection states keep their results
+const CACHED_STATES = 20;
+
+// Named expressions may be written with or without the leading "="
+export const normalizeExpression = (expression) => String(expression || '').trim().replace(/^=\s*/, '');
+
+/**
+ * Named expressions from the property panel list.
+ * Returns a Map of placeholder name -> expression, skipping incomplete entries.
+ */
+export function resolveNamedExpressions(props = {}) {
+  const named = new Map();
+  (props.expressionPlaceholders || []).forEach((entry) => {
+    const name = String(entry?.name || '').trim().replace(/^\{\{|\}\}$/g, '').trim();
+    const expression = normalizeExpression(entry?.expression);
+    if (name && expression) named.set(name, expression);
+  });
+  return named;
+}
+
+// app.evaluate answers with a string or a { qText, qNum } object depending on the connection
+export function readEvaluateResult(result) {
+  if (result && typeof result === 'object') {
+    const text = result.qText ?? (typeof result.qNum === 'number' ? String(result.qNum) : '');
+    const num = typeof result.qNum === 'number' ? result.qNum : Number(text);
+    return { text: String(text), num: text === '' ? NaN : num };
+  }
+  const text = result === undefined || result === null ? '' : String(result);
+  return { text, num: text.trim() === '' ? NaN : Number(text) };
+}
+
+// The engine reports expression errors as the result text
+export function qlikErrorMessage(text) {
+  const value = String(text || '');
+  return /^Error\b|Error in expression|Syntax error/i.test(value)
+    ? value
+    : null;
+}
+
+export function createExpressionCache(limit = CACHED_STATES) {
+  const states = new Map();
+  return {
+    get: (stateKey, expression) => states.get(stateKey)?.get(expression),
+    set: (stateKey, expression, result) => {
+      if (!states.has(stateKey)) {
+        states.set(stateKey, new Map());
+        while (states.size > limit) {
+          states.delete(states.keys().next().value);
+        }
+      }
+      states.get(stateKey).set(expression, result);
+    },
+  };
+}
+
+/**
+ * Evaluate expressions for the current selection state.
+ * evaluate(expression) should call app.evaluate. Returns a Map of
+ * expression -> { text, num } or { error }; engine errors are cached with the state,
+ * failed calls are not.
+ */
+export async function evaluateExpressions(evaluate, expressions, cache) {
+  const results = new Map();
+  const unique = [...new Set(expressions.map(normalizeExpression).filter(Boolean))];
+  if (unique.length === 0) return results;
+
+  const stateKey = readEvaluateResult(await evaluate(SELECTION_STATE_EXPRESSION)).text;
+
+  await Promise.all(
+    unique.map(async (expression) => {
+      const cached = cache?.get(stateKey, expression);
+      if (cached) {
+        results.set(expression, cached);
+        return;
+      }
+
+      try {
+        const value = readEvaluateResult(await evaluate(expression));
+        const error = qlikErrorMessage(value.text);
+        const result = error ? { error } : value;
+        cache?.set(stateKey, expression, result);
+        results.set(expression, result);
+      } catch (error) {
+        results.set(expression, { error: error?.message || 'Expression could not be evaluated' });
+      }
+    }),
+  );
+
+  return results;
+}
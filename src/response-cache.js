@@ -0,0 +1,41 @@
+// response-cache.js - Per-object cache of LLM answers keyed by the final expression
+//
+// The key is a hash of the full ScriptEvalStr expression, so prompt, data context,
+// connection and model parameters all take part. Entries live in browser storage
+// (kind "cache") so they survive a reload; expired and surplus entries are pruned on write.
+
+import { readStored, writeStored, removeStored } from './storage';
+import hashString from './utils';
+
+export const CACHE_LIMIT = 30;
+
+export const responseCacheKey = (expression) => `${hashString(expression)}-${String(expression).length.toString(36)}`;
+
+const readEntries = (objectId) => readStored('cache', objectId, null)?.entries || {};
+
+// Returns { text, timestamp } or null when missing or older than ttlMs
+export function readCachedResponse(objectId, key, ttlMs) {
+  const entry = readEntries(objectId)[key];
+  if (!entry || Date.now() - entry.timestamp > ttlMs) return null;
+  return entry;
+}
+
+export function writeCachedResponse(objectId, key, text, ttlMs, limit = CACHE_LIMIT) {
+  const now = Date.now();
+  let entries = Object.entries({ ...readEntries(objectId), [key]: { text, timestamp: now } })
+    .filter(([, entry]) => now - entry.timestamp <= ttlMs)
+    .sort((a, b) => b[1].timestamp - a[1].timestamp)
+    .slice(0, limit);
+
+  while (entries.length > 0) {
+    if (writeStored('cache', objectId, { timestamp: now, entries: Object.fromEntries(entries) })) {
+      return true;
+    }
+    entries = entries.slice(0, -1); // storage full - drop the oldest answer and retry
+  }
+  return false;
+}
+
+export function clearResponseCache(objectId) {
+  removeStored('cache', objectId);
+}
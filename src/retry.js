@@ -0,0 +1,131 @@
+// retry.js - Timeout, retries and backoff around one LLM call
+//
+// The engine call behind app.evaluate cannot be aborted, so a timeout or a cancel only stops
+// waiting for it - a late answer is ignored. Only failures of the transport are retried:
+// timeouts, a rejected engine call that reports a dropped connection or overload, and
+// rate-limit errors passed through by the SSE connection. The transport layer marks those
+// errors transient; anything else - expression, validation and template errors, budget
+// stops, cancels - fails straight away, whatever its message says.
+
+export const RETRY_DEFAULTS = {
+  timeoutSeconds: 60,
+  retries: 2,
+  backoffSeconds: 2,
+};
+
+// Longest wait between two attempts, whatever the backoff grows to
+const MAX_BACKOFF_MS = 60000;
+
+const TRANSIENT_PATTERN = /time(d)?\s?out|ECONNRESET|connection (was )?(reset|closed|lost)|socket (hang up|closed)|network error|rate.?limit|too many requests|\b429\b|\b50[234]\b|overloaded|temporarily unavailable|try again later/i;
+
+export function resolveRetryOptions(props = {}) {
+  const number = (value, fallback, min, max) => {
+    const n = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(n)
+      ? fallback
+      : Math.min(max, Math.max(min, n));
+  };
+  return {
+    timeoutMs: number(props.requestTimeoutSeconds, RETRY_DEFAULTS.timeoutSeconds, 5, 600) * 1000,
+    retries: Math.round(number(props.requestRetries, RETRY_DEFAULTS.retries, 0, 5)),
+    backoffMs: number(props.requestBackoffSeconds, RETRY_DEFAULTS.backoffSeconds, 0, 60) * 1000,
+  };
+}
+
+export const isTransientMessage = (text) => TRANSIENT_PATTERN.test(String(text || ''));
+
+export function isTransientError(error) {
+  if (!error || error.name === 'AbortError' || error.usageBudget) return false;
+  return error.transient === true;
+}
+
+// Rejection of the engine call itself (closed socket, gateway error) - transient when its
+// message says the failure is temporary
+export function classifyTransportError(error) {
+  const classified = error instanceof Error ? error : new Error(String(error?.message ?? error));
+  if (isTransientMessage(classified.message)) classified.transient = true;
+  return classified;
+}
+
+// Exponential: base, 2 x base, 4 x base ... for the 1st, 2nd, 3rd retry
+export const backoffDelay = (retry, baseMs) => Math.min(MAX_BACKOFF_MS, baseMs * 2 ** Math.max(0, retry - 1));
+
+export function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Settles with the promise, or rejects on timeout or when the signal aborts
+export function withTimeout(promise, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    let timer = null;
+    let onAbort = null;
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    onAbort = () => finish(reject, cancelledError());
+    timer = setTimeout(() => {
+      const error = new Error(`Request timeout after ${Math.round(timeoutMs / 1000)} seconds`);
+      error.transient = true;
+      finish(reject, error);
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort);
+    promise.then(
+      (value) => finish(resolve, value),
+      (error) => finish(reject, error),
+    );
+  });
+}
+
+// Backoff pause that a cancel cuts short
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  let timer = null;
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs attempt(number) until it succeeds, fails with a non-transient error or the retries
+ * are used up. onRetry({ attempt, attempts, delayMs, error }) is called before each wait;
+ * attempt is the number of the attempt about to start.
+ */
+export async function withRetries(attempt, {
+  retries = 0, backoffMs = 0, signal, onRetry,
+} = {}) {
+  const attempts = retries + 1;
+  const run = async (number) => {
+    if (signal?.aborted) throw cancelledError();
+    try {
+      return await attempt(number);
+    } catch (error) {
+      if (number >= attempts || !isTransientError(error) || signal?.aborted) throw error;
+      const delayMs = backoffDelay(number, backoffMs);
+      if (onRetry) {
+        onRetry({
+          attempt: number + 1, attempts, delayMs, error,
+        });
+      }
+      await wait(delayMs, signal);
+      return run(number + 1);
+    }
+  };
+  return run(1);
+}
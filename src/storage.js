@@ -0,0 +1,66 @@
+// storage.js - Per-object browser storage helpers
+//
+// Everything that must be shared with other users (prompts, mappings, settings) is
+// persisted in the generic object through model.setProperties. Browser storage is only
+// used for per-user data such as unsaved drafts, keyed by kind and object id:
+//   dynamicLLM_<kind>_<objectId>
+
+const PREFIX = 'dynamicLLM_';
+
+export const storageKey = (kind, objectId) => (kind ? `${PREFIX}${kind}_${objectId}` : `${PREFIX}${objectId}`);
+
+export function readStored(kind, objectId, fallback = null, storage = window.localStorage) {
+  if (!objectId) return fallback;
+  try {
+    const raw = storage.getItem(storageKey(kind, objectId));
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    return fallback; // unavailable storage or a corrupted entry reads as missing
+  }
+}
+
+// Returns false instead of throwing when storage is full or unavailable
+export function writeStored(kind, objectId, value, storage = window.localStorage) {
+  if (!objectId) return false;
+  try {
+    storage.setItem(storageKey(kind, objectId), JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Like writeStored, returns false when storage is unavailable
+const removeKey = (storage, key) => {
+  try {
+    storage.removeItem(key);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export function removeStored(kind, objectId, storage = window.localStorage) {
+  return objectId ? removeKey(storage, storageKey(kind, objectId)) : false;
+}
+
+// Remove entries of one kind whose timestamp is older than maxAgeMs.
+// Returns the removed keys; corrupted entries count as expired.
+export function removeExpired(kind, maxAgeMs, storage = window.localStorage) {
+  const prefix = `${PREFIX}${kind}_`;
+  let keys;
+  try {
+    keys = Object.keys(storage).filter((key) => key.startsWith(prefix));
+  } catch (error) {
+    return [];
+  }
+  return keys.filter((key) => {
+    try {
+      const data = JSON.parse(storage.getItem(key));
+      if (data && Date.now() - data.timestamp <= maxAgeMs) return false;
+    } catch (error) {
+      // corrupted entry - removed below
+    }
+    return removeKey(storage, key);
+  });
+}
@@ -0,0 +1,92 @@
+// text-diff.js - Word-level diff between two generated answers
+//
+// Classic LCS over word and whitespace tokens. The common prefix and suffix are trimmed
+// first so long, mostly identical answers stay cheap; if the remaining middle is still
+// too large for the table it is reported as one removal plus one addition.
+
+const MAX_TABLE_CELLS = 4000000;
+
+const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+// Merge adjacent parts of the same type
+function pushPart(parts, type, text) {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+/**
+ * Returns [{ type: "equal" | "removed" | "added", text }] turning `before` into `after`.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  pushPart(parts, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    pushPart(parts, 'removed', midA.join(''));
+    pushPart(parts, 'added', midB.join(''));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], stored row-major
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushPart(parts, 'removed', midA[i]);
+        i++;
+      } else {
+        pushPart(parts, 'added', midB[j]);
+        j++;
+      }
+    }
+    pushPart(parts, 'removed', midA.slice(i).join(''));
+    pushPart(parts, 'added', midB.slice(j).join(''));
+  }
+
+  pushPart(parts, 'equal', a.slice(endA).join(''));
+  return parts;
+}
+
+export function diffStats(parts) {
+  const words = (text) => (text.match(/[^\s]+/g) || []).length;
+  const stats = { added: 0, removed: 0 };
+  parts.forEach((part) => {
+    if (part.type !== 'equal') stats[part.type] += words(part.text);
+  });
+  return stats;
+}
@@ -0,0 +1,62 @@
+// token-estimator.js - Rough token counts and the context-window budget for a prompt
+//
+// Tokens are estimated at about four characters each, which is close enough for English
+// prose and CSV across the supported model families to budget a prompt - not to bill it.
+
+export const CHARS_PER_TOKEN = 4;
+
+// Share of the context window at which the meter turns amber
+const NEAR_LIMIT = 0.8;
+
+export function estimateTokens(text) {
+  const { length } = String(text || '');
+  return length === 0 ? 0 : Math.ceil(length / CHARS_PER_TOKEN);
+}
+
+export const tokensToChars = (tokens) => Math.max(0, Math.floor(tokens * CHARS_PER_TOKEN));
+
+// "ok", "near" or "over" the context window
+const budgetLevel = (ratio) => {
+  if (ratio > 1) return 'over';
+  return ratio >= NEAR_LIMIT ? 'near' : 'ok';
+};
+
+/**
+ * Budget for one request.
+ * texts: { system, user, context, data } strings, or token counts where the text is not at
+ * hand; reserved: maxTokens kept for the answer.
+ * Returns { parts: [{ key, label, tokens }], total, contextWindow, remaining, ratio, level }
+ * where level is "ok", "near" or "over".
+ */
+export function buildTokenBudget(texts, reserved, contextWindow) {
+  const tokens = (value) => (typeof value === 'number' ? value : estimateTokens(value));
+  const parts = [
+    { key: 'system', label: 'System', tokens: tokens(texts.system) },
+    { key: 'user', label: 'User', tokens: tokens(texts.user) },
+    { key: 'context', label: 'Context', tokens: tokens(texts.context) },
+    { key: 'data', label: 'Data', tokens: tokens(texts.data) },
+    { key: 'reserved', label: 'Reserved', tokens: Math.max(0, Number(reserved) || 0) },
+  ];
+  const total = parts.reduce((sum, part) => sum + part.tokens, 0);
+  const ratio = contextWindow > 0 ? total / contextWindow : 0;
+  return {
+    parts,
+    total,
+    contextWindow,
+    remaining: contextWindow - total,
+    ratio,
+    level: budgetLevel(ratio),
+  };
+}
+
+/**
+ * Characters the data context may use: what the context window leaves after the fixed
+ * parts and the reserved answer, capped by the configured character budget.
+ */
+export function fitDataCharBudget(fixedTokens, reserved, contextWindow, charBudget) {
+  if (!(contextWindow > 0)) return charBudget;
+  const available = contextWindow - fixedTokens - Math.max(0, Number(reserved) || 0);
+  return Math.max(0, Math.min(charBudget, tokensToChars(available)));
+}
+
+export const formatTokens = (tokens) => Math.round(tokens).toLocaleString('en-US');
@@ -0,0 +1,150 @@
+// usage.js - Estimated usage and cost of generations, per object and per browser session
+//
+// Every call through the analytics connection is recorded with estimated input and output
+// tokens (see token-estimator.js), latency, model and whether the cache answered it. An
+// object's totals and recent records are kept in localStorage (kind "usage"); the totals of
+// the current browser session live in sessionStorage. Costs use the per-provider prices from
+// the Usage & Budget section - providers without prices count tokens only.
+
+import { readStored, writeStored, removeStored } from './storage';
+import { getProvider, getProviders } from './providers';
+
+// Recent records kept per object - totals are kept separately and never dropped
+export const USAGE_RECORD_LIMIT = 50;
+
+export const USAGE_BUDGET_UNITS = [
+  { value: 'cost', label: 'Cost' },
+  { value: 'tokens', label: 'Tokens (input + output, cache hits excluded)' },
+];
+
+export const USAGE_BUDGET_SCOPES = [
+  { value: 'session', label: 'This browser session' },
+  { value: 'object', label: 'All time in this browser' },
+];
+
+const emptyTotals = () => ({
+  calls: 0,
+  cachedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  billedTokens: 0, // tokens of calls the cache did not answer
+  cost: 0,
+  latencyMs: 0,
+});
+
+const addToTotals = (totals, record) => ({
+  calls: totals.calls + 1,
+  cachedCalls: totals.cachedCalls + (record.cached ? 1 : 0),
+  inputTokens: totals.inputTokens + record.inputTokens,
+  outputTokens: totals.outputTokens + record.outputTokens,
+  billedTokens: totals.billedTokens + (record.cached ? 0 : record.inputTokens + record.outputTokens),
+  cost: totals.cost + record.cost,
+  latencyMs: totals.latencyMs + record.latencyMs,
+});
+
+// Prices per 1M tokens for a provider: { input, output }, 0 when not set
+export function resolvePricing(props = {}, providerId) {
+  const price = (value) => Math.max(0, Number(value) || 0);
+  const prices = props.usagePrices?.[providerId] || {};
+  return { input: price(prices.input), output: price(prices.output) };
+}
+
+// Cached answers cost nothing - the connection was not called
+export const estimateCost = ({ inputTokens, outputTokens, cached }, pricing) => (cached ? 0 : (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000);
+
+/**
+ * Usage of one object: { object: { totals, records }, session: { totals } }.
+ * Records are newest first.
+ */
+export function loadUsage(objectId) {
+  const stored = readStored('usage', objectId, null);
+  const session = readStored('usage', objectId, null, window.sessionStorage);
+  return {
+    object: {
+      totals: { ...emptyTotals(), ...stored?.totals },
+      records: Array.isArray(stored?.records) ? stored.records : [],
+    },
+    session: { totals: { ...emptyTotals(), ...session?.totals } },
+  };
+}
+
+/**
+ * Adds a record ({ inputTokens, outputTokens, latencyMs, model, provider, cached, cost, kind })
+ * to the object and session totals and returns the updated usage.
+ */
+export function recordUsage(objectId, record) {
+  const entry = { timestamp: Date.now(), ...record };
+  const usage = loadUsage(objectId);
+  const object = {
+    totals: addToTotals(usage.object.totals, entry),
+    records: [entry, ...usage.object.records].slice(0, USAGE_RECORD_LIMIT),
+  };
+  const session = { totals: addToTotals(usage.session.totals, entry) };
+
+  writeStored('usage', objectId, { timestamp: Date.now(), ...object });
+  writeStored('usage', objectId, { timestamp: Date.now(), ...session }, window.sessionStorage);
+  return { object, session };
+}
+
+export function clearUsage(objectId) {
+  removeStored('usage', objectId);
+  removeStored('usage', objectId, window.sessionStorage);
+}
+
+export function resolveUsageBudget(props = {}) {
+  const limit = Math.max(0, Number(props.usageBudgetLimit) || 0);
+  return {
+    enabled: props.usageBudgetEnabled === true && limit > 0,
+    limit,
+    unit: props.usageBudgetUnit === 'tokens' ? 'tokens' : 'cost',
+    scope: props.usageBudgetScope === 'object' ? 'object' : 'session',
+  };
+}
+
+/**
+ * Budget state for the usage so far: { spent, limit, unit, scope, exceeded }, or null when
+ * no budget is set. The budget is soft - the call that crosses it still completes.
+ */
+export function checkUsageBudget(usage, props) {
+  const budget = resolveUsageBudget(props);
+  if (!budget.enabled) return null;
+  const totals = budget.scope === 'object' ? usage.object.totals : usage.session.totals;
+  const spent = budget.unit === 'tokens' ? totals.billedTokens : totals.cost;
+  return { ...budget, spent, exceeded: spent >= budget.limit };
+}
+
+// Single calls cost fractions of a cent, so small amounts keep four decimals
+export const formatCost = (cost) => (cost > 0 && cost < 1 ? cost.toFixed(4) : cost.toFixed(2));
+
+export const formatUsageAmount = (value, unit) => (unit === 'tokens' ? Math.round(value).toLocaleString('en-US') : formatCost(value));
+
+// Shown instead of an answer once the budget is used up
+export function describeBudgetExceeded(budget) {
+  const scope = budget.scope === 'object' ? 'in this browser' : 'this browser session';
+  const unit = budget.unit === 'tokens' ? ' tokens' : '';
+  return `${formatUsageAmount(budget.spent, budget.unit)} of ${formatUsageAmount(budget.limit, budget.unit)}${unit} used ${scope}. Raise the limit under Usage & Budget or clear the usage in the 📊 Usage popover to generate again.`;
+}
+
+// Property panel items: input and output price for each registered provider, shown for the
+// selected one
+export function getUsagePriceItems() {
+  const items = {};
+  getProviders().forEach((provider) => {
+    [
+      ['input', 'Input price per 1M tokens'],
+      ['output', 'Output price per 1M tokens'],
+    ].forEach(([kind, label]) => {
+      items[`usagePrice_${provider.id}_${kind}`] = {
+        type: 'number',
+        label: `${provider.name}: ${label}`,
+        ref: `props.usagePrices.${provider.id}.${kind}`,
+        defaultValue: 0,
+        min: 0,
+        show(data) {
+          return getProvider(data.props?.connectionType).id === provider.id;
+        },
+      };
+    });
+  });
+  return items;
+}
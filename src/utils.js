@@ -0,0 +1,12 @@
+// utils.js - Small shared helpers
+
+// FNV-1a 32-bit hash as 8 hex characters - stable fingerprints, not for security
+export default function hashString(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,245 @@
+// validation-rules.js - Selection validation rules compiled to Qlik expressions
+//
+// Rules come from the builder in the Selection Validation section ("exactly one selected in
+// [Customer]", "at least 2 possible in [Region]", "Sum(Amount) > 0 is true"). Each rule
+// compiles to one Qlik expression that is evaluated on its own. Results follow Qlik's boolean
+// semantics: any non-zero number is true, 0 and null are false - so "Sum(Amount) > 0" (-1)
+// and "GetSelectedCount(Customer)" (1, 2 ...) both pass when they should.
+//
+// Rules can be named and carry their own message, so the "Selection Required" panel can list
+// which ones still fail. The raw validation expression remains as an escape hatch; it is
+// checked as one more rule with the general validation message.
+
+import { readEvaluateResult, qlikErrorMessage } from './qlik-expressions';
+
+export const VALIDATION_MODES = [
+  { value: 'none', label: 'None - any selection state' },
+  { value: 'rowCount', label: 'Row-count bounds' },
+  { value: 'custom', label: 'Custom rules' },
+];
+
+export const ROW_COUNT_DEFAULTS = {
+  minRows: 1,
+  maxRows: 1000,
+};
+
+export const VALIDATION_RULE_TYPES = [
+  { value: 'selected', label: 'Selected values in field' },
+  { value: 'possible', label: 'Possible values in field' },
+  { value: 'expression', label: 'Expression is true' },
+];
+
+export const VALIDATION_COMPARISONS = [
+  { value: 'eq', label: 'Exactly', operator: '=' },
+  { value: 'gte', label: 'At least', operator: '>=' },
+  { value: 'lte', label: 'At most', operator: '<=' },
+];
+
+const COUNT_FUNCTIONS = {
+  selected: 'GetSelectedCount',
+  possible: 'GetPossibleCount',
+};
+
+// [Field] reference - a "]" inside the name is written "]]"
+const fieldName = (field) => String(field || '')
+  .trim()
+  .replace(/^\[(.*)\]$/, '$1')
+  .replace(/\]\]/g, ']');
+
+export const fieldReference = (field) => `[${fieldName(field).replace(/\]/g, ']]')}]`;
+
+// Strip a leading "=" so "=Sum(Amount) > 0" and "Sum(Amount) > 0" compile the same
+const conditionText = (expression) => String(expression || '').trim().replace(/^=\s*/, '');
+
+// "Exactly 1 selected in Customer", "Sum(Amount) > 0 is true"
+export function describeRule(rule = {}) {
+  if (rule.type === 'expression') {
+    const expression = conditionText(rule.expression);
+    return expression ? `${expression} is true` : 'Expression is true';
+  }
+  const comparison = VALIDATION_COMPARISONS.find((c) => c.value === rule.comparison) || VALIDATION_COMPARISONS[0];
+  const count = Math.max(0, Math.round(Number(rule.count ?? 1) || 0));
+  const kind = rule.type === 'possible' ? 'possible' : 'selected';
+  return `${comparison.label} ${count} ${kind} in ${fieldName(rule.field) || '(no field)'}`;
+}
+
+function compileCondition(rule) {
+  const description = describeRule(rule);
+
+  if (rule.type === 'expression') {
+    const expression = conditionText(rule.expression);
+    return expression
+      ? { expression, fields: [], description }
+      : { error: 'Enter the expression that must be true', fields: [], description };
+  }
+
+  const countFunction = COUNT_FUNCTIONS[rule.type] || COUNT_FUNCTIONS.selected;
+  const name = fieldName(rule.field);
+  if (!name) {
+    return { error: 'Choose the field to check', fields: [], description };
+  }
+  const comparison = VALIDATION_COMPARISONS.find((c) => c.value === rule.comparison) || VALIDATION_COMPARISONS[0];
+  const count = Math.max(0, Math.round(Number(rule.count ?? 1) || 0));
+  return {
+    expression: `${countFunction}(${fieldReference(name)}) ${comparison.operator} ${count}`,
+    fields: [name],
+    description,
+  };
+}
+
+/**
+ * Compile one builder rule.
+ * Returns { expression, fields, description, name, message } or
+ * { error, fields, description, name, message }.
+ */
+export function compileRule(rule = {}) {
+  return {
+    name: String(rule.name || '').trim(),
+    message: String(rule.message || '').trim(),
+    ...compileCondition(rule),
+  };
+}
+
+// Objects from before the mode selector: custom rules if they were enabled, otherwise none
+export function resolveValidationMode(props = {}) {
+  if (VALIDATION_MODES.some((mode) => mode.value === props.validationMode)) return props.validationMode;
+  return props.enableCustomValidation ? 'custom' : 'none';
+}
+
+export function resolveRowCountBounds(props = {}) {
+  const bound = (value, fallback) => {
+    const n = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(n)
+      ? fallback
+      : Math.max(0, Math.round(n));
+  };
+  const minRows = bound(props.validationMinRows, ROW_COUNT_DEFAULTS.minRows);
+  return { minRows, maxRows: Math.max(minRows, bound(props.validationMaxRows, ROW_COUNT_DEFAULTS.maxRows)) };
+}
+
+/**
+ * Row-count check on the hypercube size (qSize.qcy), so an analysis is never sent for an
+ * empty table or for tens of thousands of rows.
+ * Returns { valid, rows, minRows, maxRows, message }.
+ */
+export function checkRowCount(hyperCube, props) {
+  const { minRows, maxRows } = resolveRowCountBounds(props);
+  const rows = hyperCube?.qSize?.qcy ?? 0;
+  let message = `${rows} rows in the current selection`;
+  if (rows < minRows) {
+    message = rows === 0
+      ? 'No rows in the current selection - widen or clear the selections'
+      : `Only ${rows} row(s) in the current selection - at least ${minRows} needed`;
+  } else if (rows > maxRows) {
+    message = `${rows.toLocaleString('en-US')} rows in the current selection - narrow it down to at most ${maxRows.toLocaleString('en-US')}`;
+  }
+  return {
+    valid: rows >= minRows && rows <= maxRows, rows, minRows, maxRows, message,
+  };
+}
+
+/**
+ * Everything the validation has to check: the builder rules followed by the raw expression.
+ * Returns [{ expression?, error?, fields, description, name, message, raw? }].
+ */
+export function resolveValidationChecks(props = {}) {
+  const checks = (Array.isArray(props.validationRules) ? props.validationRules : []).map(compileRule);
+  const raw = conditionText(props.customValidationExpression);
+  if (raw) {
+    checks.push({
+      expression: raw,
+      fields: [],
+      description: raw,
+      name: 'Custom expression',
+      message: String(props.customValidationMessage || '').trim(),
+      raw: true,
+    });
+  }
+  return checks;
+}
+
+// Qlik boolean semantics: non-zero numbers are true; 0, null and text are false
+export const isQlikTrue = (num) => typeof num === 'number' && Number.isFinite(num) && num !== 0;
+
+// app.evaluate answers with the formatted text ("1,234", "12 %", "0,5"), which does not read
+// as a number. Checks are evaluated through Num() with a fixed pattern, so the text is the
+// plain number - and text results become null. The line break keeps a trailing // comment
+// in the expression from swallowing the arguments.
+const numericCheckExpression = (expression) => `Num(${expression}\n, '0.##########', '.')`;
+
+/**
+ * Evaluate one check expression in the current selection state. evaluate(expression)
+ * should call app.evaluate. Syntax errors come back as the result text or as a rejected
+ * call, depending on the engine. Returns { result, valid, error }.
+ */
+export async function evaluateCheck(evaluate, expression) {
+  let result;
+  try {
+    result = readEvaluateResult(await evaluate(numericCheckExpression(expression)));
+  } catch (error) {
+    result = { text: `Error: ${error?.message || error}`, num: NaN };
+  }
+  const error = qlikErrorMessage(result.text);
+  return { result: result.text, valid: !error && isQlikTrue(result.num), error };
+}
+
+// Property panel preview. Panel labels are synchronous, so a label starts the evaluation with
+// the panel's app, for the edited object only, and shows the last result until the new one
+// arrives. A result older than PREVIEW_REFRESH_MS is evaluated again the next time the panel
+// asks, which picks up selection changes; an edited expression is a new entry and is
+// evaluated straight away. The panel only reads its labels again when the properties change,
+// so a new result is pushed to it with a soft patch (see refreshPanel).
+const PREVIEW_REFRESH_MS = 1000;
+const PREVIEW_ENTRIES = 100;
+const panelPreviews = new Map(); // "objectId|expression" -> { detail, evaluatedAt, pending }
+
+// Soft patches are not saved with the app and the key is read by nothing, so the only effect
+// is that the panel evaluates its labels again
+function refreshPanel(app, objectId) {
+  if (typeof app.getObject !== 'function') return;
+  Promise.resolve(app.getObject(objectId))
+    .then((model) => model?.applyPatches(
+      [{ qOp: 'add', qPath: '/validationPreviewAt', qValue: JSON.stringify(Date.now()) }],
+      true,
+    ))
+    .catch(() => {}); // the panel closed or the object is gone - nothing to refresh
+}
+
+/**
+ * Result of one expression for the object open in the property panel:
+ * { result, valid, error }, null while the first evaluation runs, or { unavailable: true }
+ * when the panel handler has no app or object id.
+ */
+export function previewCheck(handler, expression) {
+  const app = handler?.app;
+  const objectId = handler?.properties?.qInfo?.qId;
+  if (!app || typeof app.evaluate !== 'function' || !objectId) return { unavailable: true };
+
+  const key = `${objectId}|${expression}`;
+  const entry = panelPreviews.get(key) || { detail: null, evaluatedAt: 0, pending: false };
+  if (!entry.pending && Date.now() - entry.evaluatedAt > PREVIEW_REFRESH_MS) {
+    entry.pending = true;
+    panelPreviews.delete(key);
+    panelPreviews.set(key, entry);
+    while (panelPreviews.size > PREVIEW_ENTRIES) {
+      panelPreviews.delete(panelPreviews.keys().next().value);
+    }
+    evaluateCheck((qExpression) => app.evaluate({ qExpression }), expression).then((detail) => {
+      const changed = JSON.stringify(detail) !== JSON.stringify(entry.detail);
+      entry.detail = detail;
+      entry.evaluatedAt = Date.now();
+      entry.pending = false;
+      if (changed) refreshPanel(app, objectId);
+    });
+  }
+  return entry.detail;
+}
+
+// One line for the panel: "✅ -1 → true", "❌ 0 → false", "⚠️ Error: ..."
+export function describeCheckPreview(detail) {
+  if (detail?.unavailable) return 'Preview not available - the property panel has no app connection';
+  if (!detail) return '⏳ Evaluating against the current selections...';
+  if (detail.error) return `⚠️ ${detail.error}`;
+  const result = detail.result === '' ? 'null' : detail.result;
+  return detail.valid ? `✅ ${result} → true` : `❌ ${result} → false (needs a non-zero number)`;
+}
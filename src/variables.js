@@ -0,0 +1,87 @@
+// variables.js - Variables as prompt placeholders
+//
+// {{$vCurrentQuarter}} resolves through the extension's own variable list first (Prompt
+// Variables in the property panel) and then through the app's variables in the engine.
+// App variables are read at generate time, so "=Max(Quarter)" style definitions follow
+// the selections.
+
+// "{{$vName}}", "$vName" and "vName" all name the same variable
+export const normalizeVariableName = (name) => String(name || '')
+  .trim()
+  .replace(/^\{\{|\}\}$/g, '')
+  .trim()
+  .replace(/^\$\s*/, '');
+
+/**
+ * Extension-level variables from the property panel list.
+ * Returns a Map of name -> value, skipping entries without a name.
+ */
+export function resolveExtensionVariables(props = {}) {
+  const variables = new Map();
+  (props.promptVariables || []).forEach((entry) => {
+    const name = normalizeVariableName(entry?.name);
+    if (name) variables.set(name, String(entry?.value ?? ''));
+  });
+  return variables;
+}
+
+// Value of one app variable - the engine evaluates "=..." definitions in the layout
+async function readAppVariable(app, name) {
+  const variable = await app.getVariableByName(name);
+  if (!variable) {
+    throw new Error(`Variable "${name}" does not exist in this app`);
+  }
+  const layout = await variable.getLayout();
+  const text = layout?.qText ?? (typeof layout?.qNum === 'number' ? String(layout.qNum) : '');
+  return { text, num: typeof layout?.qNum === 'number' ? layout.qNum : Number(text) };
+}
+
+/**
+ * Resolve variable names for a prompt build.
+ * Returns a Map of name -> { text, num } or { error }.
+ */
+export async function resolveVariables(app, names, props) {
+  const extensionVariables = resolveExtensionVariables(props);
+  const results = new Map();
+
+  await Promise.all(
+    [...new Set(names.map(normalizeVariableName).filter(Boolean))].map(async (name) => {
+      if (extensionVariables.has(name)) {
+        const text = extensionVariables.get(name);
+        results.set(name, { text, num: text.trim() === '' ? NaN : Number(text) });
+        return;
+      }
+      try {
+        results.set(name, await readAppVariable(app, name));
+      } catch (error) {
+        results.set(name, {
+          error:
+            error?.message && !/not found|does not exist/i.test(error.message)
+              ? error.message
+              : `Variable "${name}" does not exist in this app or in Prompt Variables`,
+        });
+      }
+    }),
+  );
+
+  return results;
+}
+
+/**
+ * App variables for the field-mapping panel: [{ name, definition }], reserved and
+ * configuration variables left out.
+ */
+export async function listAppVariables(app) {
+  const list = await app.createSessionObject({
+    qInfo: { qType: 'VariableList' },
+    qVariableListDef: { qType: 'variable', qShowReserved: false, qShowConfig: false },
+  });
+  try {
+    const layout = await list.getLayout();
+    return (layout?.qVariableList?.qItems || [])
+      .map((item) => ({ name: item.qName, definition: item.qDefinition || '' }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } finally {
+    await app.destroySessionObject(list.id);
+  }
+}
@@ -0,0 +1,81 @@
+import runWithConcurrency from '../../src/batch';
+
+// Worker whose calls stay pending until release(index) settles them
+const deferredWorker = () => {
+  const pending = new Map();
+  const started = [];
+  const worker = (item, index) => new Promise((resolve, reject) => {
+    started.push(index);
+    pending.set(index, { resolve, reject });
+  });
+  const settle = async (index, error) => {
+    const call = pending.get(index);
+    pending.delete(index);
+    if (error) call.reject(error);
+    else call.resolve(`answer ${index}`);
+    await new Promise((resolve) => { setImmediate(resolve); });
+  };
+  return { worker, started, settle };
+};
+
+describe('batch', () => {
+  describe('runWithConcurrency', () => {
+    it('keeps at most limit calls in flight', async () => {
+      const { worker, started, settle } = deferredWorker();
+      const run = runWithConcurrency(['a', 'b', 'c', 'd', 'e'], 2, worker);
+      expect(started).to.deep.equal([0, 1]);
+
+      await settle(1);
+      expect(started).to.deep.equal([0, 1, 2]);
+      await settle(0);
+      await settle(2);
+      expect(started).to.deep.equal([0, 1, 2, 3, 4]);
+      await settle(3);
+      await settle(4);
+
+      expect((await run).map((result) => result.value)).to.deep.equal([
+        'answer 0', 'answer 1', 'answer 2', 'answer 3', 'answer 4',
+      ]);
+    });
+
+    it('reports each row as it settles and keeps going after a failure', async () => {
+      const settled = [];
+      const results = await runWithConcurrency([1, 2, 3], 3, async (item) => {
+        if (item === 2) throw new Error('Request timeout after 60 seconds');
+        return item * 10;
+      }, { onSettled: (index, result) => settled.push([index, result.ok]) });
+
+      expect(settled).to.have.deep.members([[0, true], [1, false], [2, true]]);
+      expect(results[0]).to.deep.equal({ ok: true, value: 10 });
+      expect(results[1].ok).to.equal(false);
+      expect(results[1].error.message).to.equal('Request timeout after 60 seconds');
+      expect(results[2]).to.deep.equal({ ok: true, value: 30 });
+    });
+
+    it('starts no new rows once cancelled and lets running rows settle', async () => {
+      const { worker, started, settle } = deferredWorker();
+      let cancelled = false;
+      const run = runWithConcurrency(['a', 'b', 'c', 'd'], 2, worker, { isCancelled: () => cancelled });
+
+      cancelled = true;
+      await settle(0);
+      await settle(1, new Error('Request cancelled'));
+
+      const results = await run;
+      expect(started).to.deep.equal([0, 1]);
+      expect(results[0]).to.deep.equal({ ok: true, value: 'answer 0' });
+      expect(results[1].ok).to.equal(false);
+      expect(results.slice(2)).to.deep.equal([undefined, undefined]);
+    });
+
+    it('runs one at a time without a limit and handles no rows', async () => {
+      const { worker, started, settle } = deferredWorker();
+      const run = runWithConcurrency(['a', 'b'], 0, worker);
+      expect(started).to.deep.equal([0]);
+      await settle(0);
+      await settle(1);
+      expect((await run).length).to.equal(2);
+      expect(await runWithConcurrency([], 4, worker)).to.deep.equal([]);
+    });
+  });
+});
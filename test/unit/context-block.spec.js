@@ -0,0 +1,91 @@
+import {
+  buildContextTableDef,
+  fitContextBlock,
+  fitContextText,
+  joinContextBlock,
+  placeContextBlock,
+  resolveContextBlockOptions,
+} from '../../src/context-block';
+
+const MARKER = '\n[... context block truncated ...]';
+
+describe('context-block', () => {
+  describe('resolveContextBlockOptions', () => {
+    it('uses the defaults for missing or unknown values', () => {
+      expect(resolveContextBlockOptions({ contextBlockPosition: 'middle', contextBlockCharBudget: '' })).to.deep.equal({
+        position: 'before', charBudget: 8000, tableMaxRows: 50,
+      });
+    });
+  });
+
+  describe('buildContextTableDef', () => {
+    it('is null unless the table is on and has fields', () => {
+      expect(buildContextTableDef({ contextTableFields: [{ definition: 'Feature' }] })).to.equal(null);
+      expect(buildContextTableDef({ contextTableEnabled: true, contextTableFields: [{ definition: ' ' }] })).to.equal(null);
+    });
+
+    it('builds dimensions and measures with their labels', () => {
+      const def = buildContextTableDef({
+        contextTableEnabled: true,
+        contextTableFields: [
+          { type: 'dimension', definition: 'Feature' },
+          { type: 'measure', definition: 'Avg(SHAP)', label: 'Importance' },
+        ],
+      });
+      expect(def.qDimensions[0].qDef).to.deep.equal({ qFieldDefs: ['Feature'], qFieldLabels: ['Feature'] });
+      expect(def.qMeasures[0].qDef).to.deep.equal({ qDef: 'Avg(SHAP)', qLabel: 'Importance' });
+    });
+  });
+
+  describe('fitContextText', () => {
+    it('keeps text within the budget', () => {
+      expect(fitContextText('  short  ', 100)).to.deep.equal({ text: 'short', truncated: false });
+    });
+
+    it('counts the truncation marker toward the budget', () => {
+      const text = 'x'.repeat(500);
+      [40, 100, 499].forEach((budget) => {
+        const result = fitContextText(text, budget);
+        expect(result.truncated).to.equal(true);
+        expect(result.text.length).to.be.at.most(budget);
+        expect(result.text.endsWith(MARKER)).to.equal(true);
+      });
+      expect(fitContextText(text, 10)).to.deep.equal({ text: '', truncated: true });
+    });
+
+    it('cuts at a line break where possible', () => {
+      const text = `${'a'.repeat(60)}\n${'b'.repeat(60)}`;
+      expect(fitContextText(text, 110).text).to.equal(`${'a'.repeat(60)}${MARKER}`);
+    });
+  });
+
+  describe('fitContextBlock', () => {
+    it('gives all of the budget to the text without a table', () => {
+      const block = fitContextBlock('x'.repeat(500), 200, false);
+      expect(block.text.length).to.be.at.most(200);
+      expect(block.tableBudget).to.equal(0);
+    });
+
+    it('leaves the rest to the table when the text fits', () => {
+      expect(fitContextBlock('notes', 100, true)).to.deep.equal({ text: 'notes', truncated: false, tableBudget: 93 });
+      expect(fitContextBlock('', 100, true).tableBudget).to.equal(100);
+    });
+
+    it('keeps room for the table when the text is too long', () => {
+      const budget = 400;
+      const block = fitContextBlock('x'.repeat(1000), budget, true);
+      const table = 't'.repeat(block.tableBudget);
+      expect(block.truncated).to.equal(true);
+      expect(block.tableBudget).to.be.above(0);
+      expect(joinContextBlock(block.text, table).length).to.be.at.most(budget);
+    });
+  });
+
+  describe('placeContextBlock', () => {
+    it('puts the block before or after the prompt', () => {
+      expect(placeContextBlock('Q', 'notes', 'before')).to.equal('Context:\nnotes\n\nQ');
+      expect(placeContextBlock('Q', 'notes', 'after')).to.equal('Q\n\nContext:\nnotes');
+      expect(placeContextBlock('Q', '', 'after')).to.equal('Q');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import {
+  buildDataContext,
+  cellText,
+  describeDataContext,
+  forEachRow,
+  getColumns,
+  resolveDataContextOptions,
+} from '../../src/data-context';
+
+const cell = (qText, qNum) => ({ qText, qNum: qNum ?? NaN });
+
+// Hypercube with one dimension (Customer) and one measure (Sales); `loaded` rows are in the
+// layout, the rest only come through fetchPage
+function createCube(total, loaded = total) {
+  const row = (index) => [cell(`C${index}`), cell(String(index * 10), index * 10)];
+  return {
+    qSize: { qcx: 2, qcy: total },
+    qDimensionInfo: [{ qFallbackTitle: 'Customer' }],
+    qMeasureInfo: [{ qFallbackTitle: 'Sales' }],
+    qDataPages: [{
+      qArea: {
+        qLeft: 0, qTop: 0, qWidth: 2, qHeight: loaded,
+      },
+      qMatrix: Array.from({ length: loaded }, (_, index) => row(index)),
+    }],
+    row,
+  };
+}
+
+function createFetchPage(cube) {
+  const calls = [];
+  const fetchPage = async ([page]) => {
+    calls.push(page);
+    const height = Math.max(0, Math.min(page.qHeight, cube.qSize.qcy - page.qTop));
+    return [{ qMatrix: Array.from({ length: height }, (_, index) => cube.row(page.qTop + index)) }];
+  };
+  return { fetchPage, calls };
+}
+
+describe('data-context', () => {
+  describe('cellText', () => {
+    it('prefers the text, falls back to the number and treats nulls as empty', () => {
+      expect(cellText(cell('A', 1))).to.equal('A');
+      expect(cellText({ qNum: 5 })).to.equal('5');
+      expect(cellText({ qText: 'x', qIsNull: true })).to.equal('');
+      expect(cellText(undefined)).to.equal('');
+    });
+  });
+
+  describe('getColumns', () => {
+    it('follows qColumnOrder and numbers duplicate titles', () => {
+      const columns = getColumns({
+        qDimensionInfo: [{ qFallbackTitle: 'Region' }],
+        qMeasureInfo: [{ qFallbackTitle: 'Region' }],
+        qColumnOrder: [1, 0],
+      });
+      expect(columns).to.deep.equal([
+        { title: 'Region', type: 'measure', index: 0 },
+        { title: 'Region (2)', type: 'dimension', index: 1 },
+      ]);
+    });
+  });
+
+  describe('resolveDataContextOptions', () => {
+    it('uses the defaults for missing or invalid values and clamps the rest', () => {
+      expect(resolveDataContextOptions({
+        dataContextFormat: 'xml',
+        dataContextMaxRows: '',
+        dataContextMaxColumns: 0,
+        dataContextCharBudget: '2500.4',
+      })).to.deep.equal({
+        format: 'csv', maxRows: 100, maxColumns: 1, charBudget: 2500,
+      });
+    });
+  });
+
+  describe('buildDataContext', () => {
+    it('writes CSV with quoted values', async () => {
+      const cube = createCube(1);
+      cube.qDataPages[0].qMatrix = [[cell('Acme, "Inc"'), cell('10', 10)]];
+      const context = await buildDataContext(cube, { format: 'csv' });
+      expect(context.text).to.equal('Customer,Sales\n"Acme, ""Inc""",10\n');
+      expect(context.truncated).to.equal(false);
+    });
+
+    it('writes the other formats', async () => {
+      const cube = createCube(2);
+      expect((await buildDataContext(cube, { format: 'markdown' })).text).to.equal(
+        '| Customer | Sales |\n| --- | ---: |\n| C0 | 0 |\n| C1 | 10 |\n',
+      );
+      expect((await buildDataContext(cube, { format: 'json' })).text).to.equal(
+        '[\n  {"Customer":"C0","Sales":"0"},\n  {"Customer":"C1","Sales":"10"}\n]\n',
+      );
+      expect((await buildDataContext(cube, { format: 'keyvalue' })).text).to.equal(
+        'Row 1: Customer = C0; Sales = 0\nRow 2: Customer = C1; Sales = 10\n',
+      );
+    });
+
+    it('only adds whole rows within the character budget', async () => {
+      const context = await buildDataContext(createCube(10), { charBudget: 30 });
+      expect(context.text).to.equal('Customer,Sales\nC0,0\nC1,10\n');
+      expect(context.rowsIncluded).to.equal(2);
+      expect(context.truncated).to.equal(true);
+    });
+
+    it('limits rows and columns', async () => {
+      const context = await buildDataContext(createCube(5), { maxRows: 2, maxColumns: 1 });
+      expect(context.text).to.equal('Customer\nC0\nC1\n');
+      expect(context).to.include({
+        rowsIncluded: 2, totalRows: 5, columnsIncluded: 1, totalColumns: 2, truncated: true,
+      });
+      expect(describeDataContext(context, 'csv')).to.equal('Data (CSV with headers, 2 of 5 rows, 1 of 2 columns):');
+    });
+
+    it('pages in rows that are not in the layout', async () => {
+      const cube = createCube(8, 3);
+      const { fetchPage, calls } = createFetchPage(cube);
+      const context = await buildDataContext(cube, { maxRows: 6 }, fetchPage);
+      expect(context.rowsIncluded).to.equal(6);
+      expect(calls).to.deep.equal([{
+        qTop: 3, qLeft: 0, qWidth: 2, qHeight: 3,
+      }]);
+    });
+
+    it('uses only the layout rows without fetchPage', async () => {
+      const context = await buildDataContext(createCube(8, 3));
+      expect(context.rowsIncluded).to.equal(3);
+      expect(context.truncated).to.equal(true);
+    });
+
+    it('returns no text for an empty cube', async () => {
+      const context = await buildDataContext(createCube(0));
+      expect(context.text).to.equal('');
+      expect(context.truncated).to.equal(false);
+    });
+  });
+
+  describe('forEachRow', () => {
+    it('stops fetching once visit returns false', async () => {
+      const cube = createCube(20, 2);
+      const { fetchPage, calls } = createFetchPage(cube);
+      const seen = [];
+      await forEachRow(cube, 2, 20, fetchPage, (row) => {
+        seen.push(row[0].qText);
+        return seen.length < 4;
+      });
+      expect(seen).to.deep.equal(['C0', 'C1', 'C2', 'C3']);
+      expect(calls).to.have.length(1);
+    });
+
+    it('splits requests to stay under the engine cell limit', async () => {
+      const cube = createCube(12000, 0);
+      const { fetchPage, calls } = createFetchPage(cube);
+      let count = 0;
+      await forEachRow(cube, 2, 12000, fetchPage, () => {
+        count++;
+      });
+      expect(count).to.equal(12000);
+      expect(calls.map((page) => [page.qTop, page.qHeight])).to.deep.equal([[0, 5000], [5000, 5000], [10000, 2000]]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  buildFieldSummary,
+  describeSummaryField,
+  headerSummaryExpression,
+  legacySummaryFields,
+  resolveHeaderOptions,
+} from '../../src/header-summary';
+
+const cell = (value) => (typeof value === 'number' ? { qText: String(value), qNum: value } : { qText: value, qNum: NaN });
+
+const hyperCube = (dimensions, measures, rows) => ({
+  qDimensionInfo: dimensions.map((title) => ({ qFallbackTitle: title })),
+  qMeasureInfo: measures.map((title) => ({ qFallbackTitle: title })),
+  qDataPages: [{ qMatrix: rows.map((row) => row.map(cell)) }],
+});
+
+const CHURN = hyperCube(['Customer', 'AccountID', 'Churn Risk'], ['Revenue'], [
+  ['Acme', 'A-1001', 'High', 1200],
+  ['Globex', 'A-1002', 'Low', 5400.5],
+  ['Initech', 'A-1003', 'High', 300],
+  ['Umbrella', 'A-1004', '-', 2500],
+]);
+
+describe('header-summary', () => {
+  describe('resolveHeaderOptions', () => {
+    it('uses the defaults, and keeps an empty icon', () => {
+      expect(resolveHeaderOptions({ headerSummaryMode: 'none' })).to.deep.equal({
+        title: 'AI Analysis', icon: '🤖', mode: 'none', legacy: false, separator: ' | ',
+      });
+      expect(resolveHeaderOptions({ headerIcon: '', headerTitle: ' Churn ', headerSummarySeparator: ' · ' })).to.include({
+        title: 'Churn', icon: '', separator: ' · ',
+      });
+    });
+
+    it('falls back to the old field subtitle for objects without a mode', () => {
+      expect(resolveHeaderOptions({})).to.include({ mode: 'fields', legacy: true });
+      expect(resolveHeaderOptions({ headerSummaryMode: 'chart' })).to.include({ mode: 'none', legacy: false });
+    });
+  });
+
+  describe('headerSummaryExpression', () => {
+    it('drops the leading "="', () => {
+      expect(headerSummaryExpression({ headerSummaryExpression: ' = Sum(Revenue) ' })).to.equal('Sum(Revenue)');
+      expect(headerSummaryExpression({})).to.equal('');
+    });
+  });
+
+  describe('describeSummaryField', () => {
+    it('names the label, what is shown and the format', () => {
+      expect(describeSummaryField({ field: 'Revenue', show: 'sum', format: '$#,##0' })).to.equal('Revenue: Sum, $#,##0');
+      expect(describeSummaryField({ field: 'Customer', label: 'Top', show: 'nope' })).to.equal('Top: First value');
+      expect(describeSummaryField({})).to.equal('(no field): First value');
+    });
+  });
+
+  describe('legacySummaryFields', () => {
+    it('rebuilds the old subtitle from the validated field or an account dimension', () => {
+      expect(legacySummaryFields(CHURN, 'customer')).to.deep.equal([
+        { field: 'Customer', label: 'customer', show: 'first' },
+        { field: 'Churn Risk', label: 'Risk', show: 'first' },
+      ]);
+      expect(legacySummaryFields(CHURN, null).map((entry) => entry.field)).to.deep.equal(['AccountID', 'Churn Risk']);
+      expect(legacySummaryFields(hyperCube(['Region'], [], []), 'Region')).to.deep.equal([
+        { field: 'Region', label: 'Region', show: 'first' },
+      ]);
+    });
+  });
+
+  describe('buildFieldSummary', () => {
+    it('keeps the old output for objects saved before the Header section', () => {
+      expect(buildFieldSummary(CHURN, {}, 'Customer')).to.deep.equal({
+        text: 'Customer: Acme | Risk: High', missing: [],
+      });
+      expect(buildFieldSummary(CHURN, {}).text).to.equal('Account: A-1001 | Risk: High');
+    });
+
+    it('summarizes the configured fields', () => {
+      const props = {
+        headerSummaryMode: 'fields',
+        headerSummarySeparator: ' / ',
+        headerSummaryFields: [
+          { field: 'Customer', show: 'values' },
+          {
+            field: '[Revenue]', label: 'Total', show: 'sum', format: '$#,##0',
+          },
+          { field: 'churn risk', label: 'Risk levels', show: 'count' },
+          { field: 'Revenue', label: 'Top', show: 'max' },
+        ],
+      };
+      expect(buildFieldSummary(CHURN, props, 'Customer')).to.deep.equal({
+        text: 'Customer: Acme, Globex, Initech (and 1 more) / Total: $9,401 / Risk levels: 2 / Top: 5400.5',
+        missing: [],
+      });
+    });
+
+    it('skips empty values and lists fields that are not in the object', () => {
+      const props = {
+        headerSummaryMode: 'fields',
+        headerSummaryFields: [
+          { field: 'Profit', show: 'sum' },
+          { field: ' ' },
+          { field: 'Customer', show: 'first' },
+        ],
+      };
+      expect(buildFieldSummary(CHURN, props)).to.deep.equal({ text: 'Customer: Acme', missing: ['Profit'] });
+      expect(buildFieldSummary(hyperCube(['Customer'], [], []), props)).to.deep.equal({ text: '', missing: ['Profit'] });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  DEFAULT_JSON_SCHEMA,
+  buildRepairPrompt,
+  extractJSON,
+  parseSchema,
+  parseStructuredResponse,
+  validateAgainstSchema,
+} from '../../src/json-schema';
+
+describe('json-schema', () => {
+  const { schema } = parseSchema(DEFAULT_JSON_SCHEMA);
+
+  describe('parseSchema', () => {
+    it('accepts a JSON object', () => {
+      expect(schema).to.have.property('type', 'object');
+    });
+
+    it('rejects empty text, other JSON values and invalid JSON', () => {
+      expect(parseSchema('  ')).to.deep.equal({ error: 'JSON schema is empty' });
+      expect(parseSchema('[1]')).to.deep.equal({ error: 'JSON schema must be an object' });
+      expect(parseSchema('{type:')).to.have.property('error').that.match(/^JSON schema is not valid JSON: /);
+    });
+  });
+
+  describe('extractJSON', () => {
+    it('unwraps code fences', () => {
+      expect(extractJSON('Here you go:\n```json\n{"a": 1}\n```\nThanks')).to.equal('{"a": 1}');
+    });
+
+    it('strips prose around the JSON', () => {
+      expect(extractJSON('Result: {"a": [1, 2]} - done')).to.equal('{"a": [1, 2]}');
+      expect(extractJSON('List: [1, 2].')).to.equal('[1, 2]');
+    });
+
+    it('returns text without JSON unchanged', () => {
+      expect(extractJSON('no json here')).to.equal('no json here');
+    });
+  });
+
+  describe('validateAgainstSchema', () => {
+    it('accepts a matching value', () => {
+      expect(validateAgainstSchema({
+        riskLevel: 'High',
+        topDrivers: ['Late payments'],
+        recommendedAction: 'Call the account owner',
+      }, schema)).to.deep.equal([]);
+    });
+
+    it('reports every problem with its path', () => {
+      expect(validateAgainstSchema({
+        riskLevel: 'Severe',
+        topDrivers: ['a', 2, 'c', 'd'],
+      }, schema)).to.deep.equal([
+        '$.recommendedAction: is required',
+        '$.riskLevel: must be one of "Low", "Medium", "High"',
+        '$.topDrivers: must have at most 3 items',
+        '$.topDrivers[1]: expected string, got integer',
+      ]);
+    });
+
+    it('checks types, ranges, lengths and extra properties', () => {
+      const strict = {
+        type: 'object',
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 1 },
+          label: { type: 'string', minLength: 2, maxLength: 4 },
+          count: { type: 'integer' },
+          note: { type: ['string', 'null'] },
+        },
+        additionalProperties: false,
+      };
+      expect(validateAgainstSchema({
+        score: 1.5, label: 'x', count: 2.5, note: null, extra: true,
+      }, strict)).to.deep.equal([
+        '$.score: must be <= 1',
+        '$.label: must be at least 2 characters',
+        '$.count: expected integer, got number',
+        '$.extra: is not allowed',
+      ]);
+      expect(validateAgainstSchema('text', strict)).to.deep.equal(['$: expected object, got string']);
+    });
+  });
+
+  describe('parseStructuredResponse', () => {
+    it('returns the value of a valid reply', () => {
+      const reply = '```json\n{"riskLevel": "Low", "topDrivers": [], "recommendedAction": "None"}\n```';
+      expect(parseStructuredResponse(reply, schema)).to.deep.equal({
+        ok: true,
+        value: { riskLevel: 'Low', topDrivers: [], recommendedAction: 'None' },
+      });
+    });
+
+    it('returns the errors of an invalid reply', () => {
+      expect(parseStructuredResponse('{"riskLevel": "Low"}', schema)).to.deep.equal({
+        ok: false,
+        errors: ['$.topDrivers: is required', '$.recommendedAction: is required'],
+      });
+      const broken = parseStructuredResponse('{"riskLevel": "Low",}', schema);
+      expect(broken.ok).to.equal(false);
+      expect(broken.errors[0]).to.match(/^reply is not valid JSON \(/);
+    });
+  });
+
+  describe('schema repair', () => {
+    it('sends the original prompt, the errors and the previous reply back', () => {
+      expect(buildRepairPrompt('Assess the account.', '{"riskLevel": "Severe"}', [
+        '$.riskLevel: must be one of "Low", "Medium", "High"',
+        '$.topDrivers: is required',
+      ])).to.equal(
+        'Assess the account.\n\nYour previous reply could not be used:\n'
+        + '- $.riskLevel: must be one of "Low", "Medium", "High"\n'
+        + '- $.topDrivers: is required\n\n'
+        + 'Previous reply:\n{"riskLevel": "Severe"}\n\n'
+        + 'Return only the corrected JSON.',
+      );
+    });
+
+    it('accepts a corrected reply after a failed one', () => {
+      const first = parseStructuredResponse('Risk is severe.', schema);
+      expect(first.ok).to.equal(false);
+      const second = parseStructuredResponse(
+        'Corrected: {"riskLevel": "High", "topDrivers": ["Usage down"], "recommendedAction": "Offer a review"}',
+        schema,
+      );
+      expect(second.ok).to.equal(true);
+    });
+  });
+});
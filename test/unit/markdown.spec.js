@@ -0,0 +1,109 @@
+import { JSDOM } from 'jsdom';
+import { markdownToHTML, sanitizeHTML, renderMarkdown } from '../../src/markdown';
+
+describe('markdown', () => {
+  describe('markdownToHTML', () => {
+    it('escapes raw HTML in the response', () => {
+      expect(markdownToHTML('<img src=x onerror=alert(1)>')).to.equal(
+        '<p>&lt;img src=x onerror=alert(1)&gt;</p>',
+      );
+    });
+
+    it('only turns http(s) and mailto targets into links', () => {
+      expect(markdownToHTML('[docs](https://example.com/a)')).to.equal(
+        '<p><a href="https://example.com/a">docs</a></p>',
+      );
+      expect(markdownToHTML('[x](mailto:a@example.com)')).to.equal(
+        '<p><a href="mailto:a@example.com">x</a></p>',
+      );
+      expect(markdownToHTML('[click](javascript:alert(1))')).to.equal('<p>click</p>');
+      expect(markdownToHTML('[click](data:text/html,hi)')).to.equal('<p>click</p>');
+    });
+
+    it('does not apply emphasis inside a link target', () => {
+      expect(markdownToHTML('[report](https://example.com/a_b_c/**x**)')).to.equal(
+        '<p><a href="https://example.com/a_b_c/**x**">report</a></p>',
+      );
+      expect(markdownToHTML('see [the **report**](https://example.com/q_1_) _now_')).to.equal(
+        '<p>see <a href="https://example.com/q_1_">the <strong>report</strong></a> <em>now</em></p>',
+      );
+    });
+
+    it('keeps code spans literal', () => {
+      expect(markdownToHTML('`**a** <b>`')).to.equal('<p><code>**a** &lt;b&gt;</code></p>');
+    });
+
+    it('ignores placeholder characters smuggled into the response', () => {
+      expect(markdownToHTML('\uE0010\uE001 [a](https://example.com)')).to.equal(
+        '<p>0 <a href="https://example.com">a</a></p>',
+      );
+    });
+  });
+
+  describe('sanitizeHTML', () => {
+    let dom;
+
+    before(() => {
+      dom = new JSDOM('<!DOCTYPE html>');
+      global.document = dom.window.document;
+    });
+
+    after(() => {
+      delete global.document;
+      dom.window.close();
+    });
+
+    it('drops script-capable elements with their content', () => {
+      expect(sanitizeHTML('<p>a<script>alert(1)</script><iframe src="x"></iframe></p>')).to.equal('<p>a</p>');
+      expect(sanitizeHTML('<svg><g onload="alert(1)"></g></svg><style>p{}</style>b')).to.equal('b');
+    });
+
+    it('removes event handler and unknown attributes', () => {
+      expect(sanitizeHTML('<p onclick="alert(1)" style="color:red">a</p>')).to.equal('<p>a</p>');
+    });
+
+    it('unwraps unknown elements but keeps their text', () => {
+      expect(sanitizeHTML('<div><marquee>hi</marquee></div>')).to.equal('hi');
+    });
+
+    it('removes unsafe link targets, including obfuscated ones', () => {
+      [
+        'javascript:alert(1)', // eslint-disable-line no-script-url
+        ' JavaScript:alert(1)',
+        'java&#x09;script:alert(1)',
+        '&#106;avascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+      ].forEach((href) => {
+        expect(sanitizeHTML(`<a href="${href}">x</a>`)).to.equal('x');
+      });
+    });
+
+    it('opens safe links in a new tab without an opener', () => {
+      expect(sanitizeHTML('<a href="https://example.com" onmouseover="x()">x</a>')).to.equal(
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>',
+      );
+    });
+
+    it('keeps only the allowed classes', () => {
+      expect(sanitizeHTML('<code class="language-js">a</code>')).to.equal('<code class="language-js">a</code>');
+      expect(sanitizeHTML('<code class="language-js evil">a</code>')).to.equal('<code>a</code>');
+    });
+
+    it('drops comments', () => {
+      expect(sanitizeHTML('<p>a<!-- <script>x</script> --></p>')).to.equal('<p>a</p>');
+    });
+
+    it('renders markdown through the sanitizer', () => {
+      expect(renderMarkdown('**bold** [x](https://example.com)')).to.equal(
+        '<p><strong>bold</strong> <a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a></p>',
+      );
+    });
+  });
+
+  describe('without a DOM', () => {
+    it('escapes everything', () => {
+      expect(sanitizeHTML('<b>a</b>')).to.equal('&lt;b&gt;a&lt;/b&gt;');
+    });
+  });
+});
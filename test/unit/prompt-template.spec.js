@@ -0,0 +1,268 @@
+import {
+  describeTemplateErrors,
+  detectTemplateFields,
+  formatNumber,
+  parseTag,
+  renderTemplate,
+  tokenize,
+} from '../../src/prompt-template';
+
+const COLUMNS = [
+  { title: 'Customer', type: 'dimension' },
+  { title: 'Region', type: 'dimension' },
+  { title: 'Revenue', type: 'measure' },
+  { title: 'Churn Risk', type: 'measure' },
+];
+
+const cell = (value) => (typeof value === 'number' ? { qText: String(value), qNum: value } : { qText: value, qNum: NaN });
+
+const ROWS = [
+  ['Acme', 'North', 1200, 0.8],
+  ['Globex', 'South', 5400.5, 0.2],
+  ['Initech', 'North', 300, 0.9],
+  ['Umbrella', 'East', 2500, 0.4],
+].map((row) => row.map(cell));
+
+// Render context over the rows above; names match case-insensitively like in the extension
+const context = (rows = ROWS) => ({
+  rows,
+  findColumn: (name) => {
+    const index = COLUMNS.findIndex((column) => column.title.toLowerCase() === String(name).toLowerCase());
+    return index === -1 ? null : { ...COLUMNS[index], index };
+  },
+});
+
+const render = (text, rows) => renderTemplate(text, context(rows));
+
+describe('prompt-template', () => {
+  describe('tokenize', () => {
+    it('keeps set analysis braces inside a tag', () => {
+      const { tokens, errors } = tokenize('Total: {{=Sum({<Year={2024}>} Sales)}}!');
+      expect(errors).to.deep.equal([]);
+      expect(tokens.map((token) => token.raw || token.value)).to.deep.equal([
+        'Total: ',
+        '{{=Sum({<Year={2024}>} Sales)}}',
+        '!',
+      ]);
+    });
+
+    it('reports an unterminated tag', () => {
+      const { tokens, errors } = tokenize('Hello {{Customer');
+      expect(tokens[tokens.length - 1]).to.include({ type: 'text', value: '{{Customer' });
+      expect(errors).to.deep.equal([
+        { placeholder: '{{Customer', message: 'Unterminated tag - missing "}}"', start: 6 },
+      ]);
+    });
+  });
+
+  describe('quotes in field names', () => {
+    const quotedContext = {
+      rows: [[cell("O'Brien"), cell('12" pipe'), cell(5)]],
+      findColumn: (name) => ["Customer's Name", 'Product "Line"', 'Units']
+        .map((title, index) => ({ title, index, type: index === 2 ? 'measure' : 'dimension' }))
+        .find((column) => column.title === name) || null,
+    };
+
+    it('reads a tag body as the field name up to "}}"', () => {
+      const { tokens, errors } = tokenize("Hi {{Customer's Name}} and {{Region}} ok");
+      expect(errors).to.deep.equal([]);
+      expect(tokens.filter((token) => token.type === 'tag').map((token) => parseTag(token.body))).to.deep.equal([
+        { kind: 'field', name: "Customer's Name", modifiers: [] },
+        { kind: 'field', name: 'Region', modifiers: [] },
+      ]);
+    });
+
+    it('renders fields with apostrophes and double quotes', () => {
+      expect(renderTemplate(
+        '{{Customer\'s Name}} bought {{Product "Line"|list:1}} ({{Units|sum}})',
+        quotedContext,
+      )).to.deep.equal({ text: 'O\'Brien bought 12" pipe (5)', errors: [] });
+    });
+
+    it('keeps quotes inside modifier arguments and conditions', () => {
+      expect(parseTag("Customer's Name|format:'#|#'|list").modifiers).to.deep.equal([
+        { name: 'format', args: "'#|#'" },
+        { name: 'list', args: '' },
+      ]);
+      expect(render('{{#if Region == "}}"}}yes{{else}}no{{/if}}')).to.deep.equal({ text: 'no', errors: [] });
+    });
+
+    it('leaves unknown fields with quotes for the field mappings', () => {
+      expect(render('Dear {{Contact\'s "Title"}}, {{Region|count}}')).to.deep.equal({
+        text: 'Dear {{Contact\'s "Title"}}, 3',
+        errors: [],
+      });
+    });
+  });
+
+  describe('parseTag', () => {
+    it('splits modifiers outside quotes', () => {
+      expect(parseTag('Amount|sum|format:"$#,##0|x"')).to.deep.equal({
+        kind: 'field',
+        name: 'Amount',
+        modifiers: [
+          { name: 'sum', args: '' },
+          { name: 'format', args: '"$#,##0|x"' },
+        ],
+      });
+    });
+  });
+
+  describe('formatNumber', () => {
+    it('applies Qlik-style patterns', () => {
+      expect(formatNumber(1234567.891, '$#,##0')).to.equal('$1,234,568');
+      expect(formatNumber(1234.5, '#,##0.00')).to.equal('1,234.50');
+      expect(formatNumber(0.256, '0.0%')).to.equal('25.6%');
+      expect(formatNumber(-1500, '€ #,##0')).to.equal('-€ 1,500');
+      expect(formatNumber('n/a', '#,##0')).to.equal('n/a');
+    });
+  });
+
+  describe('modifiers', () => {
+    it('aggregates measures', () => {
+      expect(render('{{Revenue|sum}} {{Revenue|avg}} {{Revenue|min}} {{Revenue|max}}').text).to.equal(
+        '9400.5 2350.13 300 5400.5',
+      );
+    });
+
+    it('counts and lists distinct values', () => {
+      expect(render('{{Region|count}}: {{Region|list}}').text).to.equal('3: North, South, East');
+      expect(render('{{Customer|list:2}}').text).to.equal('Acme, Globex (and 2 more)');
+    });
+
+    it('formats single results and lists', () => {
+      expect(render('{{Revenue|sum|format:"$#,##0"}}').text).to.equal('$9,401');
+      expect(render("{{Revenue|format:'#,##0.0'}}").text).to.equal('1,200.0, 5,400.5, 300.0, 2,500.0');
+    });
+
+    it('ranks values by a measure', () => {
+      expect(render('{{Customer|top:2 by Revenue}}').text).to.equal('Globex, Umbrella');
+      expect(render('{{Customer|top:1 by "Churn Risk"|list}}').text).to.equal('Initech');
+    });
+
+    it('keeps the legacy output without modifiers', () => {
+      expect(render('{{Region}} / {{Revenue}}').text).to.equal('North, South, East / 1200, 5400.5, 300, 2500');
+      expect(render('{{Revenue}}', []).text).to.equal('No data available');
+    });
+
+    it('leaves unknown fields without modifiers for the field mappings', () => {
+      expect(render('Hi {{Account Name}}')).to.deep.equal({ text: 'Hi {{Account Name}}', errors: [] });
+    });
+  });
+
+  describe('template errors', () => {
+    it('reports unknown modifiers before rendering', () => {
+      const { text, errors } = render('{{Revenue|total}}');
+      expect(text).to.equal('{{Revenue|total}}');
+      expect(errors).to.deep.equal([{
+        placeholder: '{{Revenue|total}}',
+        message: 'Unknown modifier "total". Available modifiers: sum, avg, min, max, count, list, format, top',
+        start: 0,
+      }]);
+    });
+
+    it('reports bad modifier arguments and unknown fields', () => {
+      const { text, errors } = render('{{Region|list:all}} {{Region|top:3}} {{Profit|sum}} {{Revenue|sum|list}}');
+      expect(text).to.equal('{{Region|list:all}} {{Region|top:3}} {{Profit|sum}} {{Revenue|sum|list}}');
+      expect(errors.map((error) => error.message)).to.deep.equal([
+        '"list" expects a number of values, e.g. list:20 (got "all")',
+        '"top" expects a count and a measure, e.g. top:3 by Revenue (got "3")',
+        'Unknown field "Profit" - add it as a dimension or measure, or map the placeholder',
+        '"list" needs a field value, but the value was already reduced to one result',
+      ]);
+    });
+
+    it('describes errors one per line', () => {
+      const { errors } = render('{{Revenue|format}} {{Customer|top:2 by Margin}}');
+      expect(describeTemplateErrors(errors)).to.equal(
+        '{{Revenue|format}}: "format" expects a number pattern, e.g. format:"$#,##0"\n'
+        + '{{Customer|top:2 by Margin}}: Unknown field "Margin" in top:2 by Margin',
+      );
+    });
+  });
+
+  describe('blocks', () => {
+    it('picks the {{#if}} or {{else}} branch', () => {
+      const template = '{{#if Churn Risk|max > 0.7}}High risk{{else}}Low risk{{/if}}';
+      expect(render(template).text).to.equal('High risk');
+      expect(render(template, ROWS.slice(1, 2)).text).to.equal('Low risk');
+    });
+
+    it('compares dimension values and literals', () => {
+      expect(render('{{#if Region == "south"}}yes{{/if}}').text).to.equal('yes');
+      expect(render('{{#if Region != "West"}}yes{{/if}}').text).to.equal('yes');
+      expect(render('{{#if Revenue|sum >= 10000}}big{{else}}small{{/if}}').text).to.equal('small');
+      expect(render('{{#if Customer}}some{{else}}none{{/if}}', []).text).to.equal('none');
+    });
+
+    it('repeats {{#each}} per value with the rows of that value', () => {
+      const template = '{{#each Region}}\n- {{this}}: {{Revenue|sum}}\n{{/each}}\n';
+      expect(render(template).text).to.equal('- North: 1500\n- South: 5400.5\n- East: 2500\n');
+    });
+
+    it('nests blocks', () => {
+      const template = '{{#each Region}}{{#if Churn Risk|max > 0.5}}{{this}} {{/if}}{{/each}}';
+      expect(render(template).text).to.equal('North ');
+    });
+
+    it('drops the lines of standalone block tags', () => {
+      const template = 'Intro\n  {{#if Customer}}\nBody\n  {{/if}}\nEnd';
+      expect(render(template).text).to.equal('Intro\nBody\nEnd');
+    });
+  });
+
+  describe('block errors', () => {
+    const messages = (text) => render(text).errors.map((error) => error.message);
+
+    it('reports unbalanced blocks without rendering', () => {
+      const { text, errors } = render('{{#if Customer}}open');
+      expect(text).to.equal('{{#if Customer}}open');
+      expect(errors).to.deep.equal([{
+        placeholder: '{{#if Customer}}',
+        message: '{{#if}} is never closed - add {{/if}}',
+        start: 0,
+      }]);
+      expect(messages('text{{/each}}')).to.deep.equal(['{{/each}} has no matching {{#each}}']);
+      expect(messages('{{#each Region}}{{/if}}{{/each}}')).to.deep.equal([
+        '{{/if}} closes {{#each}} opened at character 1 - expected {{/each}}',
+      ]);
+    });
+
+    it('reports misplaced tags', () => {
+      expect(messages('{{else}}')).to.deep.equal(['{{else}} can only be used inside an {{#if}} block']);
+      expect(messages('{{#if Customer}}a{{else}}b{{else}}c{{/if}}')).to.deep.equal([
+        '{{#if}} block has more than one {{else}}',
+      ]);
+      expect(messages('{{this}}')).to.deep.equal(['{{this}} can only be used inside an {{#each}} block']);
+      expect(messages('{{#unless Customer}}{{/unless}}')).to.deep.equal([
+        'Unknown block "#unless". Available blocks: #if, #each',
+        '{{/unless}} has no matching {{#unless}}',
+      ]);
+    });
+
+    it('reports empty and unusable conditions', () => {
+      expect(messages('{{#if}}a{{/if}}')).to.deep.equal(['{{#if}} needs a condition, e.g. {{#if Region == "North"}}']);
+      expect(messages('{{#each}}a{{/each}}')).to.deep.equal(['{{#each}} needs a field, e.g. {{#each Product}}']);
+      expect(messages('{{#if Revenue > 100}}a{{/if}}')).to.deep.equal([
+        '"Revenue" has 4 values - reduce it with a modifier such as |max or |sum before comparing',
+      ]);
+      expect(messages('{{#if Region ==}}a{{/if}}')).to.deep.equal(['Incomplete condition "Region =="']);
+      expect(messages('{{#each Product}}a{{/each}}')).to.deep.equal([
+        'Unknown field "Product" - add it as a dimension or measure, or map the placeholder',
+      ]);
+    });
+  });
+
+  describe('detectTemplateFields', () => {
+    it('lists each field once without its modifiers', () => {
+      expect(detectTemplateFields('{{Revenue|sum}} {{=Sum(X)}}', '{{Revenue}} {{Region|list:3}} {{Target}}', ['Target'])).to.deep.equal([
+        {
+          placeholder: '{{Revenue}}', fieldName: 'Revenue', position: 0, source: 'system',
+        },
+        {
+          placeholder: '{{Region}}', fieldName: 'Region', position: 12, source: 'user',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import {
+  buildProviderConfig,
+  buildRolePayload,
+  getContextWindow,
+  getProvider,
+  getProviderParameterItems,
+  providerSupportsRoles,
+  resolveProviderParameters,
+  toRequestParameters,
+} from '../../src/providers';
+
+describe('providers', () => {
+  describe('getProvider', () => {
+    it('falls back to Claude for unknown or missing ids', () => {
+      expect(getProvider('openai').id).to.equal('openai');
+      expect(getProvider('gpt-99').id).to.equal('claude');
+      expect(getProvider(undefined).id).to.equal('claude');
+    });
+  });
+
+  describe('resolveProviderParameters', () => {
+    it('applies the defaults', () => {
+      expect(resolveProviderParameters(getProvider('claude'), {})).to.deep.equal({
+        temperature: 0.7, topK: 250, topP: 1, maxTokens: 1000,
+      });
+    });
+
+    it('clamps to the provider range and rounds integers', () => {
+      expect(resolveProviderParameters(getProvider('claude'), {
+        temperature: 1.8, topK: '0', topP: -1, maxTokens: 1234.6,
+      })).to.deep.equal({
+        temperature: 1, topK: 1, topP: 0, maxTokens: 1235,
+      });
+      expect(resolveProviderParameters(getProvider('openai'), { temperature: 1.8, maxTokens: 99999 })).to.include({
+        temperature: 1.8, maxTokens: 4000,
+      });
+    });
+
+    it('uses the default for values that are not numbers', () => {
+      expect(resolveProviderParameters(getProvider('bedrock'), { temperature: 'warm', topK: '' })).to.include({
+        temperature: 0.7, topK: 250,
+      });
+    });
+  });
+
+  describe('toRequestParameters', () => {
+    it('uses the names each endpoint expects', () => {
+      const values = {
+        temperature: 0.5, topK: 40, topP: 0.9, maxTokens: 800,
+      };
+      expect(toRequestParameters(getProvider('claude'), values)).to.deep.equal({
+        temperature: 0.5, 'Top K': 40, 'Top P': 0.9, max_tokens: 800,
+      });
+      expect(toRequestParameters(getProvider('bedrock'), values)).to.deep.equal({
+        temperature: 0.5, top_k: 40, top_p: 0.9, max_tokens: 800,
+      });
+    });
+  });
+
+  describe('buildProviderConfig', () => {
+    it('serializes the endpoint config for ScriptEvalStr', () => {
+      expect(JSON.parse(buildProviderConfig({ connectionType: 'openai', connectionName: ' OpenAI conn ' }))).to.deep.equal({
+        RequestType: 'endpoint',
+        endpoint: {
+          connectionname: 'OpenAI conn',
+          column: 'text',
+          parameters: {
+            temperature: 0.7,
+            top_p: 1,
+            max_tokens: 1000,
+            frequency_penalty: 0,
+            presence_penalty: 0,
+          },
+        },
+      });
+    });
+
+    it('merges the role parameters', () => {
+      const config = JSON.parse(buildProviderConfig({ connectionName: 'Claude' }, { system: 'Be brief' }));
+      expect(config.endpoint.parameters).to.include({ system: 'Be brief', max_tokens: 1000 });
+    });
+
+    it('requires a connection name', () => {
+      expect(() => buildProviderConfig({ connectionName: '  ' })).to.throw('Connection name is required');
+    });
+
+    it('adds the custom connection parameters and response column', () => {
+      const config = JSON.parse(buildProviderConfig({
+        connectionType: 'custom',
+        connectionName: 'Local LLM',
+        customResponseColumn: 'answer',
+        customParameters: '{"stop": ["###"], "temperature": 0.1}',
+      }));
+      expect(config.endpoint.column).to.equal('answer');
+      expect(config.endpoint.parameters).to.deep.equal({ temperature: 0.1, max_tokens: 1000, stop: ['###'] });
+    });
+
+    it('reports custom parameters that are not a JSON object', () => {
+      const build = (customParameters) => () => buildProviderConfig({
+        connectionType: 'custom', connectionName: 'Local LLM', customParameters,
+      });
+      expect(build('{"stop": ')).to.throw(/^Additional Parameters must be valid JSON: /);
+      ['[1, 2]', '"text"', '42', 'null'].forEach((value) => {
+        expect(build(value)).to.throw('Additional Parameters must be a JSON object, e.g. {"stop": ["###"]}');
+      });
+    });
+  });
+
+  describe('getContextWindow', () => {
+    it('reads the provider window, or the custom setting', () => {
+      expect(getContextWindow(getProvider('claude'))).to.equal(200000);
+      expect(getContextWindow(getProvider('custom'), { customContextWindow: 32768 })).to.equal(32768);
+      expect(getContextWindow(getProvider('custom'), {})).to.equal(8192);
+    });
+  });
+
+  describe('getProviderParameterItems', () => {
+    it('shows each provider its own items', () => {
+      const items = getProviderParameterItems();
+      expect(items.claude_temperature).to.include({ ref: 'props.temperature', max: 1 });
+      expect(items.openai_temperature).to.include({ ref: 'props.temperature', max: 2 });
+      expect(items.claude_temperature.show({ props: { connectionType: 'claude' } })).to.equal(true);
+      expect(items.claude_temperature.show({ props: {} })).to.equal(true);
+      expect(items.openai_temperature.show({ props: { connectionType: 'claude' } })).to.equal(false);
+      expect(items.openai_temperature.show({ props: { connectionType: 'openai' } })).to.equal(true);
+    });
+  });
+
+  describe('buildRolePayload', () => {
+    const request = {
+      system: ' You are an analyst. ',
+      messages: [
+        { role: 'user', content: 'Summarize churn' },
+        { role: 'assistant', content: 'Churn is up', extra: true },
+        { role: 'user', content: 'Why?' },
+      ],
+    };
+
+    it('sends Anthropic-style system and history for Claude and Bedrock', () => {
+      ['claude', 'bedrock'].forEach((id) => {
+        expect(buildRolePayload(getProvider(id), request)).to.deep.equal({
+          prompt: 'Why?',
+          roleParameters: {
+            system: 'You are an analyst.',
+            messages: [
+              { role: 'user', content: 'Summarize churn' },
+              { role: 'assistant', content: 'Churn is up' },
+            ],
+          },
+        });
+      });
+    });
+
+    it('sends the system prompt as the first message for OpenAI-style connections', () => {
+      ['openai', 'azure-openai'].forEach((id) => {
+        expect(buildRolePayload(getProvider(id), request).roleParameters).to.deep.equal({
+          messages: [
+            { role: 'system', content: 'You are an analyst.' },
+            { role: 'user', content: 'Summarize churn' },
+            { role: 'assistant', content: 'Churn is up' },
+          ],
+        });
+      });
+    });
+
+    it('sends no role parameters for a single prompt without system text', () => {
+      const single = { system: '', messages: [{ role: 'user', content: 'Hi' }] };
+      expect(buildRolePayload(getProvider('claude'), single)).to.deep.equal({ prompt: 'Hi', roleParameters: {} });
+      expect(buildRolePayload(getProvider('openai'), single)).to.deep.equal({ prompt: 'Hi', roleParameters: {} });
+    });
+
+    it('flattens the request for connections without role support', () => {
+      const custom = getProvider('custom');
+      expect(providerSupportsRoles(custom, {})).to.equal(false);
+      expect(buildRolePayload(custom, request, {})).to.deep.equal({
+        prompt: ' You are an analyst. \n\nPrevious conversation:\n\n'
+          + 'User: Summarize churn\n\nAssistant: Churn is up\n\nFollow-up question:\nWhy?',
+        roleParameters: {},
+      });
+    });
+
+    it('uses roles for a custom connection that accepts them', () => {
+      const props = { customSupportsRoles: true };
+      expect(providerSupportsRoles(getProvider('custom'), props)).to.equal(true);
+      expect(buildRolePayload(getProvider('custom'), request, props).prompt).to.equal('Why?');
+    });
+  });
+});
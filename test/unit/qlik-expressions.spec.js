@@ -0,0 +1,150 @@
+import {
+  SELECTION_STATE_EXPRESSION,
+  createExpressionCache,
+  evaluateExpressions,
+  normalizeExpression,
+  qlikErrorMessage,
+  readEvaluateResult,
+  resolveNamedExpressions,
+} from '../../src/qlik-expressions';
+import { collectTemplateExpressions, renderTemplate } from '../../src/prompt-template';
+
+// app.evaluate stand-in: answers from a table and records each call
+const engine = (answers, state = 'reload 1|Region=North') => {
+  const calls = [];
+  const evaluate = async (expression) => {
+    calls.push(expression);
+    if (expression === SELECTION_STATE_EXPRESSION) return { qText: state };
+    const answer = answers[expression];
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return { evaluate, calls };
+};
+
+describe('qlik-expressions', () => {
+  describe('resolveNamedExpressions', () => {
+    it('maps placeholder names to expressions without the leading "="', () => {
+      expect(normalizeExpression(' = Sum(Sales) ')).to.equal('Sum(Sales)');
+      const named = resolveNamedExpressions({
+        expressionPlaceholders: [
+          { name: '{{Target}}', expression: '=Sum(Target)' },
+          { name: 'Margin', expression: 'Sum(Margin)/Sum(Sales)' },
+          { name: 'Empty', expression: '=' },
+          { name: '', expression: 'Sum(X)' },
+        ],
+      });
+      expect([...named]).to.deep.equal([['Target', 'Sum(Target)'], ['Margin', 'Sum(Margin)/Sum(Sales)']]);
+    });
+  });
+
+  describe('readEvaluateResult', () => {
+    it('reads objects and plain strings', () => {
+      expect(readEvaluateResult({ qText: '1,234', qNum: 1234 })).to.deep.equal({ text: '1,234', num: 1234 });
+      expect(readEvaluateResult({ qNum: 0.5 })).to.deep.equal({ text: '0.5', num: 0.5 });
+      expect(readEvaluateResult('42')).to.deep.equal({ text: '42', num: 42 });
+      expect(readEvaluateResult({ qText: 'Acme' }).num).to.be.NaN;
+      expect(readEvaluateResult(null)).to.deep.include({ text: '' });
+      expect(readEvaluateResult(' ').num).to.be.NaN;
+    });
+  });
+
+  describe('qlikErrorMessage', () => {
+    it('recognizes the errors the engine returns as text', () => {
+      expect(qlikErrorMessage('Error in expression: \')\' expected')).to.equal('Error in expression: \')\' expected');
+      expect(qlikErrorMessage('Syntax error in set modifier')).to.equal('Syntax error in set modifier');
+      expect(qlikErrorMessage('Errors down 12%')).to.equal(null);
+      expect(qlikErrorMessage(undefined)).to.equal(null);
+    });
+  });
+
+  describe('createExpressionCache', () => {
+    it('keeps the most recent selection states', () => {
+      const cache = createExpressionCache(2);
+      cache.set('a', 'Sum(X)', { text: '1' });
+      cache.set('b', 'Sum(X)', { text: '2' });
+      cache.set('c', 'Sum(X)', { text: '3' });
+      expect(cache.get('a', 'Sum(X)')).to.equal(undefined);
+      expect(cache.get('b', 'Sum(X)')).to.deep.equal({ text: '2' });
+      expect(cache.get('c', 'Sum(Y)')).to.equal(undefined);
+    });
+  });
+
+  describe('evaluateExpressions', () => {
+    it('evaluates each expression once per selection state', async () => {
+      const cache = createExpressionCache();
+      const { evaluate, calls } = engine({ 'Sum(Sales)': { qText: '$1,204', qNum: 1204 } });
+      const results = await evaluateExpressions(evaluate, ['Sum(Sales)', '=Sum(Sales)', ' '], cache);
+      expect([...results]).to.deep.equal([['Sum(Sales)', { text: '$1,204', num: 1204 }]]);
+
+      await evaluateExpressions(evaluate, ['Sum(Sales)'], cache);
+      expect(calls).to.deep.equal([SELECTION_STATE_EXPRESSION, 'Sum(Sales)', SELECTION_STATE_EXPRESSION]);
+      expect(await evaluateExpressions(evaluate, [], cache)).to.have.property('size', 0);
+    });
+
+    it('caches engine errors with the state but not failed calls', async () => {
+      const cache = createExpressionCache();
+      const { evaluate, calls } = engine({
+        'Sum(': { qText: 'Error in expression: \')\' expected' },
+        'Sum(Late)': new Error('Socket closed'),
+        'Avg(Y)': new Error(''),
+      });
+      const results = await evaluateExpressions(evaluate, ['Sum(', 'Sum(Late)', 'Avg(Y)'], cache);
+      expect(Object.fromEntries(results)).to.deep.equal({
+        'Sum(': { error: 'Error in expression: \')\' expected' },
+        'Sum(Late)': { error: 'Socket closed' },
+        'Avg(Y)': { error: 'Expression could not be evaluated' },
+      });
+
+      calls.length = 0;
+      await evaluateExpressions(evaluate, ['Sum(', 'Sum(Late)'], cache);
+      expect(calls).to.deep.equal([SELECTION_STATE_EXPRESSION, 'Sum(Late)']);
+    });
+  });
+
+  describe('substitution', () => {
+    const render = async (template, answers, props = {}) => {
+      const named = resolveNamedExpressions(props);
+      const { evaluate } = engine(answers);
+      const expressions = await evaluateExpressions(
+        evaluate,
+        collectTemplateExpressions([template], (name) => named.get(name)),
+      );
+      return renderTemplate(template, {
+        rows: [],
+        findColumn: () => null,
+        findExpression: (name) => named.get(name),
+        expressions,
+      });
+    };
+
+    it('puts expression results and named expressions into the prompt', async () => {
+      const props = { expressionPlaceholders: [{ name: 'Target', expression: '=Sum(Target)' }] };
+      expect(await render(
+        'Sales {{=Sum({<Year={2024}>} Sales)}} vs {{Target|format:"#,##0"}}',
+        { 'Sum({<Year={2024}>} Sales)': { qText: '1204000', qNum: 1204000 }, 'Sum(Target)': { qText: '1500000', qNum: 1500000 } },
+        props,
+      )).to.deep.equal({ text: 'Sales 1204000 vs 1,500,000', errors: [] });
+    });
+
+    it('reports engine errors against the placeholder', async () => {
+      const { text, errors } = await render('Total: {{=Sum(Sales}} and {{=Count(X)}}', {
+        'Sum(Sales': { qText: 'Error in expression: \')\' expected' },
+        'Count(X)': new Error('Socket closed'),
+      });
+      expect(text).to.equal('Total: {{=Sum(Sales}} and {{=Count(X)}}');
+      expect(errors).to.deep.equal([
+        { placeholder: '{{=Sum(Sales}}', message: 'Error in expression: \')\' expected', start: 7 },
+        { placeholder: '{{=Count(X)}}', message: 'Socket closed', start: 26 },
+      ]);
+    });
+
+    it('reports empty and unevaluated expressions', () => {
+      const context = { rows: [], findColumn: () => null, expressions: new Map() };
+      expect(renderTemplate('{{=}} {{=Sum(X)}}', context).errors.map((error) => error.message)).to.deep.equal([
+        'Expression is empty',
+        'Expression was not evaluated',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  clearResponseCache,
+  readCachedResponse,
+  responseCacheKey,
+  writeCachedResponse,
+} from '../../src/response-cache';
+
+// In-memory localStorage that refuses writes over maxChars, like a full browser quota
+const memoryStorage = (maxChars = Infinity) => {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (String(value).length > maxChars) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const HOUR = 60 * 60 * 1000;
+
+describe('response-cache', () => {
+  const { now } = Date;
+  let clock;
+
+  beforeEach(() => {
+    clock = 1700000000000;
+    Date.now = () => clock;
+    global.window = { localStorage: memoryStorage() };
+  });
+
+  afterEach(() => {
+    Date.now = now;
+    delete global.window;
+  });
+
+  describe('responseCacheKey', () => {
+    it('changes with any part of the expression', () => {
+      const expression = 'ScriptEvalStr(\'Summarize\', \'{"endpoint":{"connectionname":"Claude"}}\')';
+      expect(responseCacheKey(expression)).to.equal(responseCacheKey(expression));
+      expect(responseCacheKey(expression)).to.match(/^[0-9a-f]{8}-[0-9a-z]+$/);
+      expect(responseCacheKey(expression)).not.to.equal(responseCacheKey(expression.replace('Claude', 'OpenAI')));
+      expect(responseCacheKey(expression)).not.to.equal(responseCacheKey(`${expression} `));
+    });
+  });
+
+  describe('readCachedResponse', () => {
+    it('returns answers until they expire', () => {
+      writeCachedResponse('obj1', 'key', 'Churn is up', HOUR);
+      expect(readCachedResponse('obj1', 'key', HOUR)).to.deep.equal({ text: 'Churn is up', timestamp: clock });
+      expect(readCachedResponse('obj2', 'key', HOUR)).to.equal(null);
+      expect(readCachedResponse('obj1', 'other', HOUR)).to.equal(null);
+
+      clock += HOUR;
+      expect(readCachedResponse('obj1', 'key', HOUR)).to.include({ text: 'Churn is up' });
+      clock += 1;
+      expect(readCachedResponse('obj1', 'key', HOUR)).to.equal(null);
+    });
+
+    it('treats unreadable storage as a miss', () => {
+      global.window.localStorage.setItem('dynamicLLM_cache_obj1', '{not json');
+      expect(readCachedResponse('obj1', 'key', HOUR)).to.equal(null);
+    });
+  });
+
+  describe('writeCachedResponse', () => {
+    it('prunes expired entries and keeps the newest up to the limit', () => {
+      writeCachedResponse('obj1', 'old', 'a', HOUR);
+      clock += HOUR + 1;
+      ['k1', 'k2', 'k3'].forEach((key) => {
+        clock += 1;
+        writeCachedResponse('obj1', key, key, HOUR, 2);
+      });
+      const stored = JSON.parse(global.window.localStorage.getItem('dynamicLLM_cache_obj1'));
+      expect(Object.keys(stored.entries)).to.deep.equal(['k3', 'k2']);
+    });
+
+    it('drops the oldest answers when storage is full', () => {
+      global.window = { localStorage: memoryStorage(150) };
+      expect(writeCachedResponse('obj1', 'k1', 'x'.repeat(60), HOUR)).to.equal(true);
+      clock += 1;
+      expect(writeCachedResponse('obj1', 'k2', 'y'.repeat(60), HOUR)).to.equal(true);
+      expect(readCachedResponse('obj1', 'k1', HOUR)).to.equal(null);
+      expect(readCachedResponse('obj1', 'k2', HOUR)).to.include({ text: 'y'.repeat(60) });
+      clock += 1;
+      expect(writeCachedResponse('obj1', 'k3', 'z'.repeat(200), HOUR)).to.equal(false);
+    });
+  });
+
+  describe('clearResponseCache', () => {
+    it('removes the answers of one object', () => {
+      writeCachedResponse('obj1', 'key', 'a', HOUR);
+      writeCachedResponse('obj2', 'key', 'b', HOUR);
+      clearResponseCache('obj1');
+      expect(readCachedResponse('obj1', 'key', HOUR)).to.equal(null);
+      expect(readCachedResponse('obj2', 'key', HOUR)).to.include({ text: 'b' });
+    });
+  });
+});
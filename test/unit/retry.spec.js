@@ -0,0 +1,139 @@
+import {
+  backoffDelay,
+  cancelledError,
+  classifyTransportError,
+  isTransientError,
+  resolveRetryOptions,
+  withRetries,
+  withTimeout,
+} from '../../src/retry';
+
+const transient = (message) => Object.assign(new Error(message), { transient: true });
+
+// Resolves with the rejection of a promise that must fail
+const rejection = (promise) => promise.then(
+  () => { throw new Error('expected the promise to reject'); },
+  (error) => error,
+);
+
+describe('retry', () => {
+  describe('resolveRetryOptions', () => {
+    it('uses the defaults and clamps to the allowed ranges', () => {
+      expect(resolveRetryOptions({})).to.deep.equal({ timeoutMs: 60000, retries: 2, backoffMs: 2000 });
+      expect(resolveRetryOptions({
+        requestTimeoutSeconds: 1, requestRetries: 9, requestBackoffSeconds: '0.5',
+      })).to.deep.equal({ timeoutMs: 5000, retries: 5, backoffMs: 500 });
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('doubles with each retry up to a minute', () => {
+      expect([1, 2, 3, 4].map((retry) => backoffDelay(retry, 1000))).to.deep.equal([1000, 2000, 4000, 8000]);
+      expect(backoffDelay(10, 1000)).to.equal(60000);
+    });
+  });
+
+  describe('isTransientError', () => {
+    it('only retries errors the transport marked transient', () => {
+      expect(isTransientError(transient('Request timeout after 60 seconds'))).to.equal(true);
+      expect(isTransientError(new Error('429 Too Many Requests'))).to.equal(false);
+      expect(isTransientError(new Error('Error in expression: timeout field not found'))).to.equal(false);
+    });
+
+    it('never retries cancels or budget stops', () => {
+      expect(isTransientError(Object.assign(cancelledError(), { transient: true }))).to.equal(false);
+      expect(isTransientError(Object.assign(transient('overloaded'), { usageBudget: true }))).to.equal(false);
+      expect(isTransientError(null)).to.equal(false);
+    });
+  });
+
+  describe('classifyTransportError', () => {
+    it('marks temporary transport failures transient', () => {
+      expect(classifyTransportError(new Error('Socket closed')).transient).to.equal(true);
+      expect(classifyTransportError({ message: '503 Service Unavailable' })).to.be.an('error').with.property('transient', true);
+      expect(classifyTransportError('Rate limit exceeded').transient).to.equal(true);
+    });
+
+    it('leaves other failures alone', () => {
+      const error = new Error('Access denied');
+      expect(classifyTransportError(error)).to.equal(error);
+      expect(error).not.to.have.property('transient');
+    });
+  });
+
+  describe('withTimeout', () => {
+    it('settles with the promise', async () => {
+      expect(await withTimeout(Promise.resolve('answer'), 1000)).to.equal('answer');
+      const failure = new Error('engine error');
+      expect(await rejection(withTimeout(Promise.reject(failure), 1000))).to.equal(failure);
+    });
+
+    it('rejects with a transient error on timeout', async () => {
+      const error = await rejection(withTimeout(new Promise(() => {}), 10));
+      expect(error.message).to.equal('Request timeout after 0 seconds');
+      expect(isTransientError(error)).to.equal(true);
+    });
+
+    it('rejects when the signal aborts', async () => {
+      const controller = new AbortController();
+      const pending = rejection(withTimeout(new Promise(() => {}), 1000, controller.signal));
+      controller.abort();
+      expect((await pending).name).to.equal('AbortError');
+
+      const error = await rejection(withTimeout(Promise.resolve('late'), 1000, controller.signal));
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+
+  describe('withRetries', () => {
+    it('retries transient failures with growing waits', async () => {
+      const retries = [];
+      const result = await withRetries(async (attempt) => {
+        if (attempt < 3) throw transient('Socket closed');
+        return `ok after ${attempt}`;
+      }, {
+        retries: 3,
+        backoffMs: 1,
+        onRetry: ({ attempt, attempts, delayMs }) => retries.push([attempt, attempts, delayMs]),
+      });
+      expect(result).to.equal('ok after 3');
+      expect(retries).to.deep.equal([[2, 4, 1], [3, 4, 2]]);
+    });
+
+    it('fails straight away on other errors', async () => {
+      let calls = 0;
+      const error = await rejection(withRetries(async () => {
+        calls++;
+        throw new Error('Unknown field "Profit"');
+      }, { retries: 3 }));
+      expect(error.message).to.equal('Unknown field "Profit"');
+      expect(calls).to.equal(1);
+    });
+
+    it('gives up when the retries are used up', async () => {
+      let calls = 0;
+      const error = await rejection(withRetries(async () => {
+        calls++;
+        throw transient(`attempt ${calls}`);
+      }, { retries: 2, backoffMs: 0 }));
+      expect(error.message).to.equal('attempt 3');
+      expect(calls).to.equal(3);
+    });
+
+    it('stops waiting when cancelled during the backoff', async () => {
+      const controller = new AbortController();
+      let calls = 0;
+      const pending = rejection(withRetries(async () => {
+        calls++;
+        throw transient('overloaded');
+      }, {
+        retries: 2,
+        backoffMs: 1000,
+        signal: controller.signal,
+        onRetry: () => controller.abort(),
+      }));
+      expect((await pending).name).to.equal('AbortError');
+      expect(calls).to.equal(1);
+    });
+  });
+});
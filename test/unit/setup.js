@@ -0,0 +1,6 @@
+/* eslint-env node */
+// Mocha setup for the unit tests: chai's expect as a global, like the spec lint config expects
+const chai = require('chai');
+
+global.chai = chai;
+global.expect = chai.expect;
@@ -0,0 +1,63 @@
+import { diffWords, diffStats } from '../../src/text-diff';
+
+// Rebuilds one side of the diff, which must give back the input
+const side = (parts, type) => parts.filter((part) => part.type !== type).map((part) => part.text).join('');
+
+describe('text-diff', () => {
+  describe('diffWords', () => {
+    it('reports identical text as one equal part', () => {
+      expect(diffWords('Revenue is up', 'Revenue is up')).to.deep.equal([
+        { type: 'equal', text: 'Revenue is up' },
+      ]);
+    });
+
+    it('marks a changed word', () => {
+      expect(diffWords('Revenue is up 5%', 'Revenue is down 5%')).to.deep.equal([
+        { type: 'equal', text: 'Revenue is ' },
+        { type: 'removed', text: 'up' },
+        { type: 'added', text: 'down' },
+        { type: 'equal', text: ' 5%' },
+      ]);
+    });
+
+    it('marks inserted and deleted words', () => {
+      expect(diffWords('a c', 'a b c')).to.deep.equal([
+        { type: 'equal', text: 'a ' },
+        { type: 'added', text: 'b ' },
+        { type: 'equal', text: 'c' },
+      ]);
+      expect(diffWords('a b c', 'a c')).to.deep.equal([
+        { type: 'equal', text: 'a ' },
+        { type: 'removed', text: 'b ' },
+        { type: 'equal', text: 'c' },
+      ]);
+    });
+
+    it('compares whole words, not characters', () => {
+      expect(diffWords('cat', 'cart')).to.deep.equal([
+        { type: 'removed', text: 'cat' },
+        { type: 'added', text: 'cart' },
+      ]);
+    });
+
+    it('handles empty text on either side', () => {
+      expect(diffWords('', 'new answer')).to.deep.equal([{ type: 'added', text: 'new answer' }]);
+      expect(diffWords('old answer', null)).to.deep.equal([{ type: 'removed', text: 'old answer' }]);
+      expect(diffWords('', '')).to.deep.equal([]);
+    });
+
+    it('keeps both texts recoverable from the parts', () => {
+      const before = 'Top risks:\n- Acme churn\n- Late invoices in Q3\n';
+      const after = 'Top risks:\n- Acme churn rising\n- Overdue invoices in Q3 and Q4\n';
+      const parts = diffWords(before, after);
+      expect(side(parts, 'added')).to.equal(before);
+      expect(side(parts, 'removed')).to.equal(after);
+    });
+  });
+
+  describe('diffStats', () => {
+    it('counts added and removed words', () => {
+      expect(diffStats(diffWords('one two three', 'one 2 three four'))).to.deep.equal({ added: 2, removed: 1 });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  buildTokenBudget,
+  estimateTokens,
+  fitDataCharBudget,
+  formatTokens,
+  tokensToChars,
+} from '../../src/token-estimator';
+
+describe('token-estimator', () => {
+  describe('estimateTokens', () => {
+    it('counts about four characters per token, rounding up', () => {
+      expect(estimateTokens('')).to.equal(0);
+      expect(estimateTokens(null)).to.equal(0);
+      expect(estimateTokens('abc')).to.equal(1);
+      expect(estimateTokens('abcdefghi')).to.equal(3);
+      expect(tokensToChars(3)).to.equal(12);
+      expect(tokensToChars(-1)).to.equal(0);
+    });
+  });
+
+  describe('buildTokenBudget', () => {
+    it('adds up the parts and the reserved answer', () => {
+      const budget = buildTokenBudget({
+        system: 'a'.repeat(40), user: 'b'.repeat(20), context: '', data: 100,
+      }, 500, 1000);
+      expect(budget.parts.map((part) => [part.key, part.tokens])).to.deep.equal([
+        ['system', 10],
+        ['user', 5],
+        ['context', 0],
+        ['data', 100],
+        ['reserved', 500],
+      ]);
+      expect(budget).to.include({
+        total: 615, contextWindow: 1000, remaining: 385, level: 'ok',
+      });
+    });
+
+    it('turns amber near the limit and red over it', () => {
+      expect(buildTokenBudget({ data: 700 }, 100, 1000).level).to.equal('near');
+      expect(buildTokenBudget({ data: 900 }, 100, 1000).level).to.equal('near');
+      expect(buildTokenBudget({ data: 901 }, 100, 1000)).to.include({ level: 'over', remaining: -1 });
+    });
+  });
+
+  describe('fitDataCharBudget', () => {
+    it('gives the data what the context window leaves', () => {
+      expect(fitDataCharBudget(300, 200, 1000, 20000)).to.equal(2000);
+      expect(fitDataCharBudget(300, 200, 100000, 20000)).to.equal(20000);
+      expect(fitDataCharBudget(900, 200, 1000, 20000)).to.equal(0);
+    });
+
+    it('keeps the configured budget without a context window', () => {
+      expect(fitDataCharBudget(300, 200, 0, 5000)).to.equal(5000);
+    });
+  });
+
+  describe('formatTokens', () => {
+    it('groups thousands', () => {
+      expect(formatTokens(200000)).to.equal('200,000');
+      expect(formatTokens(12.6)).to.equal('13');
+    });
+  });
+});
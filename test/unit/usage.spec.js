@@ -0,0 +1,133 @@
+import {
+  USAGE_RECORD_LIMIT,
+  checkUsageBudget,
+  clearUsage,
+  describeBudgetExceeded,
+  estimateCost,
+  formatCost,
+  loadUsage,
+  recordUsage,
+  resolvePricing,
+  resolveUsageBudget,
+} from '../../src/usage';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const call = (overrides = {}) => ({
+  inputTokens: 1000,
+  outputTokens: 500,
+  latencyMs: 1200,
+  provider: 'claude',
+  cached: false,
+  cost: 0.01,
+  kind: 'analysis',
+  ...overrides,
+});
+
+describe('usage', () => {
+  beforeEach(() => {
+    global.window = { localStorage: memoryStorage(), sessionStorage: memoryStorage() };
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  describe('estimateCost', () => {
+    it('prices input and output per million tokens, and cache hits at nothing', () => {
+      const pricing = resolvePricing({ usagePrices: { claude: { input: '3', output: 15 } } }, 'claude');
+      expect(pricing).to.deep.equal({ input: 3, output: 15 });
+      expect(estimateCost(call(), pricing)).to.be.closeTo(0.0105, 1e-12);
+      expect(estimateCost(call({ cached: true }), pricing)).to.equal(0);
+      expect(resolvePricing({ usagePrices: { claude: { input: -1 } } }, 'openai')).to.deep.equal({ input: 0, output: 0 });
+      expect([formatCost(0.0105), formatCost(0), formatCost(12.345)]).to.deep.equal(['0.0105', '0.00', '12.35']);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('adds up object and session totals', () => {
+      recordUsage('obj1', call());
+      const usage = recordUsage('obj1', call({ cached: true, cost: 0 }));
+      expect(usage.object.totals).to.deep.equal({
+        calls: 2,
+        cachedCalls: 1,
+        inputTokens: 2000,
+        outputTokens: 1000,
+        billedTokens: 1500,
+        cost: 0.01,
+        latencyMs: 2400,
+      });
+      expect(loadUsage('obj1')).to.deep.equal(usage);
+      expect(loadUsage('obj2').object.totals.calls).to.equal(0);
+    });
+
+    it('keeps the newest records up to the limit', () => {
+      for (let i = 0; i <= USAGE_RECORD_LIMIT; i++) recordUsage('obj1', call({ latencyMs: i }));
+      const { object } = loadUsage('obj1');
+      expect(object.records).to.have.length(USAGE_RECORD_LIMIT);
+      expect(object.records[0].latencyMs).to.equal(USAGE_RECORD_LIMIT);
+      expect(object.totals.calls).to.equal(USAGE_RECORD_LIMIT + 1);
+    });
+
+    it('clears both scopes', () => {
+      recordUsage('obj1', call());
+      clearUsage('obj1');
+      expect(loadUsage('obj1').object.totals.calls).to.equal(0);
+      expect(loadUsage('obj1').session.totals.calls).to.equal(0);
+    });
+  });
+
+  describe('checkUsageBudget', () => {
+    it('is off without a positive limit', () => {
+      expect(checkUsageBudget(loadUsage('obj1'), { usageBudgetEnabled: true, usageBudgetLimit: 0 })).to.equal(null);
+      expect(checkUsageBudget(loadUsage('obj1'), { usageBudgetLimit: 5 })).to.equal(null);
+      expect(resolveUsageBudget({ usageBudgetUnit: 'coins', usageBudgetScope: 'forever' })).to.include({
+        unit: 'cost', scope: 'session',
+      });
+    });
+
+    it('is used up once the spend reaches the limit', () => {
+      const props = { usageBudgetEnabled: true, usageBudgetLimit: 0.02 };
+      expect(checkUsageBudget(recordUsage('obj1', call()), props)).to.deep.equal({
+        enabled: true, limit: 0.02, unit: 'cost', scope: 'session', spent: 0.01, exceeded: false,
+      });
+      expect(checkUsageBudget(recordUsage('obj1', call()), props)).to.include({ spent: 0.02, exceeded: true });
+    });
+
+    it('counts billed tokens only for a token budget', () => {
+      const props = { usageBudgetEnabled: true, usageBudgetLimit: 3000, usageBudgetUnit: 'tokens' };
+      recordUsage('obj1', call());
+      expect(checkUsageBudget(recordUsage('obj1', call({ cached: true })), props)).to.include({
+        spent: 1500, exceeded: false,
+      });
+      expect(checkUsageBudget(recordUsage('obj1', call()), props)).to.include({ spent: 3000, exceeded: true });
+    });
+
+    it('keeps the session and object scopes apart', () => {
+      recordUsage('obj1', call({ cost: 0.05 }));
+      global.window.sessionStorage = memoryStorage(); // a new browser session
+      const usage = loadUsage('obj1');
+      const props = { usageBudgetEnabled: true, usageBudgetLimit: 0.05 };
+      expect(checkUsageBudget(usage, props).exceeded).to.equal(false);
+      expect(checkUsageBudget(usage, { ...props, usageBudgetScope: 'object' }).exceeded).to.equal(true);
+    });
+
+    it('describes the used-up budget', () => {
+      expect(describeBudgetExceeded({
+        spent: 12000, limit: 10000, unit: 'tokens', scope: 'object',
+      })).to.equal(
+        '12,000 of 10,000 tokens used in this browser. Raise the limit under Usage & Budget or clear the usage in the 📊 Usage popover to generate again.',
+      );
+      expect(describeBudgetExceeded({
+        spent: 0.0512, limit: 0.05, unit: 'cost', scope: 'session',
+      })).to.match(/^0\.0512 of 0\.0500 used this browser session\. /);
+    });
+  });
+});
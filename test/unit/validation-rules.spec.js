@@ -0,0 +1,280 @@
+import {
+  checkRowCount,
+  compileRule,
+  describeCheckPreview,
+  evaluateCheck,
+  isQlikTrue,
+  previewCheck,
+  resolveRowCountBounds,
+  resolveValidationChecks,
+  resolveValidationMode,
+} from '../../src/validation-rules';
+
+const cube = (rows) => ({ qSize: { qcx: 2, qcy: rows } });
+
+describe('validation-rules', () => {
+  describe('isQlikTrue', () => {
+    it('treats any non-zero number as true', () => {
+      expect(isQlikTrue(-1)).to.equal(true);
+      expect(isQlikTrue(1)).to.equal(true);
+      expect(isQlikTrue(3)).to.equal(true);
+      expect(isQlikTrue(0.5)).to.equal(true);
+    });
+
+    it('treats zero, null and text as false', () => {
+      expect(isQlikTrue(0)).to.equal(false);
+      expect(isQlikTrue(-0)).to.equal(false);
+      expect(isQlikTrue(NaN)).to.equal(false);
+      expect(isQlikTrue(Infinity)).to.equal(false);
+      expect(isQlikTrue(null)).to.equal(false);
+      expect(isQlikTrue(undefined)).to.equal(false);
+      expect(isQlikTrue('-1')).to.equal(false);
+    });
+  });
+
+  describe('compileRule', () => {
+    it('compiles field rules to count expressions', () => {
+      expect(compileRule({
+        type: 'selected', field: 'Customer', comparison: 'eq', count: 1, name: ' One customer ', message: 'Pick one',
+      })).to.deep.equal({
+        name: 'One customer',
+        message: 'Pick one',
+        expression: 'GetSelectedCount([Customer]) = 1',
+        fields: ['Customer'],
+        description: 'Exactly 1 selected in Customer',
+      });
+      expect(compileRule({
+        type: 'possible', field: '[Region]', comparison: 'gte', count: '2.4',
+      })).to.include({
+        expression: 'GetPossibleCount([Region]) >= 2',
+        description: 'At least 2 possible in Region',
+      });
+    });
+
+    it('quotes brackets in field names', () => {
+      expect(compileRule({
+        type: 'selected', field: 'Sales [EUR]', comparison: 'lte', count: 3,
+      }).expression).to.equal('GetSelectedCount([Sales [EUR]]]) <= 3');
+    });
+
+    it('falls back to one selected value', () => {
+      expect(compileRule({ field: 'Customer' })).to.include({
+        expression: 'GetSelectedCount([Customer]) = 1',
+        description: 'Exactly 1 selected in Customer',
+      });
+    });
+
+    it('takes expression rules as written, without the leading "="', () => {
+      expect(compileRule({ type: 'expression', expression: '=Sum(Amount) > 0' })).to.deep.equal({
+        name: '',
+        message: '',
+        expression: 'Sum(Amount) > 0',
+        fields: [],
+        description: 'Sum(Amount) > 0 is true',
+      });
+    });
+
+    it('reports incomplete rules', () => {
+      expect(compileRule({ type: 'selected', field: ' ' })).to.include({ error: 'Choose the field to check' });
+      expect(compileRule({ type: 'expression', expression: '=' })).to.include({
+        error: 'Enter the expression that must be true',
+      });
+    });
+  });
+
+  describe('resolveValidationChecks', () => {
+    it('adds the raw expression after the builder rules', () => {
+      const checks = resolveValidationChecks({
+        validationRules: [{ type: 'selected', field: 'Customer' }],
+        customValidationExpression: '= GetSelectedCount(Region) > 0',
+        customValidationMessage: 'Select a region',
+      });
+      expect(checks.map((check) => check.expression)).to.deep.equal([
+        'GetSelectedCount([Customer]) = 1',
+        'GetSelectedCount(Region) > 0',
+      ]);
+      expect(checks[1]).to.include({ name: 'Custom expression', message: 'Select a region', raw: true });
+    });
+  });
+
+  describe('resolveValidationMode', () => {
+    it('keeps custom rules on for objects from before the mode selector', () => {
+      expect(resolveValidationMode({ validationMode: 'rowCount' })).to.equal('rowCount');
+      expect(resolveValidationMode({ enableCustomValidation: true })).to.equal('custom');
+      expect(resolveValidationMode({})).to.equal('none');
+    });
+  });
+
+  describe('checkRowCount', () => {
+    it('uses 1 to 1000 rows by default', () => {
+      expect(resolveRowCountBounds({})).to.deep.equal({ minRows: 1, maxRows: 1000 });
+    });
+
+    it('rounds the bounds and never lets the maximum go below the minimum', () => {
+      expect(resolveRowCountBounds({ validationMinRows: '5.6', validationMaxRows: 2 })).to.deep.equal({
+        minRows: 6, maxRows: 6,
+      });
+      expect(resolveRowCountBounds({ validationMinRows: -3, validationMaxRows: 'lots' })).to.deep.equal({
+        minRows: 0, maxRows: 1000,
+      });
+    });
+
+    it('passes on the bounds themselves', () => {
+      const props = { validationMinRows: 2, validationMaxRows: 10 };
+      expect(checkRowCount(cube(2), props)).to.deep.equal({
+        valid: true, rows: 2, minRows: 2, maxRows: 10, message: '2 rows in the current selection',
+      });
+      expect(checkRowCount(cube(10), props).valid).to.equal(true);
+    });
+
+    it('fails outside the bounds', () => {
+      const props = { validationMinRows: 2, validationMaxRows: 1000 };
+      expect(checkRowCount(cube(0), props)).to.include({
+        valid: false,
+        message: 'No rows in the current selection - widen or clear the selections',
+      });
+      expect(checkRowCount(cube(1), props)).to.include({
+        valid: false,
+        message: 'Only 1 row(s) in the current selection - at least 2 needed',
+      });
+      expect(checkRowCount(cube(25000), props)).to.include({
+        valid: false,
+        message: '25,000 rows in the current selection - narrow it down to at most 1,000',
+      });
+    });
+
+    it('allows an empty selection when the minimum is 0', () => {
+      expect(checkRowCount(cube(0), { validationMinRows: 0 }).valid).to.equal(true);
+      expect(checkRowCount(undefined, { validationMinRows: 0 }).rows).to.equal(0);
+    });
+  });
+
+  describe('evaluateCheck', () => {
+    const engine = (reply) => async () => reply;
+
+    it('follows Qlik boolean semantics', async () => {
+      expect(await evaluateCheck(engine({ qText: '-1', qNum: -1 }), 'Sum(Amount) > 0')).to.deep.equal({
+        result: '-1', valid: true, error: null,
+      });
+      expect((await evaluateCheck(engine({ qText: '2', qNum: 2 }), 'GetSelectedCount(Customer)')).valid).to.equal(true);
+      expect((await evaluateCheck(engine({ qText: '0', qNum: 0 }), 'Sum(Amount) > 0')).valid).to.equal(false);
+      expect((await evaluateCheck(engine({ qText: '-' }), 'Only(Customer)')).valid).to.equal(false);
+      expect((await evaluateCheck(engine({ qText: 'Acme', qNum: 'NaN' }), 'Only(Customer)')).valid).to.equal(false);
+      expect((await evaluateCheck(engine('-1'), 'Sum(Amount) > 0')).valid).to.equal(true);
+    });
+
+    it('reads formatted numbers through Num()', async () => {
+      const expressions = [];
+      // The engine formats "Sum(Amount)" as "1,234" - through Num() it answers the plain number
+      const detail = await evaluateCheck(async (expression) => {
+        expressions.push(expression);
+        return expression.startsWith('Num(') ? '1234' : '1,234';
+      }, 'Sum(Amount) // total');
+      expect(expressions).to.deep.equal(["Num(Sum(Amount) // total\n, '0.##########', '.')"]);
+      expect(detail).to.deep.equal({ result: '1234', valid: true, error: null });
+      expect((await evaluateCheck(engine('0.12'), 'Avg(Margin)')).valid).to.equal(true);
+    });
+
+    it('reports engine errors in the result text', async () => {
+      expect(await evaluateCheck(engine({ qText: 'Error in expression: \')\' expected' }), 'Sum(Amount')).to.deep.equal({
+        result: 'Error in expression: \')\' expected',
+        valid: false,
+        error: 'Error in expression: \')\' expected',
+      });
+    });
+
+    it('reports a rejected engine call', async () => {
+      const detail = await evaluateCheck(async () => { throw new Error('Syntax error'); }, 'Sum(');
+      expect(detail).to.deep.equal({ result: 'Error: Syntax error', valid: false, error: 'Error: Syntax error' });
+    });
+  });
+
+  describe('previewCheck', () => {
+    const { now } = Date;
+    let clock;
+
+    beforeEach(() => {
+      clock = 1700000000000;
+      Date.now = () => clock;
+    });
+
+    afterEach(() => {
+      Date.now = now;
+    });
+
+    // Property panel handler for one object; reply(expression) is the engine's answer
+    const panel = (objectId, reply) => {
+      const patches = [];
+      const handler = {
+        properties: { qInfo: { qId: objectId } },
+        app: {
+          evaluate: async ({ qExpression }) => reply(qExpression),
+          getObject: async (id) => ({
+            applyPatches: async (list, soft) => patches.push({ id, path: list[0].qPath, soft }),
+          }),
+        },
+      };
+      return { handler, patches };
+    };
+
+    const settle = () => new Promise((resolve) => { setImmediate(resolve); });
+
+    it('is unavailable without an app connection', () => {
+      expect(previewCheck({ properties: { qInfo: { qId: 'p0' } } }, 'Sum(X)')).to.deep.equal({ unavailable: true });
+      expect(previewCheck({ app: { evaluate: () => {} } }, 'Sum(X)')).to.deep.equal({ unavailable: true });
+      expect(describeCheckPreview({ unavailable: true })).to.match(/^Preview not available/);
+    });
+
+    it('shows the result once it arrives and asks the panel to read it', async () => {
+      const { handler, patches } = panel('p1', () => '-1');
+      expect(previewCheck(handler, 'Sum(Amount) > 0')).to.equal(null);
+      expect(describeCheckPreview(null)).to.equal('⏳ Evaluating against the current selections...');
+      await settle();
+
+      const detail = previewCheck(handler, 'Sum(Amount) > 0');
+      expect(detail).to.deep.equal({ result: '-1', valid: true, error: null });
+      expect(describeCheckPreview(detail)).to.equal('✅ -1 → true');
+      expect(patches).to.deep.equal([{ id: 'p1', path: '/validationPreviewAt', soft: true }]);
+    });
+
+    it('evaluates again after a second and refreshes the panel only on a new result', async () => {
+      let answer = '0';
+      const { handler, patches } = panel('p2', () => answer);
+      previewCheck(handler, 'GetSelectedCount(Customer)');
+      await settle();
+
+      clock += 500;
+      answer = '2';
+      previewCheck(handler, 'GetSelectedCount(Customer)');
+      await settle();
+      expect(previewCheck(handler, 'GetSelectedCount(Customer)')).to.include({ result: '0', valid: false });
+
+      clock += 1000;
+      expect(previewCheck(handler, 'GetSelectedCount(Customer)')).to.include({ result: '0' });
+      await settle();
+      expect(previewCheck(handler, 'GetSelectedCount(Customer)')).to.include({ result: '2', valid: true });
+      expect(patches).to.have.length(2);
+
+      clock += 1001;
+      previewCheck(handler, 'GetSelectedCount(Customer)');
+      await settle();
+      expect(patches).to.have.length(2);
+    });
+
+    it('shows engine errors', async () => {
+      const { handler } = panel('p3', () => 'Error in expression: \')\' expected');
+      previewCheck(handler, 'Sum(Amount');
+      await settle();
+      expect(describeCheckPreview(previewCheck(handler, 'Sum(Amount'))).to.equal('⚠️ Error in expression: \')\' expected');
+    });
+
+    it('keeps working when the object cannot be patched', async () => {
+      const { handler } = panel('p4', () => '1');
+      handler.app.getObject = async () => { throw new Error('Object not found'); };
+      previewCheck(handler, 'Count(X)');
+      await settle();
+      await settle();
+      expect(previewCheck(handler, 'Count(X)')).to.include({ valid: true });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  listAppVariables,
+  normalizeVariableName,
+  resolveExtensionVariables,
+  resolveVariables,
+} from '../../src/variables';
+import { collectTemplateVariables, renderTemplate } from '../../src/prompt-template';
+
+// app stand-in with getVariableByName; a value that is an Error makes the call fail
+const appWith = (variables) => ({
+  getVariableByName: async (name) => {
+    const layout = variables[name];
+    if (layout instanceof Error) throw layout;
+    return layout === undefined ? null : { getLayout: async () => layout };
+  },
+});
+
+describe('variables', () => {
+  describe('normalizeVariableName', () => {
+    it('accepts the name with or without braces and "$"', () => {
+      expect(['{{$vQuarter}}', '$vQuarter', ' vQuarter ', '{{ $ vQuarter }}'].map(normalizeVariableName)).to.deep.equal([
+        'vQuarter', 'vQuarter', 'vQuarter', 'vQuarter',
+      ]);
+      expect(normalizeVariableName(undefined)).to.equal('');
+    });
+  });
+
+  describe('resolveExtensionVariables', () => {
+    it('reads the Prompt Variables list, skipping entries without a name', () => {
+      const variables = resolveExtensionVariables({
+        promptVariables: [{ name: '$vTone', value: 'formal' }, { name: '', value: 'x' }, { name: 'vLimit', value: 5 }],
+      });
+      expect([...variables]).to.deep.equal([['vTone', 'formal'], ['vLimit', '5']]);
+    });
+  });
+
+  describe('resolveVariables', () => {
+    it('prefers extension variables over app variables', async () => {
+      const app = appWith({
+        vTone: { qText: 'casual' },
+        vQuarter: { qText: '2024-Q3' },
+        vTarget: { qText: '1,500', qNum: 1500 },
+      });
+      const results = await resolveVariables(app, ['vTone', '$vQuarter', 'vTarget', 'vTone'], {
+        promptVariables: [{ name: 'vTone', value: 'formal' }],
+      });
+      expect(Object.fromEntries(results)).to.deep.equal({
+        vTone: { text: 'formal', num: NaN },
+        vQuarter: { text: '2024-Q3', num: NaN },
+        vTarget: { text: '1,500', num: 1500 },
+      });
+    });
+
+    it('reports missing variables and engine failures', async () => {
+      const app = appWith({
+        vGone: new Error('Variable not found'),
+        vBroken: new Error('Connection lost'),
+      });
+      const results = await resolveVariables(app, ['vMissing', 'vGone', 'vBroken'], {});
+      expect(Object.fromEntries(results)).to.deep.equal({
+        vMissing: { error: 'Variable "vMissing" does not exist in this app or in Prompt Variables' },
+        vGone: { error: 'Variable "vGone" does not exist in this app or in Prompt Variables' },
+        vBroken: { error: 'Connection lost' },
+      });
+    });
+  });
+
+  describe('substitution', () => {
+    const render = async (template, app, props = {}) => renderTemplate(template, {
+      rows: [],
+      findColumn: () => null,
+      variables: await resolveVariables(app, collectTemplateVariables([template]), props),
+    });
+
+    it('puts variable values into the prompt, with modifiers', async () => {
+      const app = appWith({ vTarget: { qText: '1500000', qNum: 1500000 } });
+      expect(await render('Quarter {{$vQuarter}}, target {{$vTarget|format:"$#,##0"}}', app, {
+        promptVariables: [{ name: 'vQuarter', value: '2024-Q3' }],
+      })).to.deep.equal({ text: 'Quarter 2024-Q3, target $1,500,000', errors: [] });
+    });
+
+    it('reports unknown variables against the placeholder', async () => {
+      const { text, errors } = await render('Hi {{$vMissing}} {{$}}', appWith({}));
+      expect(text).to.equal('Hi {{$vMissing}} {{$}}');
+      expect(errors).to.deep.equal([
+        {
+          placeholder: '{{$vMissing}}',
+          message: 'Variable "vMissing" does not exist in this app or in Prompt Variables',
+          start: 3,
+        },
+        { placeholder: '{{$}}', message: 'Variable name is missing, e.g. {{$vCurrentQuarter}}', start: 17 },
+      ]);
+    });
+  });
+
+  describe('listAppVariables', () => {
+    it('lists the variables by name and destroys the session object', async () => {
+      const destroyed = [];
+      const app = {
+        createSessionObject: async () => ({
+          id: 'list-1',
+          getLayout: async () => ({
+            qVariableList: {
+              qItems: [
+                { qName: 'vTarget', qDefinition: '=Sum(Target)' },
+                { qName: 'vAlpha' },
+              ],
+            },
+          }),
+        }),
+        destroySessionObject: async (id) => destroyed.push(id),
+      };
+      expect(await listAppVariables(app)).to.deep.equal([
+        { name: 'vAlpha', definition: '' },
+        { name: 'vTarget', definition: '=Sum(Target)' },
+      ]);
+      expect(destroyed).to.deep.equal(['list-1']);
+    });
+  });
+});